@@ -5,6 +5,7 @@ import { StyleSheet } from 'react-native';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
 
 import { AuthProvider } from './auth/AuthProvider';
+import SessionTimeoutModal from './components/SessionTimeoutModal';
 import RootNavigator from './navigation/RootNavigator';
 
 /**
@@ -16,6 +17,7 @@ const App = () => {
     <GestureHandlerRootView style={styles.container}>
       <AuthProvider>
         <RootNavigator />
+        <SessionTimeoutModal />
         <StatusBar style="auto" />
       </AuthProvider>
     </GestureHandlerRootView>
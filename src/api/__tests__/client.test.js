@@ -0,0 +1,182 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+
+import { logoutUser } from '../../auth/authActions';
+import { getValidToken, refreshIdToken } from '../../auth/tokenManager';
+import { apiGet, apiPost } from '../client';
+
+jest.mock('../../auth/authActions', () => ({
+  logoutUser: jest.fn(),
+}));
+
+jest.mock('../../auth/tokenManager', () => ({
+  getValidToken: jest.fn(),
+  refreshIdToken: jest.fn(),
+}));
+
+const STALE_TOKEN = 'stale-token';
+const FRESH_TOKEN = 'fresh-token';
+
+// Local backend that only accepts the token in acceptedToken
+let server;
+let baseUrl;
+let acceptedToken;
+let requests;
+
+/**
+ * Answer like a backend that checks the ID token
+ */
+const handleRequest = (request, response) => {
+  let body = '';
+  request.on('data', (chunk) => {
+    body += chunk;
+  });
+  request.on('end', () => {
+    requests.push({
+      method: request.method,
+      url: request.url,
+      authorization: request.headers.authorization,
+      body,
+    });
+
+    const isAuthorized = request.url.startsWith('/public')
+      || request.headers.authorization === `Bearer ${acceptedToken}`;
+
+    response.writeHead(isAuthorized ? 200 : 401, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(isAuthorized
+      ? { ok: true, path: request.url }
+      : { error: 'Invalid ID token' }));
+  });
+};
+
+beforeAll((done) => {
+  server = http.createServer(handleRequest);
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  requests = [];
+  acceptedToken = FRESH_TOKEN;
+
+  getValidToken.mockResolvedValue({ success: true, token: STALE_TOKEN });
+  refreshIdToken.mockResolvedValue({ success: true, token: FRESH_TOKEN });
+  logoutUser.mockResolvedValue({ success: true });
+});
+
+describe('apiRequest', () => {
+  it('sends the ID token and returns the parsed body', async () => {
+    acceptedToken = STALE_TOKEN;
+
+    const result = await apiGet(`${baseUrl}/profile`);
+
+    expect(result).toEqual({
+      success: true,
+      status: 200,
+      data: { ok: true, path: '/profile' },
+    });
+    expect(requests).toHaveLength(1);
+    expect(requests[0].authorization).toBe(`Bearer ${STALE_TOKEN}`);
+    expect(refreshIdToken).not.toHaveBeenCalled();
+  });
+
+  it('refreshes the token after a 401 and retries once with the new token', async () => {
+    const result = await apiPost(`${baseUrl}/notes`, { text: 'hello' });
+
+    expect(result.success).toBe(true);
+    expect(refreshIdToken).toHaveBeenCalledTimes(1);
+    expect(requests.map((request) => request.authorization)).toEqual([
+      `Bearer ${STALE_TOKEN}`,
+      `Bearer ${FRESH_TOKEN}`,
+    ]);
+    // The body is sent again on the retry
+    expect(requests[1]).toMatchObject({ method: 'POST', body: JSON.stringify({ text: 'hello' }) });
+    expect(logoutUser).not.toHaveBeenCalled();
+  });
+
+  it('does not retry a second time when the new token is rejected too', async () => {
+    acceptedToken = 'another-token';
+
+    const result = await apiGet(`${baseUrl}/profile`);
+
+    expect(result).toMatchObject({ success: false, status: 401, error: 'Invalid ID token' });
+    expect(requests).toHaveLength(2);
+    expect(refreshIdToken).toHaveBeenCalledTimes(1);
+    expect(logoutUser).not.toHaveBeenCalled();
+  });
+
+  it('signs the user out when the refresh fails', async () => {
+    refreshIdToken.mockResolvedValue({ success: false, error: 'Session expired.' });
+
+    const result = await apiGet(`${baseUrl}/profile`);
+
+    expect(result).toEqual({
+      success: false,
+      status: 401,
+      signedOut: true,
+      error: 'Your session has expired. Please sign in again.',
+    });
+    expect(requests).toHaveLength(1);
+    expect(logoutUser).toHaveBeenCalledTimes(1);
+  });
+
+  it('signs out once when parallel requests all fail to refresh', async () => {
+    // Like tokenManager, both requests wait for the same refresh
+    let finishRefresh;
+    const sharedRefresh = new Promise((resolve) => {
+      finishRefresh = resolve;
+    });
+    refreshIdToken.mockReturnValue(sharedRefresh);
+    logoutUser.mockImplementation(() => new Promise((resolve) => {
+      setTimeout(() => resolve({ success: true }), 20);
+    }));
+
+    const pending = Promise.all([
+      apiGet(`${baseUrl}/profile`),
+      apiGet(`${baseUrl}/notes`),
+    ]);
+
+    // Fail the refresh once both requests got their 401
+    await new Promise((resolve) => {
+      const check = () => (refreshIdToken.mock.calls.length === 2 ? resolve() : setTimeout(check, 5));
+      check();
+    });
+    finishRefresh({ success: false, error: 'Session expired.' });
+
+    const results = await pending;
+
+    expect(results.every((result) => result.signedOut)).toBe(true);
+    expect(logoutUser).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the user signed in when the refresh fails because of the network', async () => {
+    refreshIdToken.mockResolvedValue({
+      success: false,
+      networkError: true,
+      error: 'Network error. Please check your connection.',
+    });
+
+    const result = await apiGet(`${baseUrl}/profile`);
+
+    expect(result).toMatchObject({ success: false, status: 0 });
+    expect(result.signedOut).toBeUndefined();
+    expect(logoutUser).not.toHaveBeenCalled();
+  });
+
+  it('sends unauthenticated requests without a token', async () => {
+    const result = await apiPost(`${baseUrl}/public/recovery`, { code: 'ABCDE-FGHJK' }, { authenticated: false });
+
+    expect(result.success).toBe(true);
+    expect(requests[0].authorization).toBeUndefined();
+    expect(getValidToken).not.toHaveBeenCalled();
+  });
+});
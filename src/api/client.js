@@ -0,0 +1,285 @@
+// HTTP client for your own backend, authenticated with the user's Firebase ID token
+import { logoutUser } from '../auth/authActions';
+import { getValidToken, refreshIdToken } from '../auth/tokenManager';
+
+// Base URL prepended to relative request paths
+const API_BASE_URL = process.env.EXPO_PUBLIC_API_BASE_URL || '';
+
+// Interceptors run in the order they were added
+const requestInterceptors = [];
+const responseInterceptors = [];
+
+// Sign-out in progress after a failed refresh, so parallel requests sign out once
+let signOutPromise = null;
+
+/**
+ * Add a function that can change every request before it is sent
+ * @param {Function} interceptor - Called with the request config ({url, method, headers, body, ...}), returns the config to send
+ * @returns {Function} Removes the interceptor
+ */
+export const addRequestInterceptor = (interceptor) => {
+  requestInterceptors.push(interceptor);
+
+  return () => {
+    const index = requestInterceptors.indexOf(interceptor);
+    if (index !== -1) {
+      requestInterceptors.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Add a function that sees every response before it is handled
+ * @param {Function} interceptor - Called with the fetch Response and the request config, returns the Response to use
+ * @returns {Function} Removes the interceptor
+ */
+export const addResponseInterceptor = (interceptor) => {
+  responseInterceptors.push(interceptor);
+
+  return () => {
+    const index = responseInterceptors.indexOf(interceptor);
+    if (index !== -1) {
+      responseInterceptors.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Resolve a request path against the base URL (absolute URLs are used as they are)
+ * @param {string} path - Request path or URL
+ * @returns {string}
+ */
+const buildUrl = (path) => {
+  if (/^https?:\/\//i.test(path) || !API_BASE_URL) {
+    return path;
+  }
+
+  return `${API_BASE_URL.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+};
+
+/**
+ * Read the response body as JSON when the server says it is JSON, as text otherwise
+ * @param {Response} response - Fetch response
+ * @returns {Promise<*>} Parsed body, or null for empty responses
+ */
+const parseResponseBody = async (response) => {
+  if (response.status === 204) {
+    return null;
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  const text = await response.text();
+
+  if (!text) {
+    return null;
+  }
+
+  if (contentType.includes('application/json')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  return text;
+};
+
+/**
+ * Pick an error message from an error response
+ * @param {*} data - Parsed response body
+ * @param {number} status - HTTP status
+ * @returns {string}
+ */
+const getErrorMessage = (data, status) => {
+  if (typeof data?.error === 'string') {
+    return data.error;
+  }
+
+  if (data?.error?.message || data?.message) {
+    return data.error?.message || data.message;
+  }
+
+  return `Request failed (${status}). Please try again.`;
+};
+
+/**
+ * Run the interceptors and send one request
+ * @param {Object} config - Request config
+ * @param {string|null} token - ID token for the Authorization header
+ * @returns {Promise<Response>}
+ */
+const sendRequest = async (config, token) => {
+  let requestConfig = {
+    ...config,
+    headers: token
+      ? { ...config.headers, Authorization: `Bearer ${token}` }
+      : { ...config.headers },
+  };
+
+  for (const interceptor of requestInterceptors) {
+    requestConfig = await interceptor(requestConfig);
+  }
+
+  const { url, ...fetchOptions } = requestConfig;
+  let response = await fetch(buildUrl(url), fetchOptions);
+
+  for (const interceptor of responseInterceptors) {
+    response = await interceptor(response, requestConfig);
+  }
+
+  return response;
+};
+
+/**
+ * Sign the user out once, however many requests found the session dead
+ * @returns {Promise<void>}
+ */
+const signOutAfterFailedRefresh = () => {
+  if (!signOutPromise) {
+    signOutPromise = logoutUser().finally(() => {
+      signOutPromise = null;
+    });
+  }
+
+  return signOutPromise;
+};
+
+/**
+ * Send a request to the backend
+ * Attaches the ID token; on a 401 it refreshes the token and retries once, and signs the user out if the
+ * refresh fails. Requests made while a refresh is running wait for the new token.
+ * @param {string} path - Path relative to EXPO_PUBLIC_API_BASE_URL, or an absolute URL
+ * @param {Object} options - Request options (anything else is passed to fetch)
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.headers - Extra headers
+ * @param {*} options.json - Body to send as JSON
+ * @param {*} options.body - Raw body (ignored when json is set)
+ * @param {boolean} options.authenticated - Whether to send the ID token (default true)
+ * @returns {Promise<{success: boolean, status: number, data?: *, error?: string, signedOut?: boolean}>}
+ */
+export const apiRequest = async (path, {
+  method = 'GET',
+  headers = {},
+  json,
+  body,
+  authenticated = true,
+  ...fetchOptions
+} = {}) => {
+  const config = {
+    ...fetchOptions,
+    url: path,
+    method,
+    headers: {
+      Accept: 'application/json',
+      ...(json !== undefined && { 'Content-Type': 'application/json' }),
+      ...headers,
+    },
+    body: json !== undefined ? JSON.stringify(json) : body,
+  };
+
+  try {
+    let token = null;
+
+    if (authenticated) {
+      const tokenResult = await getValidToken();
+      if (!tokenResult.success) {
+        return {
+          success: false,
+          status: 0,
+          error: tokenResult.error,
+        };
+      }
+      token = tokenResult.token;
+    }
+
+    let response = await sendRequest(config, token);
+
+    if (response.status === 401 && authenticated) {
+      const refreshResult = await refreshIdToken();
+
+      if (!refreshResult.success) {
+        // Offline is not a dead session, keep the user signed in
+        if (refreshResult.networkError) {
+          return {
+            success: false,
+            status: 0,
+            error: refreshResult.error,
+          };
+        }
+
+        await signOutAfterFailedRefresh();
+        return {
+          success: false,
+          status: 401,
+          signedOut: true,
+          error: 'Your session has expired. Please sign in again.',
+        };
+      }
+
+      response = await sendRequest(config, refreshResult.token);
+    }
+
+    const data = await parseResponseBody(response);
+
+    if (!response.ok) {
+      return {
+        success: false,
+        status: response.status,
+        data,
+        error: getErrorMessage(data, response.status),
+      };
+    }
+
+    return {
+      success: true,
+      status: response.status,
+      data,
+    };
+  } catch (error) {
+    console.warn('API request failed:', error);
+    return {
+      success: false,
+      status: 0,
+      error: 'Network error. Please check your connection.',
+    };
+  }
+};
+
+/**
+ * GET request
+ * @param {string} path - Request path
+ * @param {Object} options - See apiRequest
+ */
+export const apiGet = (path, options) => apiRequest(path, { ...options, method: 'GET' });
+
+/**
+ * POST request with a JSON body
+ * @param {string} path - Request path
+ * @param {*} json - Body
+ * @param {Object} options - See apiRequest
+ */
+export const apiPost = (path, json, options) => apiRequest(path, { ...options, method: 'POST', json });
+
+/**
+ * PUT request with a JSON body
+ * @param {string} path - Request path
+ * @param {*} json - Body
+ * @param {Object} options - See apiRequest
+ */
+export const apiPut = (path, json, options) => apiRequest(path, { ...options, method: 'PUT', json });
+
+/**
+ * PATCH request with a JSON body
+ * @param {string} path - Request path
+ * @param {*} json - Body
+ * @param {Object} options - See apiRequest
+ */
+export const apiPatch = (path, json, options) => apiRequest(path, { ...options, method: 'PATCH', json });
+
+/**
+ * DELETE request
+ * @param {string} path - Request path
+ * @param {Object} options - See apiRequest
+ */
+export const apiDelete = (path, options) => apiRequest(path, { ...options, method: 'DELETE' });
@@ -6,6 +6,7 @@ import {
   initializeAuth
 } from 'firebase/auth';
 import { getFirestore } from 'firebase/firestore';
+import { connectStorageEmulator, getStorage } from 'firebase/storage';
 
 
 const firebaseConfig = {
@@ -24,6 +25,7 @@ const isFirebaseConfigured = process.env.EXPO_PUBLIC_FIREBASE_API_KEY &&
 let app = null;
 let auth = null;
 let db = null;
+let storage = null;
 
 try {
 
@@ -36,9 +38,19 @@ try {
 
 
   db = getFirestore(app);
+
+
+  storage = getStorage(app);
+
+  // e.g. EXPO_PUBLIC_FIREBASE_STORAGE_EMULATOR_HOST=127.0.0.1:9199
+  const storageEmulatorHost = process.env.EXPO_PUBLIC_FIREBASE_STORAGE_EMULATOR_HOST;
+  if (storageEmulatorHost) {
+    const [host, port] = storageEmulatorHost.split(':');
+    connectStorageEmulator(storage, host, Number(port) || 9199);
+  }
 } catch (error) {
 
 }
 
-export { auth, db, isFirebaseConfigured };
+export { auth, db, isFirebaseConfigured, storage };
 export default app; 
\ No newline at end of file
@@ -0,0 +1,95 @@
+// Two-factor recovery codes, stored hashed in Firestore (mfaRecoveryCodes/{uid})
+import * as Crypto from 'expo-crypto';
+import {
+  doc,
+  getDoc,
+  serverTimestamp,
+  setDoc,
+} from 'firebase/firestore';
+import { db } from './firebase';
+
+// Collection holding one recovery code document per user, keyed by UID
+const RECOVERY_CODES_COLLECTION = 'mfaRecoveryCodes';
+
+// Characters that cannot be confused with each other (no 0/O or 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+// Largest multiple of the alphabet size below 256, so every character is equally likely
+const MAX_UNBIASED_BYTE = 256 - (256 % CODE_ALPHABET.length);
+
+/**
+ * Reference to a user's recovery code document
+ * @param {string} uid - User ID
+ * @returns {Object} Document reference
+ */
+const getRecoveryCodesRef = (uid) => doc(db, RECOVERY_CODES_COLLECTION, uid);
+
+/**
+ * Generate a single recovery code, e.g. "ABCDE-FGHJK"
+ * @returns {string}
+ */
+const generateRecoveryCode = () => {
+  let characters = '';
+
+  while (characters.length < CODE_LENGTH) {
+    for (const byte of Crypto.getRandomBytes(CODE_LENGTH)) {
+      if (byte < MAX_UNBIASED_BYTE && characters.length < CODE_LENGTH) {
+        characters += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+      }
+    }
+  }
+
+  return `${characters.slice(0, CODE_LENGTH / 2)}-${characters.slice(CODE_LENGTH / 2)}`;
+};
+
+/**
+ * Hash a recovery code for storage
+ * Whatever redeems the codes (e.g. a Cloud Function) must hash them the same way
+ * @param {string} uid - User ID the code belongs to
+ * @param {string} code - Recovery code as entered by the user
+ * @returns {Promise<string>} Hex encoded SHA-256 hash
+ */
+export const hashRecoveryCode = async (uid, code) => {
+  const normalizedCode = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return Crypto.digestStringAsync(
+    Crypto.CryptoDigestAlgorithm.SHA256,
+    `${uid}:${normalizedCode}`
+  );
+};
+
+/**
+ * Generate a new set of recovery codes for a user, replacing any previous set
+ * Only the hashes are stored; the plain codes are returned to be shown once
+ * @param {string} uid - User ID
+ * @param {number} count - Number of codes to generate
+ * @returns {Promise<string[]>} The plain recovery codes
+ */
+export const createRecoveryCodes = async (uid, count) => {
+  const codes = Array.from({ length: count }, generateRecoveryCode);
+  const hashes = await Promise.all(codes.map((code) => hashRecoveryCode(uid, code)));
+
+  await setDoc(getRecoveryCodesRef(uid), {
+    codes: hashes.map((hash) => ({ hash, usedAt: null })),
+    createdAt: serverTimestamp(),
+  });
+
+  return codes;
+};
+
+/**
+ * Count how many of a user's recovery codes are still unused
+ * @param {string} uid - User ID
+ * @returns {Promise<{total: number, remaining: number}>}
+ */
+export const getRecoveryCodeStatus = async (uid) => {
+  const snapshot = await getDoc(getRecoveryCodesRef(uid));
+  const codes = snapshot.exists() ? snapshot.data().codes || [] : [];
+
+  return {
+    total: codes.length,
+    remaining: codes.filter((code) => !code.usedAt).length,
+  };
+};
+
+export { RECOVERY_CODES_COLLECTION };
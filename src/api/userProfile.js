@@ -0,0 +1,89 @@
+// Firestore user profile documents (users/{uid})
+import {
+  doc,
+  getDoc,
+  onSnapshot,
+  serverTimestamp,
+  setDoc,
+} from 'firebase/firestore';
+import { db } from './firebase';
+
+// Collection holding one profile document per user, keyed by UID
+const USERS_COLLECTION = 'users';
+
+/**
+ * Reference to a user's profile document
+ * @param {string} uid - User ID
+ * @returns {Object} Document reference
+ */
+const getUserProfileRef = (uid) => doc(db, USERS_COLLECTION, uid);
+
+/**
+ * Convert Firestore timestamps to ISO strings, matching the cached user data
+ * @param {Object} data - Document data
+ * @returns {Object} Plain profile object
+ */
+const serializeProfile = (data) => Object.fromEntries(
+  Object.entries(data).map(([key, value]) => [
+    key,
+    typeof value?.toDate === 'function' ? value.toDate().toISOString() : value,
+  ])
+);
+
+/**
+ * Create or refresh the profile document for a user who just signed in
+ * The document is created on the first sign-in (registration, first OAuth sign-in)
+ * @param {Object} user - Firebase user
+ * @returns {Promise<void>}
+ */
+export const recordUserSignIn = async (user) => {
+  const profileRef = getUserProfileRef(user.uid);
+  const snapshot = await getDoc(profileRef);
+
+  const data = {
+    displayName: user.displayName || '',
+    email: user.email || null,
+    photoURL: user.photoURL || null,
+    providers: user.providerData.map((profile) => profile.providerId),
+    lastLoginAt: serverTimestamp(),
+  };
+
+  if (!snapshot.exists()) {
+    data.createdAt = serverTimestamp();
+  }
+
+  await setDoc(profileRef, data, { merge: true });
+};
+
+/**
+ * Merge fields into a user's profile document
+ * @param {string} uid - User ID
+ * @param {Object} fields - Fields to update (e.g. { bio, preferences })
+ * @returns {Promise<void>}
+ */
+export const updateUserProfileDocument = async (uid, fields) => {
+  await setDoc(getUserProfileRef(uid), fields, { merge: true });
+};
+
+/**
+ * Listen to a user's profile document
+ * @param {string} uid - User ID
+ * @param {Function} onChange - Called with the profile, or null if there is no document
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToUserProfile = (uid, onChange) => {
+  return onSnapshot(
+    getUserProfileRef(uid),
+    (snapshot) => {
+      onChange(snapshot.exists()
+        ? serializeProfile(snapshot.data({ serverTimestamps: 'estimate' }))
+        : null);
+    },
+    (error) => {
+      // Expected briefly after sign-out, when the rules no longer allow reads
+      console.warn('User profile listener error:', error.code);
+    }
+  );
+};
+
+export { USERS_COLLECTION };
@@ -1,15 +1,51 @@
 // Authentication Context Provider
-import React, { createContext, useContext, useEffect, useReducer } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useReducer, useRef } from 'react';
+import { Alert, AppState, StyleSheet, View } from 'react-native';
 import { isFirebaseConfigured } from '../api/firebase';
-import { clearAuthData, getUserData } from '../utils/storage';
-import { onAuthStateChange } from './authActions';
+import { subscribeToUserProfile } from '../api/userProfile';
+import {
+  clearAuthData,
+  clearPendingEmailChange,
+  getLastLogin,
+  getPendingEmailChange,
+  getSavedAccounts,
+  getUserData,
+} from '../utils/storage';
+import {
+  enforcePinLockout,
+  getAppPinLength,
+  isBiometricUnlockEnabled,
+  isPinLockedOut,
+  logoutUser,
+  onAuthStateChange,
+  onRolesChange,
+  reloadUser,
+} from './authActions';
+import { AUTH_CONFIG } from './authConfig';
+import { startTokenManager } from './tokenManager';
+
+// How often the session policy checks the idle time and session age
+const SESSION_CHECK_INTERVAL_MS = 5000;
 
 // Initial authentication state
 const initialState = {
   isAuthenticated: false,
   user: null,
+  isAnonymous: false,
   isLoading: true,
+  isInitializing: true,
   error: null,
+  pendingLink: null,
+  pendingMfa: null,
+  pendingEmailLink: null,
+  pendingEmail: null,
+  profile: null,
+  isLocked: false,
+  isBiometricUnlockEnabled: false,
+  appPinLength: null,
+  sessionWarning: null,
+  roles: [],
+  savedAccounts: [],
 };
 
 // Authentication action types
@@ -26,6 +62,25 @@ const AUTH_ACTIONS = {
   LOGOUT_FAILURE: 'LOGOUT_FAILURE',
   CLEAR_ERROR: 'CLEAR_ERROR',
   SET_LOADING: 'SET_LOADING',
+  LINK_REQUIRED: 'LINK_REQUIRED',
+  LINK_CLEARED: 'LINK_CLEARED',
+  MFA_REQUIRED: 'MFA_REQUIRED',
+  MFA_CLEARED: 'MFA_CLEARED',
+  USER_UPDATED: 'USER_UPDATED',
+  PROFILE_UPDATED: 'PROFILE_UPDATED',
+  PROFILE_DATA_CHANGED: 'PROFILE_DATA_CHANGED',
+  EMAIL_LINK_RECEIVED: 'EMAIL_LINK_RECEIVED',
+  EMAIL_LINK_CLEARED: 'EMAIL_LINK_CLEARED',
+  EMAIL_CHANGE_REQUESTED: 'EMAIL_CHANGE_REQUESTED',
+  EMAIL_CHANGE_CLEARED: 'EMAIL_CHANGE_CLEARED',
+  SESSION_LOCKED: 'SESSION_LOCKED',
+  SESSION_UNLOCKED: 'SESSION_UNLOCKED',
+  BIOMETRIC_UNLOCK_CHANGED: 'BIOMETRIC_UNLOCK_CHANGED',
+  APP_PIN_CHANGED: 'APP_PIN_CHANGED',
+  SESSION_WARNING_SHOWN: 'SESSION_WARNING_SHOWN',
+  SESSION_WARNING_CLEARED: 'SESSION_WARNING_CLEARED',
+  ROLES_CHANGED: 'ROLES_CHANGED',
+  SAVED_ACCOUNTS_CHANGED: 'SAVED_ACCOUNTS_CHANGED',
 };
 
 // Authentication reducer
@@ -36,7 +91,13 @@ const authReducer = (state, action) => {
         ...state,
         isAuthenticated: action.payload.isAuthenticated,
         user: action.payload.user,
+        isAnonymous: action.payload.user?.isAnonymous || false,
+        pendingEmail: action.payload.pendingEmail || null,
+        isLocked: action.payload.isLocked || false,
+        isBiometricUnlockEnabled: action.payload.isBiometricUnlockEnabled || false,
+        appPinLength: action.payload.appPinLength || null,
         isLoading: false,
+        isInitializing: false,
         error: null,
       };
 
@@ -54,16 +115,39 @@ const authReducer = (state, action) => {
         ...state,
         isAuthenticated: true,
         user: action.payload.user,
+        isAnonymous: action.payload.user?.isAnonymous || false,
         isLoading: false,
         error: null,
+        pendingLink: null,
+        pendingMfa: null,
+        pendingEmailLink: null,
       };
 
-    case AUTH_ACTIONS.LOGIN_FAILURE:
     case AUTH_ACTIONS.REGISTER_FAILURE:
+      // A guest whose upgrade failed is still signed in as a guest
+      if (state.isAnonymous) {
+        return {
+          ...state,
+          isLoading: false,
+          error: action.payload.error,
+        };
+      }
+
+      return {
+        ...state,
+        isAuthenticated: false,
+        user: null,
+        isAnonymous: false,
+        isLoading: false,
+        error: action.payload.error,
+      };
+
+    case AUTH_ACTIONS.LOGIN_FAILURE:
       return {
         ...state,
         isAuthenticated: false,
         user: null,
+        isAnonymous: false,
         isLoading: false,
         error: action.payload.error,
       };
@@ -80,8 +164,17 @@ const authReducer = (state, action) => {
         ...state,
         isAuthenticated: false,
         user: null,
+        isAnonymous: false,
         isLoading: false,
         error: null,
+        pendingLink: null,
+        pendingMfa: null,
+        pendingEmail: null,
+        isLocked: false,
+        isBiometricUnlockEnabled: false,
+        appPinLength: null,
+        sessionWarning: null,
+        roles: [],
       };
 
     case AUTH_ACTIONS.LOGOUT_FAILURE:
@@ -103,6 +196,132 @@ const authReducer = (state, action) => {
         isLoading: action.payload.isLoading,
       };
 
+    case AUTH_ACTIONS.LINK_REQUIRED:
+      return {
+        ...state,
+        isLoading: false,
+        error: action.payload.error,
+        pendingLink: action.payload.pendingLink,
+      };
+
+    case AUTH_ACTIONS.LINK_CLEARED:
+      return {
+        ...state,
+        error: null,
+        pendingLink: null,
+      };
+
+    case AUTH_ACTIONS.MFA_REQUIRED:
+      return {
+        ...state,
+        isLoading: false,
+        error: null,
+        pendingMfa: action.payload.pendingMfa,
+      };
+
+    case AUTH_ACTIONS.MFA_CLEARED:
+      return {
+        ...state,
+        pendingMfa: null,
+      };
+
+    case AUTH_ACTIONS.USER_UPDATED:
+      return {
+        ...state,
+        user: action.payload.user,
+        isAnonymous: action.payload.user?.isAnonymous || false,
+        // A pending email change is done once the user has the new address
+        pendingEmail: action.payload.user?.email === state.pendingEmail ? null : state.pendingEmail,
+      };
+
+    case AUTH_ACTIONS.PROFILE_UPDATED:
+      return {
+        ...state,
+        user: state.user ? { ...state.user, ...action.payload.profile } : state.user,
+      };
+
+    case AUTH_ACTIONS.PROFILE_DATA_CHANGED:
+      return {
+        ...state,
+        profile: action.payload.profile,
+      };
+
+    case AUTH_ACTIONS.EMAIL_LINK_RECEIVED:
+      return {
+        ...state,
+        isLoading: false,
+        error: null,
+        pendingEmailLink: action.payload.url,
+      };
+
+    case AUTH_ACTIONS.EMAIL_LINK_CLEARED:
+      return {
+        ...state,
+        error: null,
+        pendingEmailLink: null,
+      };
+
+    case AUTH_ACTIONS.EMAIL_CHANGE_REQUESTED:
+      return {
+        ...state,
+        pendingEmail: action.payload.email,
+      };
+
+    case AUTH_ACTIONS.EMAIL_CHANGE_CLEARED:
+      return {
+        ...state,
+        pendingEmail: null,
+      };
+
+    case AUTH_ACTIONS.SESSION_LOCKED:
+      return {
+        ...state,
+        isLocked: true,
+        sessionWarning: null,
+      };
+
+    case AUTH_ACTIONS.SESSION_UNLOCKED:
+      return {
+        ...state,
+        isLocked: false,
+      };
+
+    case AUTH_ACTIONS.BIOMETRIC_UNLOCK_CHANGED:
+      return {
+        ...state,
+        isBiometricUnlockEnabled: action.payload.enabled,
+      };
+
+    case AUTH_ACTIONS.APP_PIN_CHANGED:
+      return {
+        ...state,
+        appPinLength: action.payload.length,
+      };
+
+    case AUTH_ACTIONS.SESSION_WARNING_SHOWN:
+      return {
+        ...state,
+        sessionWarning: action.payload.warning,
+      };
+
+    case AUTH_ACTIONS.SESSION_WARNING_CLEARED:
+      return {
+        ...state,
+        sessionWarning: null,
+      };
+
+    case AUTH_ACTIONS.ROLES_CHANGED:
+      return {
+        ...state,
+        roles: action.payload.roles,
+      };
+
+    case AUTH_ACTIONS.SAVED_ACCOUNTS_CHANGED:
+      return {
+        ...state,
+        savedAccounts: action.payload.accounts,
+      };
+
     default:
       return state;
   }
@@ -120,6 +339,10 @@ export const AuthProvider = ({ children }) => {
 
   useEffect(() => {
     let unsubscribe = null;
+    let stopTokenManager = null;
+    let unsubscribeRoles = null;
+    // Only a session restored on cold start is locked, not a fresh sign-in
+    let isColdStart = true;
 
     const initializeAuth = async () => {
       try {
@@ -140,19 +363,47 @@ export const AuthProvider = ({ children }) => {
         // Set up Firebase auth state listener
         unsubscribe = onAuthStateChange(async (authState) => {
           if (authState.isAuthenticated && authState.user) {
-            // User is authenticated, try to get stored user data
+            // User is authenticated, merge fresh Firebase fields (e.g. emailVerified) into stored user data
+            // The stored data may still belong to the previous account right after switching accounts
             const storedUserData = await getUserData();
-            const user = storedUserData || authState.user;
+            const user = storedUserData?.uid === authState.user.uid
+              ? { ...storedUserData, ...authState.user }
+              : authState.user;
+
+            // Drop an email change that was confirmed while the app was closed
+            let pendingEmail = await getPendingEmailChange(user.uid);
+            if (pendingEmail && pendingEmail === user.email) {
+              await clearPendingEmailChange(user.uid);
+              pendingEmail = null;
+            }
+
+            // Hold a restored session behind the lock screen when biometric unlock or a PIN is on
+            const [biometricUnlockEnabled, appPinLength] = await Promise.all([
+              isBiometricUnlockEnabled(),
+              getAppPinLength(),
+            ]);
+
+            // The app closed before too many wrong PINs signed the user out, finish that now
+            if (isColdStart && appPinLength !== null && await isPinLockedOut(user.uid)) {
+              const lockoutResult = await enforcePinLockout(user.uid);
+              if (lockoutResult.signedOut) {
+                return;
+              }
+            }
 
             dispatch({
               type: AUTH_ACTIONS.AUTH_STATE_CHANGED,
               payload: {
                 isAuthenticated: true,
                 user: user,
+                pendingEmail,
+                isLocked: isColdStart && (biometricUnlockEnabled || appPinLength !== null),
+                isBiometricUnlockEnabled: biometricUnlockEnabled,
+                appPinLength,
               },
             });
           } else {
-            // User is not authenticated, clear any stored data
+            // User is not authenticated, clear the stored session (saved accounts keep their data)
             await clearAuthData();
             dispatch({
               type: AUTH_ACTIONS.AUTH_STATE_CHANGED,
@@ -162,6 +413,24 @@ export const AuthProvider = ({ children }) => {
               },
             });
           }
+
+          isColdStart = false;
+
+          dispatch({
+            type: AUTH_ACTIONS.SAVED_ACCOUNTS_CHANGED,
+            payload: { accounts: await getSavedAccounts() },
+          });
+        });
+
+        // Keep the ID token fresh while a user is signed in
+        stopTokenManager = startTokenManager();
+
+        // Roles come from custom claims, re-read whenever the ID token changes
+        unsubscribeRoles = onRolesChange((roles) => {
+          dispatch({
+            type: AUTH_ACTIONS.ROLES_CHANGED,
+            payload: { roles },
+          });
         });
       } catch (error) {
         console.error('Auth initialization error:', error);
@@ -182,25 +451,286 @@ export const AuthProvider = ({ children }) => {
       if (unsubscribe) {
         unsubscribe();
       }
+      if (stopTokenManager) {
+        stopTokenManager();
+      }
+      if (unsubscribeRoles) {
+        unsubscribeRoles();
+      }
+    };
+  }, []);
+
+  // Guests have no profile document
+  const profileUid = state.isAuthenticated && !state.isAnonymous ? state.user?.uid : null;
+
+  // Keep the Firestore profile (bio, preferences, ...) in sync with the signed-in user
+  useEffect(() => {
+    if (!profileUid || !isFirebaseConfigured) {
+      dispatch({
+        type: AUTH_ACTIONS.PROFILE_DATA_CHANGED,
+        payload: { profile: null },
+      });
+      return undefined;
+    }
+
+    return subscribeToUserProfile(profileUid, (profile) => {
+      dispatch({
+        type: AUTH_ACTIONS.PROFILE_DATA_CHANGED,
+        payload: { profile },
+      });
+    });
+  }, [profileUid]);
+
+  // Signed in with an email address that has not been verified yet (guests and phone users have none)
+  const isAwaitingVerification = state.isAuthenticated
+    && Boolean(state.user?.email)
+    && !state.user?.emailVerified
+    && !state.isAnonymous;
+
+  // Waiting for the user to click the link sent to their new address
+  const isAwaitingEmailChange = state.isAuthenticated && Boolean(state.pendingEmail);
+
+  // Pick up the verification or email change as soon as the user clicks the link in the email
+  useEffect(() => {
+    if (!isAwaitingVerification && !isAwaitingEmailChange) {
+      return undefined;
+    }
+
+    const checkEmailStatus = async () => {
+      const result = await reloadUser();
+
+      if (result.success && ((isAwaitingVerification && result.user.emailVerified) || result.emailChanged)) {
+        dispatch({
+          type: AUTH_ACTIONS.USER_UPDATED,
+          payload: { user: result.user },
+        });
+      }
+    };
+
+    // Poll while the app is open, and check right away when it comes back to the foreground
+    const interval = setInterval(() => {
+      if (AppState.currentState === 'active') {
+        checkEmailStatus();
+      }
+    }, AUTH_CONFIG.EMAIL_VERIFICATION_POLL_SECONDS * 1000);
+
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'active') {
+        checkEmailStatus();
+      }
+    });
+
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+    };
+  }, [isAwaitingVerification, isAwaitingEmailChange]);
+
+  // Lock again after the app has been in the background for too long
+  const canLock = state.isAuthenticated
+    && !state.isAnonymous
+    && (state.isBiometricUnlockEnabled || state.appPinLength !== null);
+  const backgroundedAtRef = useRef(null);
+
+  useEffect(() => {
+    if (!canLock) {
+      return undefined;
+    }
+
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      // Only 'background' counts; iOS goes 'inactive' while Face ID is shown
+      if (nextAppState === 'background') {
+        backgroundedAtRef.current = Date.now();
+        return;
+      }
+
+      if (nextAppState === 'active' && backgroundedAtRef.current) {
+        const secondsInBackground = (Date.now() - backgroundedAtRef.current) / 1000;
+        backgroundedAtRef.current = null;
+
+        if (secondsInBackground >= AUTH_CONFIG.APP_LOCK_TIMEOUT_SECONDS) {
+          dispatch({ type: AUTH_ACTIONS.SESSION_LOCKED });
+        }
+      }
+    });
+
+    return () => {
+      backgroundedAtRef.current = null;
+      subscription.remove();
     };
+  }, [canLock]);
+
+  // Session policy: end the session after an idle period or once it is too old (guests are never signed out,
+  // that would lose their account)
+  const isSessionPolicyActive = state.isAuthenticated
+    && !state.isAnonymous
+    && (AUTH_CONFIG.SESSION_IDLE_TIMEOUT_MINUTES > 0 || AUTH_CONFIG.SESSION_MAX_AGE_HOURS > 0);
+
+  // Locking only helps if there is a way to unlock, otherwise sign out. Email link and OAuth-only accounts
+  // have no password to unlock with (email link accounts are still listed under the 'password' provider)
+  const canUnlock = state.isBiometricUnlockEnabled
+    || state.appPinLength !== null
+    || Boolean(state.user?.hasPassword);
+  const idleAction = AUTH_CONFIG.SESSION_IDLE_ACTION === 'lock' && canUnlock ? 'lock' : 'logout';
+
+  const lastActivityRef = useRef(Date.now());
+  const sessionWarningRef = useRef(null);
+
+  /**
+   * Restart the idle timer and hide the warning
+   */
+  const resetIdleTimer = useCallback(() => {
+    lastActivityRef.current = Date.now();
+
+    if (sessionWarningRef.current) {
+      sessionWarningRef.current = null;
+      dispatch({ type: AUTH_ACTIONS.SESSION_WARNING_CLEARED });
+    }
   }, []);
 
+  /**
+   * Count any touch as activity, unless the warning is showing (then only "Stay Signed In" counts)
+   * @returns {boolean} Always false, so the touch still reaches its target
+   */
+  const handleTouchCapture = () => {
+    if (!sessionWarningRef.current) {
+      lastActivityRef.current = Date.now();
+    }
+    return false;
+  };
+
+  useEffect(() => {
+    if (!isSessionPolicyActive) {
+      return undefined;
+    }
+
+    // The idle timer starts when the user signs in or unlocks
+    lastActivityRef.current = Date.now();
+
+    const idleTimeoutMs = AUTH_CONFIG.SESSION_IDLE_TIMEOUT_MINUTES * 60 * 1000;
+    const maxAgeMs = AUTH_CONFIG.SESSION_MAX_AGE_HOURS * 60 * 60 * 1000;
+    const warningMs = AUTH_CONFIG.SESSION_WARNING_SECONDS * 1000;
+    let isEnding = false;
+    let hasShownAgeWarning = false;
+
+    const endSession = async (reason) => {
+      isEnding = true;
+      sessionWarningRef.current = null;
+
+      if (reason === 'idle' && idleAction === 'lock') {
+        dispatch({ type: AUTH_ACTIONS.SESSION_LOCKED });
+        return;
+      }
+
+      const result = await logoutUser();
+      if (result.success) {
+        dispatch({ type: AUTH_ACTIONS.LOGOUT_SUCCESS });
+        Alert.alert(
+          'Session Expired',
+          reason === 'idle'
+            ? 'You were signed out because the app was not used for a while.'
+            : 'For your security, please sign in again.'
+        );
+      } else {
+        isEnding = false;
+      }
+    };
+
+    const showWarning = (reason, expiresAt) => {
+      if (sessionWarningRef.current?.reason === reason) {
+        return;
+      }
+
+      sessionWarningRef.current = { reason, expiresAt };
+      dispatch({
+        type: AUTH_ACTIONS.SESSION_WARNING_SHOWN,
+        payload: { warning: sessionWarningRef.current },
+      });
+    };
+
+    const checkSession = async () => {
+      if (isEnding) {
+        return;
+      }
+
+      const now = Date.now();
+
+      // Absolute session age, also enforced while the app is locked
+      if (maxAgeMs > 0) {
+        const lastLogin = await getLastLogin();
+        const expiresAt = lastLogin ? lastLogin.getTime() + maxAgeMs : null;
+
+        if (expiresAt && now >= expiresAt) {
+          await endSession('age');
+          return;
+        }
+
+        // Warn once, the session cannot be extended past its maximum age
+        if (expiresAt && now >= expiresAt - warningMs && !hasShownAgeWarning && !state.isLocked) {
+          hasShownAgeWarning = true;
+          showWarning('age', expiresAt);
+          return;
+        }
+      }
+
+      if (idleTimeoutMs > 0 && !state.isLocked) {
+        const expiresAt = lastActivityRef.current + idleTimeoutMs;
+
+        if (now >= expiresAt) {
+          await endSession('idle');
+        } else if (now >= expiresAt - warningMs) {
+          showWarning('idle', expiresAt);
+        }
+      }
+    };
+
+    checkSession();
+    const interval = setInterval(checkSession, SESSION_CHECK_INTERVAL_MS);
+
+    // Timers do not run in the background, so check as soon as the app is back
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'active') {
+        checkSession();
+      }
+    });
+
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+
+      if (sessionWarningRef.current) {
+        sessionWarningRef.current = null;
+        dispatch({ type: AUTH_ACTIONS.SESSION_WARNING_CLEARED });
+      }
+    };
+  }, [isSessionPolicyActive, state.isLocked, idleAction]);
+
   const contextValue = {
     state,
     dispatch,
     // Auth action types for use in components
     AUTH_ACTIONS,
+    isAwaitingVerification,
+    resetIdleTimer,
     // Configuration status
     isFirebaseConfigured,
   };
 
   return (
     <AuthContext.Provider value={contextValue}>
-      {children}
+      <View style={styles.container} onStartShouldSetResponderCapture={handleTouchCapture}>
+        {children}
+      </View>
     </AuthContext.Provider>
   );
 };
 
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+});
+
 // Custom hook to use auth context
 export const useAuthContext = () => {
   const context = useContext(AuthContext);
@@ -0,0 +1,105 @@
+// App PIN, stored per account as a salted SHA-256 hash (never in plain text)
+import * as Crypto from 'expo-crypto';
+
+import {
+  getAccountKey,
+  getSecureItem,
+  removeSecureItem,
+  setSecureItem,
+  STORAGE_KEYS,
+} from '../utils/storage';
+
+// Random salt generated for every new PIN
+const SALT_BYTES = 16;
+
+/**
+ * Hex encode random bytes
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+const toHex = (bytes) => {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Hash a PIN with its salt
+ * @param {string} salt - Hex encoded salt
+ * @param {string} pin - PIN as entered by the user
+ * @returns {Promise<string>} Hex encoded SHA-256 hash
+ */
+const hashPin = (salt, pin) => {
+  return Crypto.digestStringAsync(
+    Crypto.CryptoDigestAlgorithm.SHA256,
+    `${salt}:${pin}`
+  );
+};
+
+/**
+ * Get the stored PIN record
+ * @param {string} uid - User ID
+ * @returns {Promise<{salt: string, hash: string, length: number}|null>}
+ */
+const getPinRecord = async (uid) => {
+  const value = await getSecureItem(getAccountKey(STORAGE_KEYS.APP_PIN, uid));
+
+  if (!value) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Error parsing app PIN:', error);
+    return null;
+  }
+};
+
+/**
+ * Store a new PIN, replacing any previous one
+ * @param {string} uid - User ID
+ * @param {string} pin - New PIN
+ */
+export const storePin = async (uid, pin) => {
+  const salt = toHex(Crypto.getRandomBytes(SALT_BYTES));
+  const hash = await hashPin(salt, pin);
+
+  await setSecureItem(getAccountKey(STORAGE_KEYS.APP_PIN, uid), JSON.stringify({
+    salt,
+    hash,
+    length: pin.length,
+  }));
+};
+
+/**
+ * Check a PIN against the stored hash
+ * @param {string} uid - User ID
+ * @param {string} pin - PIN as entered by the user
+ * @returns {Promise<boolean>} Whether the PIN matches (false if no PIN is set)
+ */
+export const verifyPin = async (uid, pin) => {
+  const record = await getPinRecord(uid);
+
+  if (!record) {
+    return false;
+  }
+
+  return (await hashPin(record.salt, pin)) === record.hash;
+};
+
+/**
+ * Remove the stored PIN
+ * @param {string} uid - User ID
+ */
+export const removePin = async (uid) => {
+  await removeSecureItem(getAccountKey(STORAGE_KEYS.APP_PIN, uid));
+};
+
+/**
+ * Get the number of digits in the stored PIN
+ * @param {string} uid - User ID
+ * @returns {Promise<number|null>} PIN length, or null if no PIN is set
+ */
+export const getPinLength = async (uid) => {
+  const record = await getPinRecord(uid);
+  return record ? record.length : null;
+};
@@ -1,28 +1,619 @@
 // Authentication actions using Firebase Auth
 import {
+  EmailAuthProvider,
+  PhoneAuthProvider,
+  PhoneMultiFactorGenerator,
+  TotpMultiFactorGenerator,
+  confirmPasswordReset,
   createUserWithEmailAndPassword,
+  deleteUser,
+  fetchSignInMethodsForEmail,
   getIdToken,
+  getIdTokenResult,
+  getMultiFactorResolver,
+  isSignInWithEmailLink,
+  linkWithCredential,
+  linkWithPopup,
+  multiFactor,
   onAuthStateChanged,
+  onIdTokenChanged,
+  reauthenticateWithCredential,
+  reauthenticateWithPopup,
+  reload,
+  sendEmailVerification,
   sendPasswordResetEmail,
+  sendSignInLinkToEmail,
+  signInAnonymously,
+  signInWithCredential,
   signInWithEmailAndPassword,
+  signInWithEmailLink,
+  signInWithPhoneNumber,
+  signInWithPopup,
   signOut,
+  unlink,
+  updatePassword,
   updateProfile,
+  verifyBeforeUpdateEmail,
+  verifyPasswordResetCode,
 } from 'firebase/auth';
-import { auth } from '../api/firebase';
+import { deleteDoc, doc } from 'firebase/firestore';
+import { deleteObject, getDownloadURL, ref, uploadBytesResumable } from 'firebase/storage';
+import Constants from 'expo-constants';
+import * as Linking from 'expo-linking';
+import { Platform } from 'react-native';
+import { apiPost } from '../api/client';
+import { auth, db, storage } from '../api/firebase';
+import { createRecoveryCodes } from '../api/recoveryCodes';
+import { recordUserSignIn, updateUserProfileDocument } from '../api/userProfile';
 import {
   checkLoginRateLimit,
+  checkPasswordResetRateLimit,
+  checkPhoneRateLimit,
+  checkPinRateLimit,
   checkRegisterRateLimit,
+  checkVerificationEmailRateLimit,
+  clearPinAttempts,
+  clearRateLimitData,
   recordLoginAttempt,
+  recordPasswordResetAttempt,
+  recordPhoneAttempt,
+  recordPinAttempt,
   recordRegisterAttempt,
+  recordVerificationEmailAttempt,
 } from '../utils/delay';
 import {
+  clearAccountData,
   clearAuthData,
+  clearEmailForSignIn,
+  clearPendingEmailChange,
+  getEmailForSignIn,
+  getPendingEmailChange,
+  getBiometricPreference,
+  getSavedAccounts,
+  getUserData,
+  removeSavedAccount,
+  saveAccount,
+  storeBiometricPreference,
+  storeEmailForSignIn,
+  storePendingEmailChange,
   storeTokens,
   storeUserData
 } from '../utils/storage';
+import { validatePin } from '../utils/validation';
+import { getPinLength, removePin, storePin, verifyPin } from './appPin';
+import { AUTH_CONFIG } from './authConfig';
+import { authenticateWithBiometrics, getBiometricSupport } from './biometrics';
+import { buildFirebaseProvider, getProvider, getProviderByProviderId } from './providers';
+import { createRecaptchaVerifier } from './recaptcha';
+import { getRolesFromClaims } from './roles';
+
+// Firebase only allows sensitive operations this long after signing in
+const RECENT_LOGIN_WINDOW_MS = 5 * 60 * 1000;
+
+/**
+ * Storage reference for a user's avatar
+ * @param {string} uid - User ID
+ * @returns {Object} Storage reference
+ */
+const getAvatarRef = (uid) => ref(storage, `avatars/${uid}`);
+
+// Credential from an OAuth sign-in that hit an existing account, waiting to be linked
+let pendingLink = null;
+
+// Phone sign-in waiting for its SMS code, and the verifier that started it
+let phoneConfirmation = null;
+let phoneVerifier = null;
+
+// Sign-in waiting for a second factor, and the SMS verification sent for it
+let mfaResolver = null;
+let mfaVerificationId = null;
+// Whether that second factor confirms a signed-in user's identity rather than a new sign-in
+let mfaIsReauth = false;
+// Whether the first factor of that sign-in was a password
+let mfaHasPassword = false;
+
+// Reauthentication just completed with a second factor, honoured once by reauthenticateUser
+let multiFactorReauth = null;
+
+// Phone number waiting to be confirmed as a second factor
+let phoneEnrollmentVerificationId = null;
+
+// TOTP secret waiting for the first code from the authenticator app
+let totpSecret = null;
+
+/**
+ * Convert an enrolled second factor into a plain object
+ * @param {Object} factor - Firebase MultiFactorInfo
+ * @returns {Object} Factor data
+ */
+const serializeFactor = (factor) => ({
+  uid: factor.uid,
+  factorId: factor.factorId,
+  displayName: factor.displayName || '',
+  enrollmentTime: factor.enrollmentTime,
+  phoneNumber: factor.phoneNumber || null,
+});
+
+/**
+ * Convert a Firebase user into the plain user data object kept in state and storage
+ * @param {Object} user - Firebase user
+ * @returns {Object} User data
+ */
+const serializeUser = (user) => ({
+  uid: user.uid,
+  email: user.email,
+  displayName: user.displayName || '',
+  emailVerified: user.emailVerified,
+  photoURL: user.photoURL,
+  isAnonymous: user.isAnonymous,
+  providerIds: user.providerData.map((profile) => profile.providerId),
+  multiFactors: multiFactor(user).enrolledFactors.map(serializeFactor),
+});
+
+/**
+ * Merge the current Firebase user into the cached user data
+ * @param {Object} user - Firebase user
+ * @param {Object} fields - Extra fields to store (e.g. hasPassword)
+ * @returns {Promise<Object>} The updated user data
+ */
+const updateStoredUser = async (user, fields = {}) => {
+  const storedUserData = await getUserData();
+  const userData = { ...storedUserData, ...serializeUser(user), ...fields };
+
+  await storeUserData(userData);
+  await rememberAccount(userData);
+
+  return userData;
+};
+
+/**
+ * Add or refresh the user's entry in the account switcher without failing the caller
+ * Guests are not remembered, they could never sign back in
+ * @param {Object} userData - Serialized user data
+ */
+const rememberAccount = async (userData) => {
+  if (userData.isAnonymous) {
+    return;
+  }
+
+  try {
+    await saveAccount(userData);
+  } catch (error) {
+    console.warn('Failed to save account:', error);
+  }
+};
+
+/**
+ * Create or refresh the user's Firestore profile without failing the sign-in
+ * @param {Object} user - Firebase user
+ */
+const syncUserProfile = async (user) => {
+  // Guests get a profile document once they upgrade
+  if (!db || user.isAnonymous) {
+    return;
+  }
+
+  try {
+    await recordUserSignIn(user);
+  } catch (error) {
+    console.warn('Failed to sync user profile:', error);
+  }
+};
+
+/**
+ * Merge fields into the user's Firestore profile without failing the caller
+ * @param {Object} user - Firebase user
+ * @param {Object} fields - Fields to update
+ */
+const updateUserProfileFields = async (user, fields) => {
+  if (!db || user.isAnonymous) {
+    return;
+  }
+
+  try {
+    await updateUserProfileDocument(user.uid, fields);
+  } catch (error) {
+    console.warn('Failed to update user profile:', error);
+  }
+};
+
+/**
+ * Store tokens and user data for a user who just signed in
+ * @param {Object} user - Firebase user
+ * @param {Object} options - Session details
+ * @param {boolean} options.hasPassword - Whether the user signed in with a password. Email link accounts are
+ * listed under the 'password' provider too, so the provider list alone cannot tell
+ * @returns {Promise<Object>} The stored user data
+ */
+const persistUserSession = async (user, { hasPassword = false } = {}) => {
+  // Get ID token for storage
+  const idToken = await getIdToken(user);
+
+  const userData = {
+    ...serializeUser(user),
+    hasPassword,
+    lastLoginAt: new Date().toISOString(),
+  };
+
+  await storeTokens(idToken, user.refreshToken || '');
+  await storeUserData(userData);
+  await rememberAccount(userData);
+  await syncUserProfile(user);
+
+  return userData;
+};
+
+/**
+ * Remember the credential from a sign-in that collided with an existing account
+ * @param {Object} error - Firebase auth/account-exists-with-different-credential error
+ * @param {Object} provider - Provider entry the user tried to sign in with
+ * @param {Object|null} credential - Credential obtained natively, if any
+ * @returns {Promise<Object>} Link details for the UI
+ */
+const storePendingLink = async (error, provider, credential) => {
+  const email = error.customData?.email || '';
+  const pendingCredential = credential || provider.credentialFromError(error);
+
+  // Returns an empty list when email enumeration protection is on
+  let methods = [];
+  if (email) {
+    try {
+      methods = await fetchSignInMethodsForEmail(auth, email);
+    } catch (fetchError) {
+      console.warn('Could not fetch sign-in methods:', fetchError);
+    }
+  }
+
+  pendingLink = pendingCredential ? { email, credential: pendingCredential } : null;
+
+  return {
+    email,
+    methods,
+    providerId: provider.providerId,
+    providerName: provider.name,
+  };
+};
+
+/**
+ * Link the pending credential to a user who just signed in with their existing method
+ * @param {Object} user - Firebase user
+ * @returns {Promise<string|null>} Linked provider ID, or null if nothing was linked
+ */
+const linkPendingCredential = async (user) => {
+  if (!pendingLink) {
+    return null;
+  }
+
+  const { email, credential } = pendingLink;
+  pendingLink = null;
+
+  // Only link into the account the conflict was reported for
+  if (email && user.email?.toLowerCase() !== email.toLowerCase()) {
+    return null;
+  }
+
+  try {
+    await linkWithCredential(user, credential);
+    return credential.providerId;
+  } catch (error) {
+    console.warn('Failed to link pending credential:', error);
+    return null;
+  }
+};
+
+/**
+ * Build action code settings so links in auth emails open the app
+ * @param {string} configuredUrl - Continue URL from the auth config
+ * @returns {Object|null} Action code settings, or null if no continue URL is available
+ */
+const getActionCodeSettings = (configuredUrl) => {
+  const url = configuredUrl
+    || (Platform.OS === 'web' ? window.location.origin : '');
+
+  if (!url) {
+    return null;
+  }
+
+  const { ios, android } = Constants.expoConfig || {};
+
+  return {
+    url,
+    handleCodeInApp: true,
+    ...(ios?.bundleIdentifier && { iOS: { bundleId: ios.bundleIdentifier } }),
+    ...(android?.package && {
+      android: { packageName: android.package, installApp: true },
+    }),
+  };
+};
+
+/**
+ * Read the one-time code from an email action link
+ * @param {string} url - Incoming URL
+ * @param {string} mode - Expected action (e.g. 'resetPassword')
+ * @returns {string|null} The oobCode, or null if the URL is not that kind of link
+ */
+const getActionCode = (url, mode) => {
+  const { queryParams } = Linking.parse(url);
+
+  if (queryParams?.mode === mode && queryParams.oobCode) {
+    return queryParams.oobCode;
+  }
+
+  // Links that went through Firebase Hosting wrap the action URL in a parameter
+  const wrappedUrl = queryParams?.link || queryParams?.deep_link_id;
+
+  return wrappedUrl ? getActionCode(wrappedUrl, mode) : null;
+};
+
+/**
+ * Confirm the current user's identity with their password
+ * Needed before sensitive operations, which Firebase rejects with auth/requires-recent-login otherwise
+ * @param {Object} user - Firebase user
+ * @param {string} password - Current password
+ * @returns {Promise<void>}
+ */
+const reauthenticateWithPassword = async (user, password) => {
+  const credential = EmailAuthProvider.credential(user.email, password);
+  await reauthenticateWithCredential(user, credential);
+};
+
+/**
+ * Confirm the current user's identity by signing in with one of their OAuth providers again
+ * @param {Object} user - Firebase user
+ * @param {Object} provider - Provider entry from the registry
+ * @returns {Promise<boolean>} false if the user cancelled
+ */
+const reauthenticateWithProvider = async (user, provider) => {
+  if (Platform.OS === 'web') {
+    await reauthenticateWithPopup(user, buildFirebaseProvider(provider));
+    return true;
+  }
+
+  if (!provider.getCredential) {
+    throw Object.assign(new Error(`${provider.name} sign-in is not supported on this device.`), {
+      code: 'auth/operation-not-supported-in-this-environment',
+    });
+  }
+
+  const credentialResult = await provider.getCredential();
+  if (!credentialResult) {
+    return false;
+  }
+
+  await reauthenticateWithCredential(user, credentialResult.credential);
+  return true;
+};
+
+/**
+ * Check whether the user signed in recently enough for Firebase to allow sensitive operations
+ * @param {Object} user - Firebase user
+ * @returns {boolean}
+ */
+const hasRecentLogin = (user) => {
+  const lastSignIn = Date.parse(user.metadata.lastSignInTime);
+  return Date.now() - lastSignIn < RECENT_LOGIN_WINDOW_MS;
+};
+
+/**
+ * Check whether the user has a password to confirm their identity with
+ * Email link accounts are listed under the 'password' provider too, so this relies on how they signed in
+ * @param {Object} user - Firebase user
+ * @returns {Promise<boolean>}
+ */
+const hasPasswordCredential = async (user) => {
+  const storedUserData = await getUserData();
+  return storedUserData?.uid === user.uid && Boolean(storedUserData.hasPassword);
+};
+
+/**
+ * Confirm the current user's identity before a sensitive change
+ * Uses the password when the account has one, otherwise an enabled OAuth provider
+ * @param {Object} user - Firebase user
+ * @param {string} password - Current password (email/password accounts only)
+ * @param {string} purpose - What the user is doing, used in messages (e.g. 'deleting your account')
+ * @param {Object} options - Reauthentication options
+ * @param {boolean} options.requireCredential - Never accept a recent sign-in alone. It satisfies Firebase,
+ * but does not prove who is holding the device (e.g. when unlocking)
+ * @returns {Promise<Object|null>} A failure result to return to the caller, or null once confirmed
+ */
+const reauthenticateUser = async (user, password, purpose, { requireCredential = false } = {}) => {
+  // The caller is retrying after the user confirmed their second factor
+  if (multiFactorReauth?.uid === user.uid && Date.now() - multiFactorReauth.at < RECENT_LOGIN_WINDOW_MS) {
+    multiFactorReauth = null;
+    return null;
+  }
+
+  const providerIds = user.providerData.map((profile) => profile.providerId);
+  const oauthProvider = providerIds
+    .map(getProviderByProviderId)
+    .find((provider) => provider?.enabled);
+
+  // A password the user typed is tried whenever the account has the provider (e.g. when changing the password)
+  const usePassword = providerIds.includes('password')
+    && (Boolean(password) || await hasPasswordCredential(user));
+
+  try {
+    if (usePassword) {
+      if (!password) {
+        return {
+          success: false,
+          error: 'Please enter your password to confirm.',
+        };
+      }
+
+      await reauthenticateWithPassword(user, password);
+
+      // Proven now, e.g. for a session that started with an email link
+      if (!await hasPasswordCredential(user)) {
+        await updateStoredUser(user, { hasPassword: true });
+      }
+    } else if (oauthProvider) {
+      const reauthenticated = await reauthenticateWithProvider(user, oauthProvider);
+
+      if (!reauthenticated) {
+        return {
+          success: false,
+          cancelled: true,
+          error: 'Sign-in was cancelled.',
+        };
+      }
+    } else if (requireCredential || (!user.isAnonymous && !hasRecentLogin(user))) {
+      // Phone and email link users cannot reauthenticate here
+      return {
+        success: false,
+        error: `For your security, please sign in again before ${purpose}.`,
+        requiresRecentLogin: true,
+      };
+    }
+  } catch (error) {
+    // Accounts with a second factor confirm it next (resolveMultiFactorSignIn), then the caller retries
+    if (error.code === 'auth/multi-factor-auth-required') {
+      return startMultiFactorChallenge(error, true);
+    }
+
+    throw error;
+  }
+
+  return null;
+};
+
+/**
+ * Map errors from creating or changing an email/password account to user-friendly messages
+ * @param {Object} error - Firebase error
+ * @param {string} fallbackMessage - Message for errors without a specific mapping
+ * @returns {string} Error message
+ */
+const getAccountErrorMessage = (error, fallbackMessage) => {
+  switch (error.code) {
+    case 'auth/email-already-in-use':
+    case 'auth/credential-already-in-use':
+      return 'An account with this email already exists.';
+    case 'auth/provider-already-linked':
+      return 'This account already has a password.';
+    case 'auth/invalid-email':
+    case 'auth/invalid-new-email':
+      return 'Please enter a valid email address.';
+    case 'auth/operation-not-allowed':
+      return 'Email/password accounts are not enabled.';
+    case 'auth/weak-password':
+      return 'Password should be at least 6 characters long.';
+    case 'auth/network-request-failed':
+      return 'Network error. Please check your connection.';
+    default:
+      return error.message || fallbackMessage;
+  }
+};
+
+/**
+ * Map errors from password reset codes to user-friendly messages
+ * @param {Object} error - Firebase error
+ * @returns {string} Error message
+ */
+const getPasswordResetErrorMessage = (error) => {
+  switch (error.code) {
+    case 'auth/expired-action-code':
+    case 'auth/invalid-action-code':
+      return 'This reset link is invalid or has expired. Please request a new one.';
+    case 'auth/weak-password':
+      return 'Password should be at least 6 characters long.';
+    case 'auth/user-disabled':
+      return 'This account has been disabled.';
+    case 'auth/user-not-found':
+      return 'No account found for this reset link.';
+    case 'auth/network-request-failed':
+      return 'Network error. Please check your connection.';
+    default:
+      return error.message || 'Failed to reset password. Please try again.';
+  }
+};
+
+/**
+ * Map errors from sending an SMS code to user-friendly messages
+ * @param {Object} error - Firebase error
+ * @returns {string} Error message
+ */
+const getPhoneCodeErrorMessage = (error) => {
+  switch (error.code) {
+    case 'auth/invalid-phone-number':
+    case 'auth/missing-phone-number':
+      return 'Please enter a valid phone number including the country code.';
+    case 'auth/quota-exceeded':
+      return 'SMS quota exceeded. Please try again later.';
+    case 'auth/too-many-requests':
+      return 'Too many requests. Please try again later.';
+    case 'auth/captcha-check-failed':
+      return 'reCAPTCHA verification failed. Please try again.';
+    case 'auth/operation-not-allowed':
+      return 'Phone sign-in is not enabled.';
+    case 'auth/network-request-failed':
+      return 'Network error. Please check your connection.';
+    default:
+      return error.message || 'Failed to send verification code.';
+  }
+};
+
+/**
+ * Text a verification code for a second factor (sign-in or enrollment)
+ * Shares the rate limit and reCAPTCHA verifier with phone sign-in
+ * @param {Object} phoneInfoOptions - Options for PhoneAuthProvider.verifyPhoneNumber
+ * @returns {Promise<{verificationId?: string, error?: string}>}
+ */
+const sendSecondFactorCode = async (phoneInfoOptions) => {
+  const rateLimitCheck = await checkPhoneRateLimit();
+  if (rateLimitCheck.isLimited) {
+    return { error: rateLimitCheck.message };
+  }
+
+  await recordPhoneAttempt(false);
+
+  // A verifier can only be rendered once, start fresh for every request
+  phoneVerifier?.clear();
+  phoneVerifier = createRecaptchaVerifier();
+
+  const verificationId = await new PhoneAuthProvider(auth).verifyPhoneNumber(phoneInfoOptions, phoneVerifier);
+
+  return { verificationId };
+};
+
+/**
+ * Forget the reCAPTCHA verifier once an SMS flow is finished
+ */
+const clearPhoneVerifier = () => {
+  phoneVerifier?.clear();
+  phoneVerifier = null;
+};
+
+/**
+ * Remember a sign-in that needs a second factor
+ * @param {Object} error - Firebase auth/multi-factor-auth-required error
+ * @param {boolean} isReauth - Whether a signed-in user is confirming their identity
+ * @param {boolean} hasPassword - Whether the first factor was a password
+ * @returns {Object} Result telling the UI to ask for a code
+ */
+const startMultiFactorChallenge = (error, isReauth = false, hasPassword = false) => {
+  mfaResolver = getMultiFactorResolver(auth, error);
+  mfaVerificationId = null;
+  mfaIsReauth = isReauth;
+  mfaHasPassword = hasPassword;
+
+  return {
+    success: false,
+    mfaRequired: {
+      hints: mfaResolver.hints.map(serializeFactor),
+    },
+  };
+};
+
+/**
+ * Discard a pending account link
+ */
+export const clearPendingLink = () => {
+  pendingLink = null;
+};
 
 /**
  * Register a new user with email and password
+ * A signed-in guest is upgraded in place instead, keeping their UID and data
  * @param {string} email - User's email
  * @param {string} password - User's password
  * @param {string} displayName - User's display name (optional)
@@ -39,8 +630,11 @@ export const registerUser = async (email, password, displayName = '') => {
       };
     }
 
-    // Create user account
-    const userCredential = await createUserWithEmailAndPassword(auth, email, password);
+    // Create user account, or attach the credential to the current guest
+    const currentUser = auth.currentUser;
+    const userCredential = currentUser?.isAnonymous
+      ? await linkWithCredential(currentUser, EmailAuthProvider.credential(email, password))
+      : await createUserWithEmailAndPassword(auth, email, password);
     const user = userCredential.user;
 
     // Update profile with display name if provided
@@ -53,21 +647,31 @@ export const registerUser = async (email, password, displayName = '') => {
     
     // Prepare user data
     const userData = {
-      uid: user.uid,
-      email: user.email,
+      ...serializeUser(user),
       displayName: user.displayName || displayName.trim() || '',
-      emailVerified: user.emailVerified,
-      photoURL: user.photoURL,
-      createdAt: new Date().toISOString(),
+      hasPassword: true,
+      // Upgraded guests keep their original creation date
+      createdAt: new Date(user.metadata.creationTime || Date.now()).toISOString(),
     };
 
     // Store tokens and user data
     await storeTokens(idToken, user.refreshToken || '');
     await storeUserData(userData);
+    // New accounts and upgraded guests both show up in the account switcher
+    await rememberAccount(userData);
+    await syncUserProfile(user);
 
     // Record successful registration attempt
     await recordRegisterAttempt(true);
 
+    // The app is gated until the email is verified, so send the link right away
+    if (AUTH_CONFIG.REQUIRE_EMAIL_VERIFICATION) {
+      const verificationResult = await sendVerificationEmail();
+      if (!verificationResult.success) {
+        console.warn('Failed to send verification email:', verificationResult.error);
+      }
+    }
+
     return {
       success: true,
       user: userData,
@@ -79,22 +683,2170 @@ export const registerUser = async (email, password, displayName = '') => {
     await recordRegisterAttempt(false);
 
     // Map Firebase errors to user-friendly messages
-    let errorMessage = 'Registration failed. Please try again.';
+    return {
+      success: false,
+      error: getAccountErrorMessage(error, 'Registration failed. Please try again.'),
+    };
+  }
+};
+
+/**
+ * Login user with email and password
+ * @param {string} email - User's email
+ * @param {string} password - User's password
+ * @returns {Promise<{success: boolean, user?: Object, error?: string}>}
+ */
+export const loginUser = async (email, password) => {
+  try {
+    // Check rate limiting
+    const rateLimitCheck = await checkLoginRateLimit();
+    if (rateLimitCheck.isLimited) {
+      return {
+        success: false,
+        error: rateLimitCheck.message,
+      };
+    }
+
+    // Sign in user
+    const userCredential = await signInWithEmailAndPassword(auth, email, password);
+    const user = userCredential.user;
+
+    // Finish linking a provider that was blocked by this existing account
+    const linkedProvider = await linkPendingCredential(user);
+
+    // Store tokens and user data
+    const userData = await persistUserSession(user, { hasPassword: true });
+
+    // Record successful login attempt
+    await recordLoginAttempt(true);
+
+    return {
+      success: true,
+      user: userData,
+      linkedProvider,
+    };
+  } catch (error) {
+    // The password was right, the second factor is checked next
+    if (error.code === 'auth/multi-factor-auth-required') {
+      return startMultiFactorChallenge(error, false, true);
+    }
+
+    // Record failed login attempt
+    await recordLoginAttempt(false);
+
+    // Map Firebase errors to user-friendly messages
+    let errorMessage = 'Login failed. Please try again.';
     
     switch (error.code) {
-      case 'auth/email-already-in-use':
-        errorMessage = 'An account with this email already exists.';
+      case 'auth/invalid-email':
+        errorMessage = 'Please enter a valid email address.';
+        break;
+      case 'auth/user-disabled':
+        errorMessage = 'This account has been disabled.';
+        break;
+      case 'auth/user-not-found':
+        errorMessage = 'No account found with this email address.';
+        break;
+      case 'auth/wrong-password':
+      case 'auth/invalid-credential':
+        errorMessage = 'Invalid email or password.';
+        break;
+      case 'auth/too-many-requests':
+        errorMessage = 'Too many failed attempts. Please try again later.';
+        break;
+      case 'auth/network-request-failed':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+      default:
+        errorMessage = error.message || errorMessage;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Sign in as a guest with a Firebase anonymous account
+ * @returns {Promise<{success: boolean, user?: Object, error?: string}>}
+ */
+export const loginAnonymously = async () => {
+  try {
+    const userCredential = await signInAnonymously(auth);
+
+    // Store tokens and user data
+    const userData = await persistUserSession(userCredential.user);
+
+    return {
+      success: true,
+      user: userData,
+    };
+  } catch (error) {
+    let errorMessage = 'Guest sign-in failed. Please try again.';
+
+    switch (error.code) {
+      case 'auth/operation-not-allowed':
+        errorMessage = 'Guest access is not enabled.';
+        break;
+      case 'auth/network-request-failed':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+      default:
+        errorMessage = error.message || errorMessage;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Sign in with a registered OAuth provider
+ * Uses a popup on web and the provider's native credential flow elsewhere
+ * @param {string} id - Provider registry ID (e.g. 'google', 'apple')
+ * @param {Object} options - Sign-in options
+ * @param {string|null} options.expectedUid - Account the user means to sign in to (when switching accounts).
+ * Any other account is signed out again before anything is stored for it
+ * @returns {Promise<{success: boolean, user?: Object, error?: string, cancelled?: boolean, wrongAccount?: boolean, signedOut?: boolean}>}
+ */
+export const signInWithProvider = async (id, { expectedUid = null } = {}) => {
+  const provider = getProvider(id);
+
+  if (!provider || !provider.enabled) {
+    return {
+      success: false,
+      error: 'This sign-in method is not available.',
+    };
+  }
+
+  let nativeCredential = null;
+
+  try {
+    let userCredential;
+    let displayName = '';
+
+    if (Platform.OS === 'web') {
+      userCredential = await signInWithPopup(auth, buildFirebaseProvider(provider));
+    } else {
+      if (!provider.getCredential) {
+        return {
+          success: false,
+          error: `${provider.name} sign-in is not supported on this device.`,
+        };
+      }
+
+      const credentialResult = await provider.getCredential();
+
+      if (!credentialResult) {
+        return {
+          success: false,
+          cancelled: true,
+          error: `${provider.name} sign-in was cancelled.`,
+        };
+      }
+
+      displayName = credentialResult.displayName || '';
+      nativeCredential = credentialResult.credential;
+      userCredential = await signInWithCredential(auth, nativeCredential);
+    }
+
+    const user = userCredential.user;
+
+    // The provider's account picker let the user choose another account, which already replaced the current one
+    if (expectedUid && user.uid !== expectedUid) {
+      await signOut(auth);
+      await clearAuthData();
+
+      return {
+        success: false,
+        signedOut: true,
+        wrongAccount: true,
+        error: `You signed in to a different ${provider.name} account.`,
+      };
+    }
+
+    // Finish linking a provider that was blocked by this existing account
+    const linkedProvider = await linkPendingCredential(user);
+
+    // Some providers (Apple) only share the user's name on first sign-in
+    if (!user.displayName && displayName.trim()) {
+      await updateProfile(user, { displayName: displayName.trim() });
+    }
+
+    const userData = await persistUserSession(user);
+
+    return {
+      success: true,
+      user: userData,
+      linkedProvider,
+    };
+  } catch (error) {
+    if (error.code === 'auth/multi-factor-auth-required') {
+      return startMultiFactorChallenge(error);
+    }
+
+    // The email already belongs to an account using another sign-in method
+    if (error.code === 'auth/account-exists-with-different-credential') {
+      const linkRequired = await storePendingLink(error, provider, nativeCredential);
+
+      return {
+        success: false,
+        error: `An account already exists for ${linkRequired.email || 'this email'}. Sign in with your existing method to link your ${provider.name} account.`,
+        linkRequired,
+      };
+    }
+
+    // Map provider and Firebase errors to user-friendly messages
+    let errorMessage = `${provider.name} sign-in failed. Please try again.`;
+
+    switch (error.code) {
+      case 'auth/popup-closed-by-user':
+      case 'auth/cancelled-popup-request':
+        return {
+          success: false,
+          cancelled: true,
+          error: `${provider.name} sign-in was cancelled.`,
+        };
+      case 'auth/apple-not-available':
+        errorMessage = 'Sign in with Apple is not available on this device.';
+        break;
+      case 'auth/missing-or-invalid-nonce':
+        errorMessage = `${provider.name} sign-in could not be verified. Please try again.`;
+        break;
+      case 'auth/operation-not-allowed':
+        errorMessage = `${provider.name} sign-in is not enabled.`;
+        break;
+      case 'auth/user-disabled':
+        errorMessage = 'This account has been disabled.';
+        break;
+      case 'auth/invalid-credential':
+        errorMessage = `${provider.name} sign-in failed. Please try again.`;
+        break;
+      case 'auth/popup-blocked':
+        errorMessage = 'The sign-in popup was blocked by the browser.';
+        break;
+      case 'auth/network-request-failed':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+      default:
+        errorMessage = error.message || errorMessage;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Sign in with Google
+ * Kept for apps built before the provider registry, same as signInWithProvider('google')
+ * @returns {Promise<{success: boolean, user?: Object, error?: string, cancelled?: boolean}>}
+ */
+export const loginWithGoogle = () => signInWithProvider('google');
+
+/**
+ * Sign in with Apple
+ * Kept for apps built before the provider registry, same as signInWithProvider('apple')
+ * @returns {Promise<{success: boolean, user?: Object, error?: string, cancelled?: boolean}>}
+ */
+export const loginWithApple = () => signInWithProvider('apple');
+
+/**
+ * Finish a sign-in that needs a second factor
+ * @param {string} factorUid - UID of the enrolled factor the code is for
+ * @param {string} code - One-time code
+ * @returns {Promise<{success: boolean, user?: Object, linkedProvider?: string, error?: string, expired?: boolean}>}
+ */
+export const resolveMultiFactorSignIn = async (factorUid, code) => {
+  if (!mfaResolver) {
+    return {
+      success: false,
+      expired: true,
+      error: 'Your sign-in has expired. Please sign in again.',
+    };
+  }
+
+  const hint = mfaResolver.hints.find((factor) => factor.uid === factorUid);
+
+  try {
+    let assertion = null;
+
+    if (hint?.factorId === TotpMultiFactorGenerator.FACTOR_ID) {
+      assertion = TotpMultiFactorGenerator.assertionForSignIn(hint.uid, code);
+    } else if (hint?.factorId === PhoneMultiFactorGenerator.FACTOR_ID) {
+      if (!mfaVerificationId) {
+        return {
+          success: false,
+          error: 'Please request a verification code first.',
+        };
+      }
+
+      const credential = PhoneAuthProvider.credential(mfaVerificationId, code);
+      assertion = PhoneMultiFactorGenerator.assertion(credential);
+    } else {
+      return {
+        success: false,
+        error: 'This verification method is not supported.',
+      };
+    }
+
+    const userCredential = await mfaResolver.resolveSignIn(assertion);
+    const user = userCredential.user;
+    const isReauth = mfaIsReauth;
+    const hasPassword = mfaHasPassword;
+
+    mfaResolver = null;
+    mfaVerificationId = null;
+    mfaIsReauth = false;
+    mfaHasPassword = false;
+    clearPhoneVerifier();
+
+    if (hint.factorId === PhoneMultiFactorGenerator.FACTOR_ID) {
+      await recordPhoneAttempt(true);
+    }
+
+    // A signed-in user confirmed their identity, the caller retries what it was doing
+    if (isReauth) {
+      multiFactorReauth = { uid: user.uid, at: Date.now() };
+
+      return {
+        success: true,
+        reauthenticated: true,
+      };
+    }
+
+    // Finish linking a provider that was blocked by this existing account
+    const linkedProvider = await linkPendingCredential(user);
+
+    const userData = await persistUserSession(user, { hasPassword });
+
+    // Record successful login attempt
+    await recordLoginAttempt(true);
+
+    return {
+      success: true,
+      user: userData,
+      linkedProvider,
+    };
+  } catch (error) {
+    let errorMessage = 'Verification failed. Please try again.';
+
+    switch (error.code) {
+      case 'auth/invalid-verification-code':
+      case 'auth/missing-verification-code':
+        errorMessage = 'The verification code is incorrect.';
+        break;
+      case 'auth/code-expired':
+        if (hint?.factorId === PhoneMultiFactorGenerator.FACTOR_ID) {
+          errorMessage = 'The verification code has expired. Please request a new one.';
+          break;
+        }
+        mfaResolver = null;
+        return {
+          success: false,
+          expired: true,
+          error: 'Your sign-in has expired. Please sign in again.',
+        };
+      case 'auth/missing-multi-factor-session':
+      case 'auth/invalid-multi-factor-session':
+        mfaResolver = null;
+        return {
+          success: false,
+          expired: true,
+          error: 'Your sign-in has expired. Please sign in again.',
+        };
+      case 'auth/too-many-requests':
+        errorMessage = 'Too many attempts. Please try again later.';
+        break;
+      case 'auth/network-request-failed':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+      default:
+        errorMessage = error.message || errorMessage;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Text a sign-in code to an enrolled phone second factor
+ * @param {string} factorUid - UID of the enrolled phone factor
+ * @returns {Promise<{success: boolean, error?: string, expired?: boolean}>}
+ */
+export const sendMultiFactorSignInCode = async (factorUid) => {
+  if (!mfaResolver) {
+    return {
+      success: false,
+      expired: true,
+      error: 'Your sign-in has expired. Please sign in again.',
+    };
+  }
+
+  try {
+    const hint = mfaResolver.hints.find((factor) => factor.uid === factorUid);
+
+    if (hint?.factorId !== PhoneMultiFactorGenerator.FACTOR_ID) {
+      return {
+        success: false,
+        error: 'This verification method does not use text messages.',
+      };
+    }
+
+    const result = await sendSecondFactorCode({
+      multiFactorHint: hint,
+      session: mfaResolver.session,
+    });
+
+    if (result.error) {
+      return {
+        success: false,
+        error: result.error,
+      };
+    }
+
+    mfaVerificationId = result.verificationId;
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    if (error.code === 'auth/invalid-multi-factor-session' || error.code === 'auth/missing-multi-factor-session') {
+      mfaResolver = null;
+      return {
+        success: false,
+        expired: true,
+        error: 'Your sign-in has expired. Please sign in again.',
+      };
+    }
+
+    return {
+      success: false,
+      error: getPhoneCodeErrorMessage(error),
+    };
+  }
+};
+
+/**
+ * Discard a sign-in that was waiting for a second factor
+ */
+export const clearMultiFactorChallenge = () => {
+  mfaResolver = null;
+  mfaVerificationId = null;
+  mfaIsReauth = false;
+  mfaHasPassword = false;
+  clearPhoneVerifier();
+};
+
+/**
+ * Turn off two-factor authentication with a recovery code, for a user who lost their second factor
+ * The backend at AUTH_CONFIG.MFA_RECOVERY_PATH matches the code against its hash, marks it used and
+ * unenrolls the second factors; the user then signs in again without one
+ * @param {string} email - Email address of the account
+ * @param {string} code - Recovery code as entered by the user
+ * @returns {Promise<{success: boolean, error?: string, expired?: boolean}>}
+ */
+export const redeemRecoveryCode = async (email, code) => {
+  if (!AUTH_CONFIG.MFA_RECOVERY_PATH) {
+    return {
+      success: false,
+      error: 'Recovery codes cannot be used in this app. Please contact support.',
+    };
+  }
+
+  if (!mfaResolver) {
+    return {
+      success: false,
+      expired: true,
+      error: 'Your sign-in has expired. Please sign in again.',
+    };
+  }
+
+  // Recovery codes stand in for a credential, so they share the login rate limit
+  const rateLimitCheck = await checkLoginRateLimit();
+  if (rateLimitCheck.isLimited) {
+    return {
+      success: false,
+      error: rateLimitCheck.message,
+    };
+  }
+
+  const result = await apiPost(
+    AUTH_CONFIG.MFA_RECOVERY_PATH,
+    { email: email.trim(), code: code.trim() },
+    { authenticated: false }
+  );
+
+  if (!result.success) {
+    // Network errors say nothing about the code
+    if (result.status === 0) {
+      return {
+        success: false,
+        error: result.error,
+      };
+    }
+
+    await recordLoginAttempt(false);
+    return {
+      success: false,
+      error: result.status >= 500
+        ? result.error
+        : 'This recovery code is not valid or has already been used.',
+    };
+  }
+
+  // The pending sign-in still expects the removed factors
+  clearMultiFactorChallenge();
+  await recordLoginAttempt(true);
+
+  return {
+    success: true,
+  };
+};
+
+/**
+ * Send an SMS verification code for phone sign-in
+ * @param {string} phoneNumber - Phone number in E.164 format (e.g. +15555550100)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const sendPhoneVerificationCode = async (phoneNumber) => {
+  try {
+    // Check rate limiting
+    const rateLimitCheck = await checkPhoneRateLimit();
+    if (rateLimitCheck.isLimited) {
+      return {
+        success: false,
+        error: rateLimitCheck.message,
+      };
+    }
+
+    // Every request counts towards the limit, resends are spaced out by the UI countdown
+    await recordPhoneAttempt(false);
+
+    // A verifier can only be rendered once, start fresh for every request
+    phoneVerifier?.clear();
+    phoneVerifier = createRecaptchaVerifier();
+
+    phoneConfirmation = await signInWithPhoneNumber(auth, phoneNumber, phoneVerifier);
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: getPhoneCodeErrorMessage(error),
+    };
+  }
+};
+
+/**
+ * Confirm the SMS code and sign the user in
+ * @param {string} code - 6-digit verification code
+ * @returns {Promise<{success: boolean, user?: Object, error?: string}>}
+ */
+export const confirmPhoneVerificationCode = async (code) => {
+  if (!phoneConfirmation) {
+    return {
+      success: false,
+      error: 'Your verification session has expired. Please request a new code.',
+    };
+  }
+
+  try {
+    const userCredential = await phoneConfirmation.confirm(code);
+
+    phoneConfirmation = null;
+    clearPhoneVerifier();
+
+    // Store tokens and user data
+    const userData = await persistUserSession(userCredential.user);
+
+    // Clear code request attempts
+    await recordPhoneAttempt(true);
+
+    return {
+      success: true,
+      user: userData,
+    };
+  } catch (error) {
+    let errorMessage = 'Verification failed. Please try again.';
+
+    switch (error.code) {
+      case 'auth/invalid-verification-code':
+      case 'auth/missing-verification-code':
+        errorMessage = 'The verification code is incorrect.';
+        break;
+      case 'auth/code-expired':
+        errorMessage = 'The verification code has expired. Please request a new one.';
+        break;
+      case 'auth/user-disabled':
+        errorMessage = 'This account has been disabled.';
+        break;
+      case 'auth/network-request-failed':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+      default:
+        errorMessage = error.message || errorMessage;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Email a passwordless sign-in link
+ * @param {string} email - User's email
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const sendSignInLink = async (email) => {
+  const actionCodeSettings = getActionCodeSettings(AUTH_CONFIG.EMAIL_LINK_URL);
+
+  if (!actionCodeSettings) {
+    return {
+      success: false,
+      error: 'Email link sign-in is not configured.',
+    };
+  }
+
+  try {
+    await sendSignInLinkToEmail(auth, email, actionCodeSettings);
+
+    // Needed to complete sign-in when the link is opened on this device
+    await storeEmailForSignIn(email);
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    let errorMessage = 'Failed to send sign-in link.';
+
+    switch (error.code) {
+      case 'auth/invalid-email':
+        errorMessage = 'Please enter a valid email address.';
+        break;
+      case 'auth/operation-not-allowed':
+        errorMessage = 'Email link sign-in is not enabled.';
+        break;
+      case 'auth/missing-continue-uri':
+      case 'auth/invalid-continue-uri':
+      case 'auth/unauthorized-continue-uri':
+        errorMessage = 'Email link sign-in is not configured correctly.';
+        break;
+      case 'auth/quota-exceeded':
+      case 'auth/too-many-requests':
+        errorMessage = 'Too many requests. Please try again later.';
+        break;
+      case 'auth/network-request-failed':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+      default:
+        errorMessage = error.message || errorMessage;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Check whether a URL is a Firebase email sign-in link
+ * @param {string} url - Incoming URL
+ * @returns {boolean}
+ */
+export const isEmailSignInLink = (url) => {
+  return Boolean(url) && isSignInWithEmailLink(auth, url);
+};
+
+/**
+ * Complete sign-in from an email link
+ * @param {string} url - Sign-in link the app was opened with
+ * @param {string} email - User's email (optional, defaults to the one the link was sent to)
+ * @returns {Promise<{success: boolean, user?: Object, error?: string, emailRequired?: boolean}>}
+ */
+export const completeEmailLinkSignIn = async (url, email = '') => {
+  try {
+    const signInEmail = email.trim() || await getEmailForSignIn();
+
+    // Link opened on a different device, the user has to confirm their email
+    if (!signInEmail) {
+      return {
+        success: false,
+        error: 'Please confirm your email address to finish signing in.',
+        emailRequired: true,
+      };
+    }
+
+    let userCredential;
+    try {
+      userCredential = await signInWithEmailLink(auth, signInEmail, url);
+    } catch (error) {
+      // The link was accepted, the second factor is checked next
+      if (error.code === 'auth/multi-factor-auth-required') {
+        await clearEmailForSignIn();
+        return startMultiFactorChallenge(error);
+      }
+
+      throw error;
+    }
+
+    const user = userCredential.user;
+
+    await clearEmailForSignIn();
+
+    // Finish linking a provider that was blocked by this existing account
+    const linkedProvider = await linkPendingCredential(user);
+
+    // Store tokens and user data
+    const userData = await persistUserSession(user);
+
+    return {
+      success: true,
+      user: userData,
+      linkedProvider,
+    };
+  } catch (error) {
+    let errorMessage = 'Sign-in failed. Please try again.';
+
+    switch (error.code) {
+      case 'auth/invalid-action-code':
+      case 'auth/expired-action-code':
+        errorMessage = 'This sign-in link is invalid or has expired. Please request a new one.';
+        break;
+      case 'auth/invalid-email':
+        errorMessage = 'This sign-in link was sent to a different email address.';
+        break;
+      case 'auth/user-disabled':
+        errorMessage = 'This account has been disabled.';
+        break;
+      case 'auth/network-request-failed':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+      default:
+        errorMessage = error.message || errorMessage;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Link an OAuth provider to the current user
+ * @param {string} id - Provider registry ID
+ * @returns {Promise<{success: boolean, user?: Object, error?: string, cancelled?: boolean}>}
+ */
+export const linkProvider = async (id) => {
+  const provider = getProvider(id);
+  const user = auth.currentUser;
+
+  if (!user) {
+    return {
+      success: false,
+      error: 'No authenticated user found.',
+    };
+  }
+
+  if (!provider || !provider.enabled) {
+    return {
+      success: false,
+      error: 'This sign-in method is not available.',
+    };
+  }
+
+  try {
+    if (Platform.OS === 'web') {
+      await linkWithPopup(user, buildFirebaseProvider(provider));
+    } else {
+      if (!provider.getCredential) {
+        return {
+          success: false,
+          error: `${provider.name} sign-in is not supported on this device.`,
+        };
+      }
+
+      const credentialResult = await provider.getCredential();
+
+      if (!credentialResult) {
+        return {
+          success: false,
+          cancelled: true,
+          error: `Linking ${provider.name} was cancelled.`,
+        };
+      }
+
+      await linkWithCredential(user, credentialResult.credential);
+    }
+
+    // Creates the profile document when a guest upgrades this way
+    await syncUserProfile(user);
+
+    const userData = await updateStoredUser(user);
+
+    return {
+      success: true,
+      user: userData,
+    };
+  } catch (error) {
+    let errorMessage = `Failed to link ${provider.name}. Please try again.`;
+
+    switch (error.code) {
+      case 'auth/popup-closed-by-user':
+      case 'auth/cancelled-popup-request':
+        return {
+          success: false,
+          cancelled: true,
+          error: `Linking ${provider.name} was cancelled.`,
+        };
+      case 'auth/credential-already-in-use':
+      case 'auth/email-already-in-use':
+        errorMessage = `This ${provider.name} account is already linked to another user.`;
+        break;
+      case 'auth/provider-already-linked':
+        errorMessage = `${provider.name} is already linked to your account.`;
+        break;
+      case 'auth/requires-recent-login':
+        errorMessage = 'Please sign in again before linking a new account.';
+        break;
+      case 'auth/network-request-failed':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+      default:
+        errorMessage = error.message || errorMessage;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Unlink a sign-in provider from the current user
+ * @param {string} providerId - Firebase provider ID (e.g. 'google.com', 'password')
+ * @returns {Promise<{success: boolean, user?: Object, error?: string}>}
+ */
+export const unlinkProvider = async (providerId) => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    // Never leave the account without a way to sign in
+    if (user.providerData.length <= 1) {
+      return {
+        success: false,
+        error: 'You need at least one sign-in method on your account.',
+      };
+    }
+
+    await unlink(user, providerId);
+
+    await updateUserProfileFields(user, {
+      providers: user.providerData.map((profile) => profile.providerId),
+    });
+
+    const userData = await updateStoredUser(user);
+
+    return {
+      success: true,
+      user: userData,
+    };
+  } catch (error) {
+    let errorMessage = 'Failed to unlink this sign-in method.';
+
+    switch (error.code) {
+      case 'auth/no-such-provider':
+        errorMessage = 'This sign-in method is not linked to your account.';
+        break;
+      case 'auth/requires-recent-login':
+        errorMessage = 'Please sign in again before unlinking a sign-in method.';
+        break;
+      case 'auth/network-request-failed':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+      default:
+        errorMessage = error.message || errorMessage;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Logout current user
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const logoutUser = async () => {
+  try {
+    const user = auth.currentUser;
+
+    // Sign out from Firebase
+    await signOut(auth);
+    
+    // Clear stored auth data and this account's lock settings. The account stays in the
+    // switcher until the user removes it there
+    await clearAuthData(user?.uid);
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    
+    
+    return {
+      success: false,
+      error: 'Failed to logout. Please try again.',
+    };
+  }
+};
+
+// Result of leaving a guest session for another account, the guest could never sign back in
+const GUEST_CANNOT_SWITCH = {
+  success: false,
+  error: 'Create an account first so you do not lose your guest data, or sign out to leave it.',
+};
+
+/**
+ * Sign out to sign in to another account
+ * The current account stays saved, with its PIN and biometric setting, so the user can switch back
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const addAccount = async () => {
+  if (auth.currentUser?.isAnonymous) {
+    return GUEST_CANNOT_SWITCH;
+  }
+
+  try {
+    await signOut(auth);
+
+    // Only the session is cleared
+    await clearAuthData();
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: 'Failed to sign out. Please try again.',
+    };
+  }
+};
+
+// Result of switching to an account with a second factor, which needs the full sign-in flow
+const SWITCH_REQUIRES_SECOND_FACTOR = {
+  success: false,
+  requiresSignIn: true,
+  error: 'This account uses two-factor authentication. Use Add Account to sign in to it.',
+};
+
+/**
+ * Switch to another saved account
+ * Password accounts sign in with the password, OAuth accounts with their provider. The new
+ * sign-in replaces the current user directly, so a failed switch leaves the current account signed in.
+ * Guests cannot switch, and picking a different account in the provider's sign-in signs out.
+ * @param {string} uid - Saved account to switch to
+ * @param {string} password - The account's password (ignored for OAuth-only accounts)
+ * @returns {Promise<{success: boolean, user?: Object, error?: string, cancelled?: boolean, requiresSignIn?: boolean, signedOut?: boolean}>}
+ */
+export const switchAccount = async (uid, password = '') => {
+  const accounts = await getSavedAccounts();
+  const account = accounts.find((savedAccount) => savedAccount.uid === uid);
+
+  if (!account) {
+    return {
+      success: false,
+      error: 'This account is no longer saved on this device.',
+    };
+  }
+
+  if (auth.currentUser?.uid === uid) {
+    return {
+      success: false,
+      error: 'You are already signed in to this account.',
+    };
+  }
+
+  if (auth.currentUser?.isAnonymous) {
+    return GUEST_CANNOT_SWITCH;
+  }
+
+  const oauthProvider = account.providerIds
+    .map(getProviderByProviderId)
+    .find((provider) => provider?.enabled);
+
+  try {
+    if (account.providerIds.includes('password')) {
+      if (!password) {
+        return {
+          success: false,
+          error: 'Please enter your password.',
+        };
+      }
+
+      const rateLimitCheck = await checkLoginRateLimit();
+      if (rateLimitCheck.isLimited) {
+        return {
+          success: false,
+          error: rateLimitCheck.message,
+        };
+      }
+
+      let userCredential;
+      try {
+        userCredential = await signInWithEmailAndPassword(auth, account.email, password);
+      } catch (error) {
+        if (error.code !== 'auth/multi-factor-auth-required') {
+          await recordLoginAttempt(false);
+        }
+        throw error;
+      }
+
+      await recordLoginAttempt(true);
+
+      const userData = await persistUserSession(userCredential.user, { hasPassword: true });
+
+      return {
+        success: true,
+        user: userData,
+      };
+    }
+
+    if (oauthProvider) {
+      const result = await signInWithProvider(oauthProvider.id, { expectedUid: uid });
+
+      // The second factor is only asked on the sign-in screen
+      if (result.mfaRequired) {
+        mfaResolver = null;
+        return SWITCH_REQUIRES_SECOND_FACTOR;
+      }
+
+      // Nothing was stored for the other account, but the current one was signed out
+      if (result.wrongAccount) {
+        return {
+          ...result,
+          error: `${result.error} Sign in again and choose ${account.email || 'the saved account'}.`,
+        };
+      }
+
+      return result;
+    }
+
+    // Phone and email link accounts need the full sign-in flow
+    return {
+      success: false,
+      requiresSignIn: true,
+      error: 'This account cannot be switched to directly. Use Add Account to sign in to it again.',
+    };
+  } catch (error) {
+    switch (error.code) {
+      case 'auth/multi-factor-auth-required':
+        return SWITCH_REQUIRES_SECOND_FACTOR;
+      case 'auth/wrong-password':
+      case 'auth/invalid-credential':
+        return {
+          success: false,
+          error: 'Your password is incorrect.',
+        };
+      case 'auth/user-disabled':
+        return {
+          success: false,
+          error: 'This account has been disabled.',
+        };
+      case 'auth/user-not-found':
+        return {
+          success: false,
+          error: 'This account no longer exists.',
+        };
+      case 'auth/too-many-requests':
+        return {
+          success: false,
+          error: 'Too many failed attempts. Please try again later.',
+        };
+      case 'auth/network-request-failed':
+        return {
+          success: false,
+          error: 'Network error. Please check your connection.',
+        };
+      default:
+        return {
+          success: false,
+          error: error.message || 'Failed to switch accounts. Please try again.',
+        };
+    }
+  }
+};
+
+/**
+ * Forget a saved account that is not signed in, along with its PIN and biometric setting
+ * @param {string} uid - Saved account to forget
+ * @returns {Promise<{success: boolean, accounts?: Object[], error?: string}>}
+ */
+export const forgetSavedAccount = async (uid) => {
+  if (auth.currentUser?.uid === uid) {
+    return {
+      success: false,
+      error: 'Sign out to remove the account you are using.',
+    };
+  }
+
+  try {
+    const accounts = await removeSavedAccount(uid);
+    await clearAccountData(uid);
+    await clearPinAttempts(uid);
+
+    return {
+      success: true,
+      accounts,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: 'Failed to remove the account. Please try again.',
+    };
+  }
+};
+
+/**
+ * Send password reset email
+ * @param {string} email - User's email
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const sendPasswordReset = async (email) => {
+  try {
+    // Check rate limiting
+    const rateLimitCheck = await checkPasswordResetRateLimit();
+    if (rateLimitCheck.isLimited) {
+      return {
+        success: false,
+        error: rateLimitCheck.message,
+      };
+    }
+
+    // Every request counts towards the limit
+    await recordPasswordResetAttempt(false);
+
+    // Without a continue URL the link opens Firebase's hosted reset page instead
+    const actionCodeSettings = getActionCodeSettings(AUTH_CONFIG.PASSWORD_RESET_URL);
+
+    await sendPasswordResetEmail(auth, email, actionCodeSettings || undefined);
+    
+    return {
+      success: true,
+    };
+  } catch (error) {
+    
+    
+    let errorMessage = 'Failed to send password reset email.';
+    
+    switch (error.code) {
+      case 'auth/invalid-email':
+        errorMessage = 'Please enter a valid email address.';
+        break;
+      case 'auth/user-not-found':
+        errorMessage = 'No account found with this email address.';
+        break;
+      case 'auth/missing-continue-uri':
+      case 'auth/invalid-continue-uri':
+      case 'auth/unauthorized-continue-uri':
+        errorMessage = 'Password reset is not configured correctly.';
+        break;
+      case 'auth/too-many-requests':
+        errorMessage = 'Too many requests. Please try again later.';
+        break;
+      case 'auth/network-request-failed':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+      default:
+        errorMessage = error.message || errorMessage;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Get the reset code from a password reset link
+ * @param {string} url - Incoming URL
+ * @returns {string|null} The reset code, or null if the URL is not a password reset link
+ */
+export const getPasswordResetCode = (url) => {
+  return url ? getActionCode(url, 'resetPassword') : null;
+};
+
+/**
+ * Check that a password reset code is still valid
+ * @param {string} code - Reset code from the email link
+ * @returns {Promise<{success: boolean, email?: string, error?: string}>}
+ */
+export const verifyPasswordResetLink = async (code) => {
+  try {
+    const email = await verifyPasswordResetCode(auth, code);
+
+    return {
+      success: true,
+      email,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: getPasswordResetErrorMessage(error),
+    };
+  }
+};
+
+/**
+ * Set a new password using the code from a password reset link
+ * @param {string} code - Reset code from the email link
+ * @param {string} newPassword - New password
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const completePasswordReset = async (code, newPassword) => {
+  try {
+    await confirmPasswordReset(auth, code, newPassword);
+
+    // Clear reset requests
+    await recordPasswordResetAttempt(true);
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: getPasswordResetErrorMessage(error),
+    };
+  }
+};
+
+/**
+ * Send a verification email to the current user
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const sendVerificationEmail = async () => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    if (user.emailVerified) {
+      return {
+        success: false,
+        error: 'Your email address is already verified.',
+      };
+    }
+
+    // Check rate limiting
+    const rateLimitCheck = await checkVerificationEmailRateLimit();
+    if (rateLimitCheck.isLimited) {
+      return {
+        success: false,
+        error: rateLimitCheck.message,
+      };
+    }
+
+    // Every request counts towards the limit
+    await recordVerificationEmailAttempt(false);
+
+    await sendEmailVerification(user);
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    let errorMessage = 'Failed to send verification email.';
+
+    switch (error.code) {
+      case 'auth/too-many-requests':
+        errorMessage = 'Too many requests. Please wait a few minutes and try again.';
+        break;
+      case 'auth/user-token-expired':
+      case 'auth/user-disabled':
+        errorMessage = 'Your session has expired. Please sign in again.';
+        break;
+      case 'auth/network-request-failed':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+      default:
+        errorMessage = error.message || errorMessage;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Reload the current user from Firebase (e.g. to pick up a verified email)
+ * @returns {Promise<{success: boolean, user?: Object, error?: string}>}
+ */
+export const reloadUser = async () => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    const wasVerified = user.emailVerified;
+
+    await reload(user);
+
+    if (user.emailVerified && !wasVerified) {
+      // The cached ID token still carries email_verified: false
+      await getIdToken(user, true);
+
+      // Clear verification email requests
+      await recordVerificationEmailAttempt(true);
+    }
+
+    // The new address was confirmed from the email change link
+    const pendingEmail = await getPendingEmailChange(user.uid);
+    const emailChanged = Boolean(pendingEmail) && user.email === pendingEmail;
+    if (emailChanged) {
+      await clearPendingEmailChange(user.uid);
+      await updateUserProfileFields(user, { email: user.email });
+    }
+
+    const userData = await updateStoredUser(user);
+
+    return {
+      success: true,
+      user: userData,
+      emailChanged,
+    };
+  } catch (error) {
+    if (error.code === 'auth/user-token-expired') {
+      // Firebase revokes sessions when the email changes and signs the user out
+      return {
+        success: false,
+        error: 'Your session has ended. Please sign in again.',
+        sessionExpired: true,
+      };
+    }
+
+    return {
+      success: false,
+      error: 'Failed to refresh user data.',
+    };
+  }
+};
+
+/**
+ * Change the current user's password
+ * @param {string} currentPassword - Current password, used to reauthenticate
+ * @param {string} newPassword - New password
+ * @returns {Promise<{success: boolean, error?: string, requiresRecentLogin?: boolean}>}
+ */
+export const changePassword = async (currentPassword, newPassword) => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    if (!user.email || !user.providerData.some((profile) => profile.providerId === 'password')) {
+      return {
+        success: false,
+        error: 'Your account does not use a password.',
+      };
+    }
+
+    const reauthFailure = await reauthenticateUser(user, currentPassword, 'changing your password');
+    if (reauthFailure) {
+      return reauthFailure;
+    }
+
+    await updatePassword(user, newPassword);
+
+    // Other sessions are revoked, store the freshly issued tokens (the session age is unchanged)
+    const idToken = await getIdToken(user, true);
+    await storeTokens(idToken, user.refreshToken || '', { updateLastLogin: false });
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    if (error.code === 'auth/requires-recent-login') {
+      return {
+        success: false,
+        error: 'For your security, please sign in again before changing your password.',
+        requiresRecentLogin: true,
+      };
+    }
+
+    let errorMessage = 'Failed to change password. Please try again.';
+
+    switch (error.code) {
+      case 'auth/wrong-password':
+      case 'auth/invalid-credential':
+        errorMessage = 'Your current password is incorrect.';
+        break;
+      case 'auth/weak-password':
+        errorMessage = 'Password should be at least 6 characters long.';
+        break;
+      case 'auth/too-many-requests':
+        errorMessage = 'Too many failed attempts. Please try again later.';
+        break;
+      case 'auth/network-request-failed':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+      default:
+        errorMessage = error.message || errorMessage;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Start changing the current user's email address
+ * Firebase only switches to the new address once the link sent to it is clicked
+ * @param {string} newEmail - New email address
+ * @param {string} password - Current password (email/password accounts only)
+ * @returns {Promise<{success: boolean, pendingEmail?: string, error?: string, cancelled?: boolean, requiresRecentLogin?: boolean}>}
+ */
+export const changeEmail = async (newEmail, password = '') => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    const email = newEmail.trim().toLowerCase();
+
+    if (email === user.email?.toLowerCase()) {
+      return {
+        success: false,
+        error: 'This is already your email address.',
+      };
+    }
+
+    const reauthFailure = await reauthenticateUser(user, password, 'changing your email');
+    if (reauthFailure) {
+      return reauthFailure;
+    }
+
+    await verifyBeforeUpdateEmail(user, email);
+    await storePendingEmailChange(user.uid, email);
+
+    return {
+      success: true,
+      pendingEmail: email,
+    };
+  } catch (error) {
+    if (error.code === 'auth/requires-recent-login') {
+      return {
+        success: false,
+        error: 'For your security, please sign in again before changing your email.',
+        requiresRecentLogin: true,
+      };
+    }
+
+    switch (error.code) {
+      case 'auth/popup-closed-by-user':
+      case 'auth/cancelled-popup-request':
+        return {
+          success: false,
+          cancelled: true,
+          error: 'Sign-in was cancelled.',
+        };
+      case 'auth/wrong-password':
+      case 'auth/invalid-credential':
+        return {
+          success: false,
+          error: 'Your password is incorrect.',
+        };
+      case 'auth/too-many-requests':
+        return {
+          success: false,
+          error: 'Too many attempts. Please try again later.',
+        };
+    }
+
+    return {
+      success: false,
+      error: getAccountErrorMessage(error, 'Failed to change your email. Please try again.'),
+    };
+  }
+};
+
+/**
+ * Forget a pending email change
+ * The link already sent stays valid until it expires
+ */
+export const cancelEmailChange = async () => {
+  const user = auth.currentUser;
+
+  if (user) {
+    await clearPendingEmailChange(user.uid);
+  }
+};
+
+/**
+ * Map errors from enrolling or removing a second factor to user-friendly messages
+ * @param {Object} error - Firebase error
+ * @param {string} fallbackMessage - Message for errors without a specific mapping
+ * @returns {Object} Failure result
+ */
+const getMultiFactorErrorResult = (error, fallbackMessage) => {
+  switch (error.code) {
+    case 'auth/requires-recent-login':
+      return {
+        success: false,
+        error: 'For your security, please sign in again before changing two-factor authentication.',
+        requiresRecentLogin: true,
+      };
+    case 'auth/unverified-email':
+      return {
+        success: false,
+        error: 'Please verify your email address before turning on two-factor authentication.',
+      };
+    case 'auth/invalid-verification-code':
+    case 'auth/missing-verification-code':
+      return {
+        success: false,
+        error: 'The verification code is incorrect.',
+      };
+    case 'auth/code-expired':
+      return {
+        success: false,
+        error: 'The verification code has expired. Please request a new one.',
+      };
+    case 'auth/operation-not-allowed':
+      return {
+        success: false,
+        error: 'Two-factor authentication is not enabled for this app.',
+      };
+    case 'auth/maximum-second-factor-count-exceeded':
+      return {
+        success: false,
+        error: 'You cannot add any more verification methods.',
+      };
+    case 'auth/second-factor-already-in-use':
+      return {
+        success: false,
+        error: 'This phone number is already a verification method on your account.',
+      };
+    case 'auth/invalid-phone-number':
+    case 'auth/missing-phone-number':
+    case 'auth/quota-exceeded':
+    case 'auth/too-many-requests':
+    case 'auth/captcha-check-failed':
+      return {
+        success: false,
+        error: getPhoneCodeErrorMessage(error),
+      };
+    case 'auth/network-request-failed':
+      return {
+        success: false,
+        error: 'Network error. Please check your connection.',
+      };
+    default:
+      return {
+        success: false,
+        error: error.message || fallbackMessage,
+      };
+  }
+};
+
+/**
+ * Enroll a verified second factor for the current user
+ * Recovery codes are only generated for the first factor, later factors keep the existing set
+ * @param {Object} user - Firebase user
+ * @param {Object} assertion - Enrollment assertion for the new factor
+ * @param {string} displayName - Name for the factor shown in the factor list
+ * @returns {Promise<{success: boolean, user: Object, recoveryCodes: string[]|null, recoveryCodesFailed?: boolean}>}
+ */
+const enrollSecondFactor = async (user, assertion, displayName) => {
+  const isFirstFactor = multiFactor(user).enrolledFactors.length === 0;
+
+  await multiFactor(user).enroll(assertion, displayName);
+
+  // Enrolling revokes other sessions, store the freshly issued tokens
+  const idToken = await getIdToken(user, true);
+  await storeTokens(idToken, user.refreshToken || '', { updateLastLogin: false });
+
+  // Two-factor is already on at this point, so a Firestore failure must not fail the enrollment
+  let recoveryCodes = null;
+  let recoveryCodesFailed = false;
+  if (isFirstFactor) {
+    try {
+      recoveryCodes = await createRecoveryCodes(user.uid, AUTH_CONFIG.MFA_RECOVERY_CODE_COUNT);
+    } catch (recoveryCodesError) {
+      console.warn('Failed to create recovery codes:', recoveryCodesError);
+      recoveryCodesFailed = true;
+    }
+  }
+
+  const userData = await updateStoredUser(user);
+
+  return {
+    success: true,
+    user: userData,
+    recoveryCodes,
+    recoveryCodesFailed,
+  };
+};
+
+/**
+ * Start setting up an authenticator app for two-factor authentication
+ * @returns {Promise<{success: boolean, secretKey?: string, uri?: string, error?: string, requiresRecentLogin?: boolean}>}
+ */
+export const startTotpEnrollment = async () => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    const session = await multiFactor(user).getSession();
+    totpSecret = await TotpMultiFactorGenerator.generateSecret(session);
+
+    const issuer = AUTH_CONFIG.MFA_ISSUER || Constants.expoConfig?.name || 'App';
+
+    return {
+      success: true,
+      secretKey: totpSecret.secretKey,
+      uri: totpSecret.generateQrCodeUrl(user.email || user.uid, issuer),
+    };
+  } catch (error) {
+    totpSecret = null;
+    return getMultiFactorErrorResult(error, 'Failed to start two-factor setup. Please try again.');
+  }
+};
+
+/**
+ * Finish setting up an authenticator app with the first code it shows
+ * @param {string} code - One-time code from the authenticator app
+ * @param {string} displayName - Name for the factor shown in the factor list
+ * @returns {Promise<{success: boolean, user?: Object, recoveryCodes?: string[]|null, recoveryCodesFailed?: boolean, error?: string, requiresRecentLogin?: boolean}>}
+ */
+export const completeTotpEnrollment = async (code, displayName = 'Authenticator app') => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    if (!totpSecret) {
+      return {
+        success: false,
+        error: 'Two-factor setup has expired. Please start again.',
+      };
+    }
+
+    const assertion = TotpMultiFactorGenerator.assertionForEnrollment(totpSecret, code);
+    const result = await enrollSecondFactor(user, assertion, displayName);
+    totpSecret = null;
+
+    return result;
+  } catch (error) {
+    return getMultiFactorErrorResult(error, 'Failed to turn on two-factor authentication. Please try again.');
+  }
+};
+
+/**
+ * Discard a TOTP setup that was not finished
+ */
+export const cancelTotpEnrollment = () => {
+  totpSecret = null;
+};
+
+/**
+ * Text a verification code to a phone number being added as a second factor
+ * @param {string} phoneNumber - Phone number in E.164 format
+ * @returns {Promise<{success: boolean, error?: string, requiresRecentLogin?: boolean}>}
+ */
+export const startPhoneEnrollment = async (phoneNumber) => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    const session = await multiFactor(user).getSession();
+    const result = await sendSecondFactorCode({ phoneNumber, session });
+
+    if (result.error) {
+      return {
+        success: false,
+        error: result.error,
+      };
+    }
+
+    phoneEnrollmentVerificationId = result.verificationId;
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    return getMultiFactorErrorResult(error, 'Failed to send verification code.');
+  }
+};
+
+/**
+ * Finish adding a phone number as a second factor with the SMS code
+ * @param {string} code - Code from the text message
+ * @param {string} displayName - Name for the factor shown in the factor list
+ * @returns {Promise<{success: boolean, user?: Object, recoveryCodes?: string[]|null, recoveryCodesFailed?: boolean, error?: string, requiresRecentLogin?: boolean}>}
+ */
+export const completePhoneEnrollment = async (code, displayName = 'Phone') => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    if (!phoneEnrollmentVerificationId) {
+      return {
+        success: false,
+        error: 'Please request a verification code first.',
+      };
+    }
+
+    const credential = PhoneAuthProvider.credential(phoneEnrollmentVerificationId, code);
+    const assertion = PhoneMultiFactorGenerator.assertion(credential);
+    const result = await enrollSecondFactor(user, assertion, displayName);
+
+    phoneEnrollmentVerificationId = null;
+    clearPhoneVerifier();
+    await recordPhoneAttempt(true);
+
+    return result;
+  } catch (error) {
+    return getMultiFactorErrorResult(error, 'Failed to add this phone number. Please try again.');
+  }
+};
+
+/**
+ * Discard a phone enrollment that was not finished
+ */
+export const cancelPhoneEnrollment = () => {
+  phoneEnrollmentVerificationId = null;
+  clearPhoneVerifier();
+};
+
+/**
+ * Remove a second factor from the current user
+ * @param {string} factorUid - UID of the enrolled factor
+ * @returns {Promise<{success: boolean, user?: Object, error?: string, requiresRecentLogin?: boolean}>}
+ */
+export const unenrollMultiFactor = async (factorUid) => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    await multiFactor(user).unenroll(factorUid);
+
+    // Unenrolling revokes other sessions, store the freshly issued tokens
+    const idToken = await getIdToken(user, true);
+    await storeTokens(idToken, user.refreshToken || '', { updateLastLogin: false });
+
+    const userData = await updateStoredUser(user);
+
+    return {
+      success: true,
+      user: userData,
+    };
+  } catch (error) {
+    return getMultiFactorErrorResult(error, 'Failed to remove this verification method. Please try again.');
+  }
+};
+
+/**
+ * Replace the current user's recovery codes with a new set
+ * @returns {Promise<{success: boolean, recoveryCodes?: string[], error?: string}>}
+ */
+export const regenerateRecoveryCodes = async () => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    const recoveryCodes = await createRecoveryCodes(user.uid, AUTH_CONFIG.MFA_RECOVERY_CODE_COUNT);
+
+    return {
+      success: true,
+      recoveryCodes,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: 'Failed to create new recovery codes. Please try again.',
+    };
+  }
+};
+
+/**
+ * Update the current user's display name and/or photo
+ * @param {Object} profile - Fields to update
+ * @param {string} [profile.displayName] - New display name
+ * @param {string|null} [profile.photoURL] - New photo URL
+ * @returns {Promise<{success: boolean, user?: Object, error?: string}>}
+ */
+export const updateUserProfile = async ({ displayName, photoURL } = {}) => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    const updates = {};
+    if (displayName !== undefined) {
+      updates.displayName = displayName.trim();
+    }
+    if (photoURL !== undefined) {
+      updates.photoURL = photoURL;
+    }
+
+    await updateProfile(user, updates);
+    await updateUserProfileFields(user, updates);
+
+    // Keep the cached user data in sync for the next cold start
+    const userData = await updateStoredUser(user);
+
+    return {
+      success: true,
+      user: userData,
+    };
+  } catch (error) {
+    let errorMessage = 'Failed to update profile. Please try again.';
+
+    switch (error.code) {
+      case 'auth/network-request-failed':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+      case 'auth/user-token-expired':
+      case 'auth/requires-recent-login':
+        errorMessage = 'Your session has expired. Please sign in again.';
+        break;
+      default:
+        errorMessage = error.message || errorMessage;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Update fields of the current user's Firestore profile that Firebase Auth does not hold
+ * @param {Object} fields - Fields to update (e.g. { bio, preferences })
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const updateUserProfileData = async (fields) => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user || user.isAnonymous) {
+      return {
+        success: false,
+        error: 'Create an account to save your profile.',
+      };
+    }
+
+    if (!db) {
+      return {
+        success: false,
+        error: 'Firestore is not configured.',
+      };
+    }
+
+    await updateUserProfileDocument(user.uid, fields);
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    let errorMessage = 'Failed to save your profile. Please try again.';
+
+    switch (error.code) {
+      case 'permission-denied':
+        errorMessage = 'You do not have permission to update this profile.';
+        break;
+      case 'unavailable':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Upload a processed image as the current user's avatar and set it as their photo
+ * @param {string} uri - Local URI of the resized image
+ * @param {Function} [onProgress] - Called with the upload progress (0 - 1)
+ * @returns {Promise<{success: boolean, user?: Object, error?: string}>}
+ */
+export const uploadProfilePhoto = async (uri, onProgress) => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    if (!storage) {
+      return {
+        success: false,
+        error: 'Firebase Storage is not configured.',
+      };
+    }
+
+    const response = await fetch(uri);
+    const blob = await response.blob();
+
+    const uploadTask = uploadBytesResumable(getAvatarRef(user.uid), blob, {
+      contentType: 'image/jpeg',
+    });
+
+    await new Promise((resolve, reject) => {
+      uploadTask.on(
+        'state_changed',
+        (snapshot) => {
+          if (onProgress && snapshot.totalBytes > 0) {
+            onProgress(snapshot.bytesTransferred / snapshot.totalBytes);
+          }
+        },
+        reject,
+        resolve
+      );
+    });
+
+    const photoURL = await getDownloadURL(uploadTask.snapshot.ref);
+
+    return await updateUserProfile({ photoURL });
+  } catch (error) {
+    let errorMessage = 'Failed to upload your photo. Please try again.';
+
+    switch (error.code) {
+      case 'storage/unauthorized':
+        errorMessage = 'You do not have permission to upload this photo.';
+        break;
+      case 'storage/quota-exceeded':
+        errorMessage = 'Storage quota exceeded. Please try again later.';
+        break;
+      case 'storage/retry-limit-exceeded':
+      case 'auth/network-request-failed':
+        errorMessage = 'Network error. Please check your connection.';
+        break;
+      case 'storage/canceled':
+        errorMessage = 'The upload was cancelled.';
+        break;
+    }
+
+    return {
+      success: false,
+      error: errorMessage,
+    };
+  }
+};
+
+/**
+ * Remove the current user's avatar
+ * @returns {Promise<{success: boolean, user?: Object, error?: string}>}
+ */
+export const removeProfilePhoto = async () => {
+  const user = auth.currentUser;
+
+  if (!user) {
+    return {
+      success: false,
+      error: 'No authenticated user found.',
+    };
+  }
+
+  const result = await updateUserProfile({ photoURL: null });
+
+  if (result.success && storage) {
+    // The photo is already unset, a leftover file is harmless
+    try {
+      await deleteObject(getAvatarRef(user.uid));
+    } catch (error) {
+      console.warn('Could not delete avatar file:', error.code);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Permanently delete the current user's account and everything stored for it
+ * @param {string} password - Current password (required for email/password accounts)
+ * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean, requiresRecentLogin?: boolean}>}
+ */
+export const deleteAccount = async (password = '') => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    // Reauthenticate first so the account is never left half deleted
+    const reauthFailure = await reauthenticateUser(user, password, 'deleting your account');
+    if (reauthFailure) {
+      return reauthFailure;
+    }
+
+    // Delete per-user Firestore documents while the security rules still see the user
+    if (db && AUTH_CONFIG.USER_DATA_COLLECTIONS.length > 0) {
+      await Promise.all(
+        AUTH_CONFIG.USER_DATA_COLLECTIONS.map((collectionName) => deleteDoc(doc(db, collectionName, user.uid)))
+      );
+    }
+
+    // Remove the avatar, which may not exist
+    if (storage && user.photoURL) {
+      try {
+        await deleteObject(getAvatarRef(user.uid));
+      } catch (error) {
+        if (error.code !== 'storage/object-not-found') {
+          throw error;
+        }
+      }
+    }
+
+    await deleteUser(user);
+
+    // Wipe everything stored locally for this user
+    await Promise.all([
+      clearAuthData(user.uid),
+      removeSavedAccount(user.uid),
+      clearRateLimitData(user.uid),
+    ]);
+
+    return {
+      success: true,
+    };
+  } catch (error) {
+    if (error.code === 'auth/requires-recent-login') {
+      return {
+        success: false,
+        error: 'For your security, please sign in again before deleting your account.',
+        requiresRecentLogin: true,
+      };
+    }
+
+    let errorMessage = 'Failed to delete your account. Please try again.';
+
+    switch (error.code) {
+      case 'auth/popup-closed-by-user':
+      case 'auth/cancelled-popup-request':
+        return {
+          success: false,
+          cancelled: true,
+          error: 'Account deletion was cancelled.',
+        };
+      case 'auth/wrong-password':
+      case 'auth/invalid-credential':
+        errorMessage = 'Your password is incorrect.';
         break;
-      case 'auth/invalid-email':
-        errorMessage = 'Please enter a valid email address.';
+      case 'auth/user-mismatch':
+        errorMessage = 'Please sign in with the account you are deleting.';
         break;
-      case 'auth/operation-not-allowed':
-        errorMessage = 'Email/password accounts are not enabled.';
+      case 'auth/too-many-requests':
+        errorMessage = 'Too many failed attempts. Please try again later.';
         break;
-      case 'auth/weak-password':
-        errorMessage = 'Password should be at least 6 characters long.';
+      case 'permission-denied':
+        errorMessage = 'Your data could not be deleted. Your account has not been removed.';
         break;
       case 'auth/network-request-failed':
+      case 'unavailable':
         errorMessage = 'Network error. Please check your connection.';
         break;
       default:
@@ -109,156 +2861,394 @@ export const registerUser = async (email, password, displayName = '') => {
 };
 
 /**
- * Login user with email and password
- * @param {string} email - User's email
- * @param {string} password - User's password
- * @returns {Promise<{success: boolean, user?: Object, error?: string}>}
+ * Check whether to offer biometric unlock to the signed-in user
+ * Only offered once per sign-in, and never to guests
+ * @returns {Promise<boolean>}
  */
-export const loginUser = async (email, password) => {
+export const shouldOfferBiometricUnlock = async () => {
+  const user = auth.currentUser;
+
+  if (!user || user.isAnonymous) {
+    return false;
+  }
+
+  const [preference, support] = await Promise.all([
+    getBiometricPreference(user.uid),
+    getBiometricSupport(),
+  ]);
+
+  return preference === null && support.isAvailable;
+};
+
+/**
+ * Get whether biometric unlock is turned on
+ * @returns {Promise<boolean>}
+ */
+export const isBiometricUnlockEnabled = async () => {
+  const user = auth.currentUser;
+
+  if (!user) {
+    return false;
+  }
+
+  return (await getBiometricPreference(user.uid)) === true;
+};
+
+/**
+ * Turn biometric unlock on or off
+ * Turning it on asks for biometrics first, so it is known to work on this device
+ * @param {boolean} enabled - Whether biometric unlock should be on
+ * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean}>}
+ */
+export const setBiometricUnlock = async (enabled) => {
   try {
-    // Check rate limiting
-    const rateLimitCheck = await checkLoginRateLimit();
-    if (rateLimitCheck.isLimited) {
+    const user = auth.currentUser;
+
+    if (!user) {
       return {
         success: false,
-        error: rateLimitCheck.message,
+        error: 'No authenticated user found.',
       };
     }
 
-    // Sign in user
-    const userCredential = await signInWithEmailAndPassword(auth, email, password);
-    const user = userCredential.user;
+    if (enabled) {
+      const support = await getBiometricSupport();
 
-    // Get ID token for storage
-    const idToken = await getIdToken(user);
-    
-    // Prepare user data
-    const userData = {
-      uid: user.uid,
-      email: user.email,
-      displayName: user.displayName || '',
-      emailVerified: user.emailVerified,
-      photoURL: user.photoURL,
-      lastLoginAt: new Date().toISOString(),
-    };
+      if (!support.isAvailable) {
+        return {
+          success: false,
+          error: 'Biometric unlock is not set up on this device.',
+        };
+      }
 
-    // Store tokens and user data
-    await storeTokens(idToken, user.refreshToken || '');
-    await storeUserData(userData);
+      const result = await authenticateWithBiometrics(`Turn on ${support.label} unlock`);
+      if (!result.success) {
+        return result;
+      }
+    }
 
-    // Record successful login attempt
-    await recordLoginAttempt(true);
+    await storeBiometricPreference(user.uid, enabled);
 
     return {
       success: true,
-      user: userData,
     };
   } catch (error) {
-    
-    
-    // Record failed login attempt
-    await recordLoginAttempt(false);
+    return {
+      success: false,
+      error: 'Failed to save your biometric unlock setting.',
+    };
+  }
+};
 
-    // Map Firebase errors to user-friendly messages
-    let errorMessage = 'Login failed. Please try again.';
-    
+/**
+ * Unlock a locked session with biometrics
+ * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean}>}
+ */
+export const unlockWithBiometrics = async () => {
+  const support = await getBiometricSupport();
+
+  if (!support.isAvailable) {
+    return {
+      success: false,
+      error: `${support.label} is not available. Use your password instead.`,
+    };
+  }
+
+  return authenticateWithBiometrics('Unlock to continue');
+};
+
+/**
+ * Unlock a locked session by signing in again
+ * Uses the password, or the linked OAuth provider for accounts without one
+ * @param {string} password - Current password (ignored for OAuth-only accounts)
+ * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean, requiresRecentLogin?: boolean}>}
+ */
+export const unlockWithPassword = async (password = '') => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
+    }
+
+    const reauthFailure = await reauthenticateUser(user, password, 'unlocking the app', { requireCredential: true });
+    if (reauthFailure) {
+      return reauthFailure;
+    }
+
+    // Signing in again resets the wrong PIN count
+    await clearPinAttempts(user.uid);
+
+    return {
+      success: true,
+    };
+  } catch (error) {
     switch (error.code) {
-      case 'auth/invalid-email':
-        errorMessage = 'Please enter a valid email address.';
-        break;
-      case 'auth/user-disabled':
-        errorMessage = 'This account has been disabled.';
-        break;
-      case 'auth/user-not-found':
-        errorMessage = 'No account found with this email address.';
-        break;
+      case 'auth/popup-closed-by-user':
+      case 'auth/cancelled-popup-request':
+        return {
+          success: false,
+          cancelled: true,
+          error: 'Sign-in was cancelled.',
+        };
       case 'auth/wrong-password':
       case 'auth/invalid-credential':
-        errorMessage = 'Invalid email or password.';
-        break;
+        return {
+          success: false,
+          error: 'Your password is incorrect.',
+        };
       case 'auth/too-many-requests':
-        errorMessage = 'Too many failed attempts. Please try again later.';
-        break;
+        return {
+          success: false,
+          error: 'Too many attempts. Please try again later.',
+        };
       case 'auth/network-request-failed':
-        errorMessage = 'Network error. Please check your connection.';
-        break;
+        return {
+          success: false,
+          error: 'Network error. Please check your connection.',
+        };
       default:
-        errorMessage = error.message || errorMessage;
+        return {
+          success: false,
+          error: error.message || 'Failed to unlock. Please try again.',
+        };
     }
+  }
+};
+
+/**
+ * Get the number of digits in the app PIN
+ * @returns {Promise<number|null>} PIN length, or null if no PIN is set
+ */
+export const getAppPinLength = async () => {
+  const user = auth.currentUser;
+
+  if (!user) {
+    return null;
+  }
+
+  try {
+    return await getPinLength(user.uid);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check the current PIN before it is changed or removed
+ * Counts towards the same wrong PIN limit as unlocking
+ * @param {Object} user - Firebase user
+ * @param {string} currentPin - Current PIN as entered by the user
+ * @returns {Promise<Object|null>} A failure result to return to the caller, or null when there is no PIN or it matched
+ */
+const confirmCurrentPin = async (user, currentPin) => {
+  if (await getPinLength(user.uid) === null) {
+    return null;
+  }
 
+  if (!currentPin) {
     return {
       success: false,
-      error: errorMessage,
+      error: 'Please enter your current PIN.',
     };
   }
+
+  return checkAppPin(user, currentPin);
 };
 
 /**
- * Logout current user
- * @returns {Promise<{success: boolean, error?: string}>}
+ * Set or change the app PIN
+ * Changing it needs the current PIN
+ * @param {string} pin - New PIN (4 to 6 digits)
+ * @param {string} currentPin - Current PIN, when one is set
+ * @returns {Promise<{success: boolean, length?: number, error?: string, attemptsLeft?: number, signedOut?: boolean}>}
  */
-export const logoutUser = async () => {
+export const setAppPin = async (pin, currentPin = '') => {
+  const user = auth.currentUser;
+
+  if (!user || user.isAnonymous) {
+    return {
+      success: false,
+      error: 'Sign in to an account to set a PIN.',
+    };
+  }
+
+  const pinError = validatePin(pin);
+  if (pinError) {
+    return {
+      success: false,
+      error: pinError,
+    };
+  }
+
   try {
-    // Sign out from Firebase
-    await signOut(auth);
-    
-    // Clear stored auth data
-    await clearAuthData();
+    const pinFailure = await confirmCurrentPin(user, currentPin);
+    if (pinFailure) {
+      return pinFailure;
+    }
+
+    await storePin(user.uid, pin);
+    await clearPinAttempts(user.uid);
 
     return {
       success: true,
+      length: pin.length,
     };
   } catch (error) {
-    
-    
     return {
       success: false,
-      error: 'Failed to logout. Please try again.',
+      error: 'Failed to save your PIN. Please try again.',
     };
   }
 };
 
 /**
- * Send password reset email
- * @param {string} email - User's email
- * @returns {Promise<{success: boolean, error?: string}>}
+ * Remove the app PIN
+ * @param {string} currentPin - Current PIN
+ * @returns {Promise<{success: boolean, error?: string, attemptsLeft?: number, signedOut?: boolean}>}
  */
-export const sendPasswordReset = async (email) => {
+export const removeAppPin = async (currentPin = '') => {
+  const user = auth.currentUser;
+
+  if (!user) {
+    return {
+      success: false,
+      error: 'No authenticated user found.',
+    };
+  }
+
   try {
-    await sendPasswordResetEmail(auth, email);
-    
+    const pinFailure = await confirmCurrentPin(user, currentPin);
+    if (pinFailure) {
+      return pinFailure;
+    }
+
+    await removePin(user.uid);
+    await clearPinAttempts(user.uid);
+
     return {
       success: true,
     };
   } catch (error) {
-    
-    
-    let errorMessage = 'Failed to send password reset email.';
-    
-    switch (error.code) {
-      case 'auth/invalid-email':
-        errorMessage = 'Please enter a valid email address.';
-        break;
-      case 'auth/user-not-found':
-        errorMessage = 'No account found with this email address.';
-        break;
-      case 'auth/network-request-failed':
-        errorMessage = 'Network error. Please check your connection.';
-        break;
-      default:
-        errorMessage = error.message || errorMessage;
+    return {
+      success: false,
+      error: 'Failed to remove your PIN. Please try again.',
+    };
+  }
+};
+
+/**
+ * Sign out after too many wrong PINs
+ * The attempts stay recorded until the sign-out went through, so a failed sign-out is retried
+ * @param {string} uid - User ID the PIN belongs to
+ * @returns {Promise<{success: boolean, error: string, attemptsLeft: number, signedOut: boolean}>}
+ */
+export const enforcePinLockout = async (uid) => {
+  const logoutResult = await logoutUser();
+
+  if (logoutResult.success) {
+    await clearPinAttempts(uid);
+  }
+
+  return {
+    success: false,
+    signedOut: logoutResult.success,
+    attemptsLeft: 0,
+    error: 'Too many wrong PINs. Please sign in again.',
+  };
+};
+
+/**
+ * Whether the wrong PIN limit was reached without the sign-out finishing (e.g. the app was closed)
+ * @param {string} uid - User ID the PIN belongs to
+ * @returns {Promise<boolean>}
+ */
+export const isPinLockedOut = async (uid) => {
+  const { attemptsLeft } = await checkPinRateLimit(uid);
+  return attemptsLeft === 0;
+};
+
+/**
+ * Check a PIN entered by the signed-in user
+ * Wrong PINs are slowed down with exponential backoff, and the last allowed wrong PIN signs the user out
+ * @param {Object} user - Firebase user
+ * @param {string} pin - PIN as entered by the user
+ * @returns {Promise<Object|null>} A failure result to return to the caller, or null when the PIN is correct
+ */
+const checkAppPin = async (user, pin) => {
+  const rateLimit = await checkPinRateLimit(user.uid);
+
+  // Out of attempts, whatever happened to the sign-out before
+  if (rateLimit.attemptsLeft === 0) {
+    return enforcePinLockout(user.uid);
+  }
+
+  if (rateLimit.isLimited) {
+    return {
+      success: false,
+      error: rateLimit.message,
+      attemptsLeft: rateLimit.attemptsLeft,
+    };
+  }
+
+  const isValid = await verifyPin(user.uid, pin);
+  await recordPinAttempt(user.uid, isValid);
+
+  if (isValid) {
+    return null;
+  }
+
+  const attemptsLeft = rateLimit.attemptsLeft - 1;
+
+  if (attemptsLeft === 0) {
+    return enforcePinLockout(user.uid);
+  }
+
+  return {
+    success: false,
+    attemptsLeft,
+    error: `Wrong PIN. ${attemptsLeft} ${attemptsLeft === 1 ? 'attempt' : 'attempts'} left.`,
+  };
+};
+
+/**
+ * Unlock a locked session with the app PIN
+ * @param {string} pin - PIN as entered by the user
+ * @returns {Promise<{success: boolean, error?: string, attemptsLeft?: number, signedOut?: boolean}>}
+ */
+export const unlockWithPin = async (pin) => {
+  try {
+    const user = auth.currentUser;
+
+    if (!user) {
+      return {
+        success: false,
+        error: 'No authenticated user found.',
+      };
     }
 
+    const pinFailure = await checkAppPin(user, pin);
+    if (pinFailure) {
+      return pinFailure;
+    }
+
+    return {
+      success: true,
+    };
+  } catch (error) {
     return {
       success: false,
-      error: errorMessage,
+      error: 'Failed to check your PIN. Please try again.',
     };
   }
 };
 
 /**
  * Get fresh authentication token
- * @returns {Promise<{success: boolean, token?: string, error?: string}>}
+ * @returns {Promise<{success: boolean, token?: string, error?: string, networkError?: boolean}>}
  */
 export const refreshAuthToken = async () => {
   try {
@@ -275,15 +3265,22 @@ export const refreshAuthToken = async () => {
     const idToken = await getIdToken(user, true);
     
     // Update stored token
-    await storeTokens(idToken, user.refreshToken || '');
+    await storeTokens(idToken, user.refreshToken || '', { updateLastLogin: false });
 
     return {
       success: true,
       token: idToken,
     };
   } catch (error) {
-    
-    
+    // Offline is not a reason to end the session, callers can try again later
+    if (error.code === 'auth/network-request-failed') {
+      return {
+        success: false,
+        networkError: true,
+        error: 'Network error. Please check your connection.',
+      };
+    }
+
     return {
       success: false,
       error: 'Failed to refresh authentication token.',
@@ -306,13 +3303,7 @@ export const getCurrentUser = async () => {
       };
     }
 
-    const userData = {
-      uid: user.uid,
-      email: user.email,
-      displayName: user.displayName || '',
-      emailVerified: user.emailVerified,
-      photoURL: user.photoURL,
-    };
+    const userData = serializeUser(user);
 
     return {
       success: true,
@@ -337,17 +3328,33 @@ export const onAuthStateChange = (callback) => {
   return onAuthStateChanged(auth, (user) => {
     if (user) {
       // User is signed in
-      const userData = {
-        uid: user.uid,
-        email: user.email,
-        displayName: user.displayName || '',
-        emailVerified: user.emailVerified,
-        photoURL: user.photoURL,
-      };
+      const userData = serializeUser(user);
       callback({ isAuthenticated: true, user: userData });
     } else {
       // User is signed out
       callback({ isAuthenticated: false, user: null });
     }
   });
-}; 
\ No newline at end of file
+};
+
+/**
+ * Listen for the signed-in user's roles
+ * Roles come from custom claims in the ID token, so they update whenever the token is refreshed
+ * @param {Function} callback - Called with the roles (empty when signed out or a guest)
+ * @returns {Function} Unsubscribe function
+ */
+export const onRolesChange = (callback) => {
+  return onIdTokenChanged(auth, async (user) => {
+    if (!user || user.isAnonymous) {
+      callback([]);
+      return;
+    }
+
+    try {
+      const { claims } = await getIdTokenResult(user);
+      callback(getRolesFromClaims(claims));
+    } catch (error) {
+      console.warn('Failed to read user roles:', error);
+    }
+  });
+};
@@ -0,0 +1,46 @@
+// Authentication feature configuration
+
+const AUTH_CONFIG = {
+  // Show "Sign in with Phone" on the login screen
+  PHONE_AUTH_ENABLED: process.env.EXPO_PUBLIC_AUTH_PHONE_ENABLED === 'true',
+  // Skip reCAPTCHA for Firebase test phone numbers (development only)
+  PHONE_AUTH_TEST_MODE: process.env.EXPO_PUBLIC_AUTH_PHONE_TEST_MODE === 'true',
+  // Show "Continue as Guest" on the login screen
+  ANONYMOUS_AUTH_ENABLED: process.env.EXPO_PUBLIC_AUTH_ANONYMOUS_ENABLED === 'true',
+  // Show "Email me a sign-in link" on the login screen
+  EMAIL_LINK_ENABLED: process.env.EXPO_PUBLIC_AUTH_EMAIL_LINK_ENABLED === 'true',
+  // Continue URL for sign-in links (defaults to the current origin on web)
+  EMAIL_LINK_URL: process.env.EXPO_PUBLIC_AUTH_EMAIL_LINK_URL || '',
+  // Keep users with an unverified email on VerifyEmailScreen until they verify
+  REQUIRE_EMAIL_VERIFICATION: process.env.EXPO_PUBLIC_AUTH_REQUIRE_EMAIL_VERIFICATION === 'true',
+  // How often to check whether an unverified email has been verified
+  EMAIL_VERIFICATION_POLL_SECONDS: 10,
+  // Firestore collections with one document per user (keyed by UID), removed when the account is deleted
+  USER_DATA_COLLECTIONS: ['users', 'mfaRecoveryCodes'],
+  // Continue URL for password reset links, opens the in-app new-password form
+  PASSWORD_RESET_URL: process.env.EXPO_PUBLIC_AUTH_PASSWORD_RESET_URL || '',
+  // Let users turn on two-factor authentication from the profile screen
+  MFA_ENABLED: process.env.EXPO_PUBLIC_AUTH_MFA_ENABLED === 'true',
+  // Name shown next to the account in authenticator apps (defaults to the app name)
+  MFA_ISSUER: process.env.EXPO_PUBLIC_AUTH_MFA_ISSUER || '',
+  // Number of single-use recovery codes generated when two-factor authentication is turned on
+  MFA_RECOVERY_CODE_COUNT: 10,
+  // Backend endpoint that redeems a recovery code and turns two-factor authentication off (see README)
+  MFA_RECOVERY_PATH: process.env.EXPO_PUBLIC_AUTH_MFA_RECOVERY_PATH || '',
+  // Lock the app after it has been in the background this long, when a PIN or biometric unlock is on
+  APP_LOCK_TIMEOUT_SECONDS: process.env.EXPO_PUBLIC_AUTH_APP_LOCK_TIMEOUT_SECONDS
+    ? Number(process.env.EXPO_PUBLIC_AUTH_APP_LOCK_TIMEOUT_SECONDS)
+    : 60,
+  // Minutes without touching the app before the session ends (0 turns the idle timeout off)
+  SESSION_IDLE_TIMEOUT_MINUTES: Number(process.env.EXPO_PUBLIC_AUTH_SESSION_IDLE_TIMEOUT_MINUTES) || 0,
+  // What the idle timeout does: 'lock' shows LockScreen, 'logout' signs the user out
+  SESSION_IDLE_ACTION: process.env.EXPO_PUBLIC_AUTH_SESSION_IDLE_ACTION === 'lock' ? 'lock' : 'logout',
+  // Hours after signing in before the user must sign in again, however active they are (0 turns it off)
+  SESSION_MAX_AGE_HOURS: Number(process.env.EXPO_PUBLIC_AUTH_SESSION_MAX_AGE_HOURS) || 0,
+  // How long before the session ends to show the "session expiring" warning
+  SESSION_WARNING_SECONDS: 60,
+  // Refresh the ID token this long before it expires (Firebase ID tokens last an hour)
+  TOKEN_REFRESH_MARGIN_SECONDS: 300,
+};
+
+export { AUTH_CONFIG };
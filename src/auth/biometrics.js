@@ -0,0 +1,110 @@
+// Biometric authentication abstraction (Face ID, Touch ID, fingerprint)
+import * as LocalAuthentication from 'expo-local-authentication';
+
+// Module used for the device checks, replaceable in tests
+let biometricModule = LocalAuthentication;
+
+/**
+ * Replace the native module, e.g. with a mock in tests
+ * @param {Object|null} module - Object with the expo-local-authentication functions used here, or null to restore it
+ */
+export const setBiometricModule = (module) => {
+  biometricModule = module || LocalAuthentication;
+};
+
+/**
+ * Name of the biometric method for buttons and messages
+ * @param {number[]} types - Supported LocalAuthentication.AuthenticationType values
+ * @returns {string}
+ */
+const getBiometricLabel = (types) => {
+  if (types.includes(LocalAuthentication.AuthenticationType.FACIAL_RECOGNITION)) {
+    return 'Face ID';
+  }
+
+  if (types.includes(LocalAuthentication.AuthenticationType.FINGERPRINT)) {
+    return 'Fingerprint';
+  }
+
+  return 'Biometrics';
+};
+
+/**
+ * Check whether the device can unlock the app with biometrics
+ * @returns {Promise<{isAvailable: boolean, label: string}>}
+ */
+export const getBiometricSupport = async () => {
+  try {
+    const [hasHardware, isEnrolled, types] = await Promise.all([
+      biometricModule.hasHardwareAsync(),
+      biometricModule.isEnrolledAsync(),
+      biometricModule.supportedAuthenticationTypesAsync(),
+    ]);
+
+    return {
+      isAvailable: hasHardware && isEnrolled,
+      label: getBiometricLabel(types),
+    };
+  } catch (error) {
+    console.warn('Biometric support check failed:', error);
+    return {
+      isAvailable: false,
+      label: 'Biometrics',
+    };
+  }
+};
+
+/**
+ * Ask the user to authenticate with biometrics
+ * The device passcode is not accepted, the app has its own password fallback
+ * @param {string} promptMessage - Message shown in the system prompt
+ * @returns {Promise<{success: boolean, cancelled?: boolean, error?: string}>}
+ */
+export const authenticateWithBiometrics = async (promptMessage) => {
+  try {
+    const result = await biometricModule.authenticateAsync({
+      promptMessage,
+      cancelLabel: 'Cancel',
+      disableDeviceFallback: true,
+    });
+
+    if (result.success) {
+      return { success: true };
+    }
+
+    switch (result.error) {
+      case 'user_cancel':
+      case 'system_cancel':
+      case 'app_cancel':
+      case 'user_fallback':
+        return {
+          success: false,
+          cancelled: true,
+          error: 'Authentication was cancelled.',
+        };
+      case 'lockout':
+        return {
+          success: false,
+          error: 'Too many failed attempts. Use your password instead.',
+        };
+      case 'not_enrolled':
+      case 'not_available':
+      case 'passcode_not_set':
+        return {
+          success: false,
+          error: 'Biometric unlock is not set up on this device.',
+        };
+      default:
+        return {
+          success: false,
+          error: 'Biometric authentication failed. Please try again.',
+        };
+    }
+  } catch (error) {
+    console.warn('Biometric authentication error:', error);
+    return {
+      success: false,
+      error: 'Biometric authentication failed. Please try again.',
+    };
+  }
+};
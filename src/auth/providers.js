@@ -0,0 +1,359 @@
+// OAuth provider registry
+import * as AppleAuthentication from 'expo-apple-authentication';
+import * as AuthSession from 'expo-auth-session';
+import * as Crypto from 'expo-crypto';
+import * as WebBrowser from 'expo-web-browser';
+import {
+  FacebookAuthProvider,
+  GithubAuthProvider,
+  GoogleAuthProvider,
+  OAuthProvider,
+  TwitterAuthProvider,
+} from 'firebase/auth';
+import { Platform } from 'react-native';
+
+// Lets the web auth popup hand its result back to the opening window
+WebBrowser.maybeCompleteAuthSession();
+
+const ALL_PLATFORMS = ['ios', 'android', 'web'];
+
+/**
+ * Create the error thrown when a provider is missing its client configuration
+ * @param {string} name - Provider display name
+ * @returns {Error}
+ */
+const notConfiguredError = (name) => {
+  const error = new Error(`${name} sign-in is not configured. Please add its client ID to the .env file.`);
+  error.code = 'auth/provider-not-configured';
+  return error;
+};
+
+/**
+ * Open a provider's authorization page in the system browser and wait for the redirect
+ * @param {Object} options - AuthRequest options
+ * @param {Object} options.discovery - Provider endpoints
+ * @param {string} options.nativeRedirect - Redirect URI registered for native builds
+ * @returns {Promise<{request: Object, redirectUri: string, params: Object}|null>} Null if the user cancelled
+ */
+const promptForAuthorization = async ({ discovery, nativeRedirect, ...requestOptions }) => {
+  const redirectUri = AuthSession.makeRedirectUri({ native: nativeRedirect });
+  const request = new AuthSession.AuthRequest({ ...requestOptions, redirectUri });
+
+  const result = await request.promptAsync(discovery);
+
+  if (result.type === 'error') {
+    throw result.error || new Error('Authorization failed.');
+  }
+
+  if (result.type !== 'success') {
+    return null;
+  }
+
+  return { request, redirectUri, params: result.params };
+};
+
+/**
+ * Google: authorization code flow with PKCE
+ * @returns {Promise<{credential: Object}|null>}
+ */
+const getGoogleCredential = async () => {
+  const clientId = Platform.select({
+    ios: process.env.EXPO_PUBLIC_GOOGLE_IOS_CLIENT_ID,
+    android: process.env.EXPO_PUBLIC_GOOGLE_ANDROID_CLIENT_ID,
+    default: process.env.EXPO_PUBLIC_GOOGLE_WEB_CLIENT_ID,
+  });
+
+  if (!clientId) {
+    throw notConfiguredError('Google');
+  }
+
+  const discovery = {
+    authorizationEndpoint: 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenEndpoint: 'https://oauth2.googleapis.com/token',
+    revocationEndpoint: 'https://oauth2.googleapis.com/revoke',
+  };
+
+  // Native Google clients only accept their reversed client ID as redirect scheme
+  const reversedClientId = clientId.split('.').reverse().join('.');
+
+  const authorization = await promptForAuthorization({
+    discovery,
+    nativeRedirect: `${reversedClientId}:/oauthredirect`,
+    clientId,
+    scopes: OAUTH_PROVIDERS.google.scopes,
+    extraParams: OAUTH_PROVIDERS.google.customParameters,
+    responseType: AuthSession.ResponseType.Code,
+    usePKCE: true,
+  });
+
+  if (!authorization) {
+    return null;
+  }
+
+  // Exchange the authorization code (plus PKCE verifier) for tokens
+  const tokenResponse = await AuthSession.exchangeCodeAsync(
+    {
+      clientId,
+      redirectUri: authorization.redirectUri,
+      code: authorization.params.code,
+      extraParams: { code_verifier: authorization.request.codeVerifier },
+    },
+    discovery
+  );
+
+  return {
+    credential: GoogleAuthProvider.credential(tokenResponse.idToken, tokenResponse.accessToken),
+  };
+};
+
+/**
+ * Apple: native Sign in with Apple sheet with a hashed nonce
+ * @returns {Promise<{credential: Object, displayName: string}|null>}
+ */
+const getAppleCredential = async () => {
+  const isAvailable = await AppleAuthentication.isAvailableAsync();
+
+  if (!isAvailable) {
+    const error = new Error('Sign in with Apple is not available on this device.');
+    error.code = 'auth/apple-not-available';
+    throw error;
+  }
+
+  // Apple receives the SHA-256 hash of the nonce, Firebase verifies it against the raw value
+  const rawNonce = Crypto.randomUUID();
+  const hashedNonce = await Crypto.digestStringAsync(
+    Crypto.CryptoDigestAlgorithm.SHA256,
+    rawNonce
+  );
+
+  let appleCredential;
+
+  try {
+    appleCredential = await AppleAuthentication.signInAsync({
+      requestedScopes: [
+        AppleAuthentication.AppleAuthenticationScope.FULL_NAME,
+        AppleAuthentication.AppleAuthenticationScope.EMAIL,
+      ],
+      nonce: hashedNonce,
+    });
+  } catch (error) {
+    if (error.code === 'ERR_REQUEST_CANCELED') {
+      return null;
+    }
+    throw error;
+  }
+
+  if (!appleCredential.identityToken) {
+    const error = new Error('Apple did not return an identity token.');
+    error.code = 'auth/invalid-credential';
+    throw error;
+  }
+
+  const credential = new OAuthProvider('apple.com').credential({
+    idToken: appleCredential.identityToken,
+    rawNonce,
+  });
+
+  // Apple only shares the user's name on the very first authorization
+  const displayName = appleCredential.fullName
+    ? AppleAuthentication.formatFullName(appleCredential.fullName)
+    : '';
+
+  return { credential, displayName };
+};
+
+/**
+ * Facebook: implicit flow returning an access token
+ * @returns {Promise<{credential: Object}|null>}
+ */
+const getFacebookCredential = async () => {
+  const appId = process.env.EXPO_PUBLIC_FACEBOOK_APP_ID;
+
+  if (!appId) {
+    throw notConfiguredError('Facebook');
+  }
+
+  const authorization = await promptForAuthorization({
+    discovery: {
+      authorizationEndpoint: 'https://www.facebook.com/v19.0/dialog/oauth',
+    },
+    nativeRedirect: `fb${appId}://authorize`,
+    clientId: appId,
+    scopes: OAUTH_PROVIDERS.facebook.scopes,
+    responseType: AuthSession.ResponseType.Token,
+    usePKCE: false,
+  });
+
+  if (!authorization) {
+    return null;
+  }
+
+  return {
+    credential: FacebookAuthProvider.credential(authorization.params.access_token),
+  };
+};
+
+/**
+ * Registered OAuth providers
+ *
+ * Each entry declares:
+ * - providerId: Firebase provider ID
+ * - name: Display name used in button labels and error messages
+ * - enabled: Whether the provider is turned on through its EXPO_PUBLIC_AUTH_* flag
+ *   (Google and Apple are on unless their flag is 'false', the others are off unless it is 'true')
+ * - platforms: Platforms the provider can sign in on
+ * - scopes / customParameters: Applied to the Firebase provider (web) and the native request
+ * - createProvider: Builds the Firebase provider used for popup sign-in on web
+ * - credentialFromError: Recovers the credential from a popup sign-in error (for account linking)
+ * - getCredential: Obtains a Firebase credential natively, resolves to null if the user cancels
+ *
+ * GitHub and Twitter need a client secret to exchange tokens, and Firebase cannot verify
+ * Microsoft access tokens from signInWithCredential, so those are web-only unless you add
+ * a backend token exchange and a getCredential for them.
+ */
+export const OAUTH_PROVIDERS = {
+  google: {
+    id: 'google',
+    providerId: 'google.com',
+    name: 'Google',
+    enabled: process.env.EXPO_PUBLIC_AUTH_GOOGLE_ENABLED !== 'false',
+    platforms: ALL_PLATFORMS,
+    scopes: ['openid', 'profile', 'email'],
+    customParameters: { prompt: 'select_account' },
+    createProvider: () => new GoogleAuthProvider(),
+    credentialFromError: GoogleAuthProvider.credentialFromError,
+    getCredential: getGoogleCredential,
+  },
+
+  apple: {
+    id: 'apple',
+    providerId: 'apple.com',
+    name: 'Apple',
+    enabled: process.env.EXPO_PUBLIC_AUTH_APPLE_ENABLED !== 'false',
+    platforms: ['ios', 'web'],
+    scopes: ['email', 'name'],
+    customParameters: {},
+    createProvider: () => new OAuthProvider('apple.com'),
+    credentialFromError: OAuthProvider.credentialFromError,
+    getCredential: getAppleCredential,
+  },
+
+  microsoft: {
+    id: 'microsoft',
+    providerId: 'microsoft.com',
+    name: 'Microsoft',
+    enabled: process.env.EXPO_PUBLIC_AUTH_MICROSOFT_ENABLED === 'true',
+    platforms: ['web'],
+    scopes: ['openid', 'profile', 'email'],
+    customParameters: {
+      prompt: 'select_account',
+      tenant: process.env.EXPO_PUBLIC_MICROSOFT_TENANT_ID || 'common',
+    },
+    createProvider: () => new OAuthProvider('microsoft.com'),
+    credentialFromError: OAuthProvider.credentialFromError,
+    getCredential: null,
+  },
+
+  facebook: {
+    id: 'facebook',
+    providerId: 'facebook.com',
+    name: 'Facebook',
+    enabled: process.env.EXPO_PUBLIC_AUTH_FACEBOOK_ENABLED === 'true',
+    platforms: ALL_PLATFORMS,
+    scopes: ['public_profile', 'email'],
+    customParameters: { display: 'popup' },
+    createProvider: () => new FacebookAuthProvider(),
+    credentialFromError: FacebookAuthProvider.credentialFromError,
+    getCredential: getFacebookCredential,
+  },
+
+  github: {
+    id: 'github',
+    providerId: 'github.com',
+    name: 'GitHub',
+    enabled: process.env.EXPO_PUBLIC_AUTH_GITHUB_ENABLED === 'true',
+    platforms: ['web'],
+    scopes: ['read:user', 'user:email'],
+    customParameters: { allow_signup: 'true' },
+    createProvider: () => new GithubAuthProvider(),
+    credentialFromError: GithubAuthProvider.credentialFromError,
+    getCredential: null,
+  },
+
+  twitter: {
+    id: 'twitter',
+    providerId: 'twitter.com',
+    name: 'Twitter',
+    enabled: process.env.EXPO_PUBLIC_AUTH_TWITTER_ENABLED === 'true',
+    platforms: ['web'],
+    scopes: [],
+    customParameters: {},
+    createProvider: () => new TwitterAuthProvider(),
+    credentialFromError: TwitterAuthProvider.credentialFromError,
+    getCredential: null,
+  },
+};
+
+/**
+ * Look up a provider by its registry ID
+ * @param {string} id - Registry ID (e.g. 'google')
+ * @returns {Object|null} Provider entry or null
+ */
+export const getProvider = (id) => {
+  return OAUTH_PROVIDERS[id] || null;
+};
+
+/**
+ * Look up a provider by its Firebase provider ID
+ * @param {string} providerId - Firebase provider ID (e.g. 'google.com')
+ * @returns {Object|null} Provider entry or null
+ */
+export const getProviderByProviderId = (providerId) => {
+  return Object.values(OAUTH_PROVIDERS).find(
+    (provider) => provider.providerId === providerId
+  ) || null;
+};
+
+/**
+ * Get providers that are enabled and supported on the current platform
+ * @returns {Object[]} Provider entries in registry order
+ */
+export const getEnabledProviders = () => {
+  return Object.values(OAUTH_PROVIDERS).filter(
+    (provider) => provider.enabled && provider.platforms.includes(Platform.OS)
+  );
+};
+
+/**
+ * Build the Firebase provider for popup sign-in, with scopes and custom parameters applied
+ * @param {Object} provider - Provider entry
+ * @returns {Object} Firebase AuthProvider instance
+ */
+export const buildFirebaseProvider = (provider) => {
+  const firebaseProvider = provider.createProvider();
+
+  provider.scopes.forEach((scope) => firebaseProvider.addScope(scope));
+  firebaseProvider.setCustomParameters(provider.customParameters);
+
+  return firebaseProvider;
+};
+
+/**
+ * Get a display name for a Firebase sign-in method or provider ID
+ * @param {string} providerId - e.g. 'google.com', 'password', 'emailLink'
+ * @returns {string} Display name
+ */
+export const getSignInMethodName = (providerId) => {
+  switch (providerId) {
+    case 'password':
+      return 'Email & Password';
+    case 'emailLink':
+      return 'Email Link';
+    case 'phone':
+      return 'Phone';
+    default: {
+      const provider = getProviderByProviderId(providerId);
+      return provider ? provider.name : providerId;
+    }
+  }
+};
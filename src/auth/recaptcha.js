@@ -0,0 +1,53 @@
+// reCAPTCHA verifier abstraction for phone authentication
+import { RecaptchaVerifier } from 'firebase/auth';
+import { Platform } from 'react-native';
+import { auth } from '../api/firebase';
+import { AUTH_CONFIG } from './authConfig';
+
+// Element ID the invisible web reCAPTCHA attaches to (render a View with this nativeID)
+export const RECAPTCHA_CONTAINER_ID = 'recaptcha-container';
+
+// Custom verifier factory, e.g. a WebView-based reCAPTCHA for native builds
+let verifierFactory = null;
+
+/**
+ * Verifier accepted by Firebase when app verification is disabled for testing
+ * Only works with the test phone numbers configured in the Firebase console
+ */
+const createTestVerifier = () => ({
+  type: 'recaptcha',
+  verify: () => Promise.resolve('test-recaptcha-token'),
+  _reset: () => {},
+  clear: () => {},
+});
+
+/**
+ * Register a factory that creates application verifiers
+ * @param {Function|null} factory - Called with the auth instance, returns an ApplicationVerifier
+ */
+export const setRecaptchaVerifierFactory = (factory) => {
+  verifierFactory = factory;
+};
+
+/**
+ * Create the application verifier used by signInWithPhoneNumber
+ * @returns {Object} ApplicationVerifier
+ */
+export const createRecaptchaVerifier = () => {
+  if (verifierFactory) {
+    return verifierFactory(auth);
+  }
+
+  if (AUTH_CONFIG.PHONE_AUTH_TEST_MODE) {
+    auth.settings.appVerificationDisabledForTesting = true;
+    return createTestVerifier();
+  }
+
+  if (Platform.OS === 'web') {
+    return new RecaptchaVerifier(auth, RECAPTCHA_CONTAINER_ID, { size: 'invisible' });
+  }
+
+  const error = new Error('Phone sign-in needs a reCAPTCHA verifier on this platform. Register one with setRecaptchaVerifierFactory.');
+  error.code = 'auth/recaptcha-not-configured';
+  throw error;
+};
@@ -0,0 +1,39 @@
+// User roles, set as Firebase custom claims with the Admin SDK
+
+// Roles known to the app
+const ROLES = {
+  ADMIN: 'admin',
+  EDITOR: 'editor',
+  USER: 'user',
+};
+
+/**
+ * Read the roles from ID token claims
+ * Accepts a `roles` array, a single `role` string, or flags such as `admin: true`.
+ * Every signed-in user has the 'user' role.
+ * @param {Object} claims - Decoded ID token claims
+ * @returns {string[]}
+ */
+export const getRolesFromClaims = (claims = {}) => {
+  const roles = new Set([ROLES.USER]);
+
+  if (Array.isArray(claims.roles)) {
+    claims.roles
+      .filter((role) => typeof role === 'string')
+      .forEach((role) => roles.add(role));
+  }
+
+  if (typeof claims.role === 'string') {
+    roles.add(claims.role);
+  }
+
+  Object.values(ROLES).forEach((role) => {
+    if (claims[role] === true) {
+      roles.add(role);
+    }
+  });
+
+  return [...roles];
+};
+
+export { ROLES };
@@ -0,0 +1,163 @@
+// ID token manager: refreshes the Firebase ID token before it expires and hands out valid tokens
+import { getIdToken, onIdTokenChanged } from 'firebase/auth';
+import { AppState } from 'react-native';
+
+import { auth } from '../api/firebase';
+import { getTokens, storeTokens } from '../utils/storage';
+import { refreshAuthToken } from './authActions';
+import { AUTH_CONFIG } from './authConfig';
+
+// Wait before retrying a refresh that failed (e.g. while offline)
+const REFRESH_RETRY_MS = 30 * 1000;
+
+// Refresh in flight, shared by everyone who asks for a token meanwhile
+let refreshPromise = null;
+let refreshTimer = null;
+
+/**
+ * Read the expiry time from a JWT without verifying it
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry time in milliseconds, or null if the token cannot be read
+ */
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = payload.padEnd(payload.length + ((4 - (payload.length % 4)) % 4), '=');
+    const { exp } = JSON.parse(atob(padded));
+
+    return typeof exp === 'number' ? exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check whether a token expires within the refresh margin
+ * @param {string|null} token - JWT
+ * @returns {boolean}
+ */
+const isTokenExpiring = (token) => {
+  const expiresAt = token ? getTokenExpiry(token) : null;
+  return !expiresAt || expiresAt - Date.now() <= AUTH_CONFIG.TOKEN_REFRESH_MARGIN_SECONDS * 1000;
+};
+
+/**
+ * Force a token refresh, sharing a refresh that is already running
+ * @returns {Promise<{success: boolean, token?: string, expiresAt?: number, error?: string, networkError?: boolean}>}
+ */
+export const refreshIdToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = refreshAuthToken()
+      .then((result) => (result.success
+        ? { ...result, expiresAt: getTokenExpiry(result.token) }
+        : result))
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+/**
+ * Get an ID token for API calls, refreshing it first if it is about to expire
+ * @param {Object} options - Options
+ * @param {boolean} options.forceRefresh - Refresh even if the stored token is still valid
+ * @returns {Promise<{success: boolean, token?: string, error?: string}>}
+ */
+export const getValidToken = async ({ forceRefresh = false } = {}) => {
+  if (!auth.currentUser) {
+    return {
+      success: false,
+      error: 'No authenticated user found.',
+    };
+  }
+
+  if (!forceRefresh && !refreshPromise) {
+    const { accessToken } = await getTokens();
+
+    if (accessToken && !isTokenExpiring(accessToken)) {
+      return {
+        success: true,
+        token: accessToken,
+      };
+    }
+  }
+
+  return refreshIdToken();
+};
+
+/**
+ * Cancel the scheduled refresh
+ */
+const clearRefreshTimer = () => {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+};
+
+/**
+ * Schedule a refresh shortly before the token expires
+ * @param {string} token - Current ID token
+ */
+const scheduleRefresh = (token) => {
+  clearRefreshTimer();
+
+  const expiresAt = getTokenExpiry(token);
+  if (!expiresAt) {
+    return;
+  }
+
+  const delayMs = Math.max(expiresAt - Date.now() - AUTH_CONFIG.TOKEN_REFRESH_MARGIN_SECONDS * 1000, 0);
+
+  refreshTimer = setTimeout(async () => {
+    refreshTimer = null;
+    const result = await refreshIdToken();
+
+    // A successful refresh reschedules through onIdTokenChanged
+    if (!result.success && auth.currentUser) {
+      refreshTimer = setTimeout(() => scheduleRefresh(token), REFRESH_RETRY_MS);
+    }
+  }, delayMs);
+};
+
+/**
+ * Start keeping the ID token fresh for the signed-in user
+ * Stores every new token, schedules the next refresh, and catches up when the app returns to the foreground
+ * @returns {Function} Stops the token manager
+ */
+export const startTokenManager = () => {
+  const unsubscribe = onIdTokenChanged(auth, async (user) => {
+    if (!user) {
+      clearRefreshTimer();
+      return;
+    }
+
+    try {
+      const idToken = await getIdToken(user);
+      await storeTokens(idToken, user.refreshToken || '', { updateLastLogin: false });
+      scheduleRefresh(idToken);
+    } catch (error) {
+      console.warn('Failed to store the new ID token:', error);
+    }
+  });
+
+  // Timers do not run in the background, so refresh right away if the token went stale meanwhile
+  const subscription = AppState.addEventListener('change', async (nextAppState) => {
+    if (nextAppState !== 'active' || !auth.currentUser) {
+      return;
+    }
+
+    const { accessToken } = await getTokens();
+    if (isTokenExpiring(accessToken)) {
+      refreshIdToken();
+    }
+  });
+
+  return () => {
+    unsubscribe();
+    subscription.remove();
+    clearRefreshTimer();
+  };
+};
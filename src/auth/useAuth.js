@@ -1,20 +1,77 @@
 // Custom hook for authentication operations
 import { useCallback } from 'react';
 import { useAuthContext } from './AuthProvider';
+import { getSavedAccounts } from '../utils/storage';
 import {
+    addAccount as addAccountAction,
+    cancelEmailChange as cancelEmailChangeAction,
+    cancelPhoneEnrollment,
+    cancelTotpEnrollment,
+    changeEmail as changeEmailAction,
+    changePassword as changePasswordAction,
+    clearMultiFactorChallenge,
+    clearPendingLink,
+    completePhoneEnrollment as completePhoneEnrollmentAction,
+    completeTotpEnrollment as completeTotpEnrollmentAction,
+    completeEmailLinkSignIn as completeEmailLinkSignInAction,
+    completePasswordReset,
+    confirmPhoneVerificationCode,
+    deleteAccount as deleteAccountAction,
+    forgetSavedAccount as forgetSavedAccountAction,
+    getPasswordResetCode,
+    isEmailSignInLink,
+    linkProvider as linkProviderAction,
+    loginAnonymously as loginAnonymouslyAction,
     loginUser,
     logoutUser,
-    refreshAuthToken,
+    redeemRecoveryCode as redeemRecoveryCodeAction,
+    regenerateRecoveryCodes as regenerateRecoveryCodesAction,
     registerUser,
+    removeProfilePhoto as removeProfilePhotoAction,
+    resolveMultiFactorSignIn as resolveMultiFactorSignInAction,
+    reloadUser as reloadUserAction,
+    removeAppPin as removeAppPinAction,
+    sendMultiFactorSignInCode as sendMultiFactorSignInCodeAction,
     sendPasswordReset,
+    sendPhoneVerificationCode,
+    sendSignInLink as sendSignInLinkAction,
+    sendVerificationEmail as sendVerificationEmailAction,
+    setAppPin as setAppPinAction,
+    setBiometricUnlock as setBiometricUnlockAction,
+    shouldOfferBiometricUnlock,
+    signInWithProvider as signInWithProviderAction,
+    startPhoneEnrollment as startPhoneEnrollmentAction,
+    startTotpEnrollment as startTotpEnrollmentAction,
+    switchAccount as switchAccountAction,
+    unenrollMultiFactor as unenrollMultiFactorAction,
+    unlinkProvider as unlinkProviderAction,
+    unlockWithBiometrics as unlockWithBiometricsAction,
+    unlockWithPassword as unlockWithPasswordAction,
+    unlockWithPin as unlockWithPinAction,
+    updateUserProfile,
+    updateUserProfileData,
+    uploadProfilePhoto as uploadProfilePhotoAction,
+    verifyPasswordResetLink as verifyPasswordResetLinkAction,
 } from './authActions';
+import { getEnabledProviders } from './providers';
+import { getValidToken as getValidTokenAction, refreshIdToken } from './tokenManager';
+
+// OAuth providers turned on through EXPO_PUBLIC_AUTH_* flags
+const enabledProviders = getEnabledProviders();
 
 /**
  * Custom hook for authentication operations
  * @returns {Object} Authentication state and actions
  */
 export const useAuth = () => {
-  const { state, dispatch, AUTH_ACTIONS, isFirebaseConfigured } = useAuthContext();
+  const {
+    state,
+    dispatch,
+    AUTH_ACTIONS,
+    isAwaitingVerification,
+    resetIdleTimer,
+    isFirebaseConfigured,
+  } = useAuthContext();
 
   /**
    * Login with email and password
@@ -41,7 +98,15 @@ export const useAuth = () => {
           payload: { user: result.user },
         });
         
-        return { success: true };
+        return { success: true, linkedProvider: result.linkedProvider };
+      } else if (result.mfaRequired) {
+        // Password accepted, a second factor is needed to finish signing in
+        dispatch({
+          type: AUTH_ACTIONS.MFA_REQUIRED,
+          payload: { pendingMfa: result.mfaRequired },
+        });
+
+        return { success: false, mfaRequired: true };
       } else {
         dispatch({
           type: AUTH_ACTIONS.LOGIN_FAILURE,
@@ -62,13 +127,10 @@ export const useAuth = () => {
   }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
 
   /**
-   * Register a new user
-   * @param {string} email - User's email
-   * @param {string} password - User's password
-   * @param {string} displayName - User's display name (optional)
+   * Sign in as a guest
    * @returns {Promise<{success: boolean, error?: string}>}
    */
-  const register = useCallback(async (email, password, displayName = '') => {
+  const loginAnonymously = useCallback(async () => {
     if (!isFirebaseConfigured) {
       return {
         success: false,
@@ -76,42 +138,116 @@ export const useAuth = () => {
       };
     }
 
-    dispatch({ type: AUTH_ACTIONS.REGISTER_START });
+    dispatch({ type: AUTH_ACTIONS.LOGIN_START });
 
     try {
-      const result = await registerUser(email, password, displayName);
+      const result = await loginAnonymouslyAction();
 
       if (result.success) {
         dispatch({
-          type: AUTH_ACTIONS.REGISTER_SUCCESS,
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
           payload: { user: result.user },
         });
-        
+
         return { success: true };
       } else {
         dispatch({
-          type: AUTH_ACTIONS.REGISTER_FAILURE,
+          type: AUTH_ACTIONS.LOGIN_FAILURE,
           payload: { error: result.error },
         });
-        
+
         return { success: false, error: result.error };
       }
     } catch (error) {
-      const errorMessage = 'An unexpected error occurred during registration.';
+      const errorMessage = 'An unexpected error occurred during guest sign-in.';
       dispatch({
-        type: AUTH_ACTIONS.REGISTER_FAILURE,
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
         payload: { error: errorMessage },
       });
-      
+
       return { success: false, error: errorMessage };
     }
   }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
 
   /**
-   * Logout current user
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * Sign in with an OAuth provider from the registry
+   * @param {string} id - Provider registry ID (e.g. 'google', 'apple')
+   * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean}>}
    */
-  const logout = useCallback(async () => {
+  const signInWithProvider = useCallback(async (id) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured. Please add your Firebase credentials to the .env file.',
+      };
+    }
+
+    dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+    try {
+      const result = await signInWithProviderAction(id);
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
+          payload: { user: result.user },
+        });
+
+        return { success: true, linkedProvider: result.linkedProvider };
+      } else if (result.linkRequired) {
+        // Email already used by another sign-in method, user must sign in with it first
+        dispatch({
+          type: AUTH_ACTIONS.LINK_REQUIRED,
+          payload: { error: result.error, pendingLink: result.linkRequired },
+        });
+
+        return { success: false, error: result.error, linkRequired: result.linkRequired };
+      } else if (result.mfaRequired) {
+        dispatch({
+          type: AUTH_ACTIONS.MFA_REQUIRED,
+          payload: { pendingMfa: result.mfaRequired },
+        });
+
+        return { success: false, mfaRequired: true };
+      } else {
+        // A cancelled sign-in is not an error worth showing
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_FAILURE,
+          payload: { error: result.cancelled ? null : result.error },
+        });
+
+        return { success: false, error: result.error, cancelled: result.cancelled };
+      }
+    } catch (error) {
+      const errorMessage = 'An unexpected error occurred during sign-in.';
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
+        payload: { error: errorMessage },
+      });
+
+      return { success: false, error: errorMessage };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Sign in with Google (same as signInWithProvider('google'))
+   * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean}>}
+   */
+  const loginWithGoogle = useCallback(() => signInWithProvider('google'), [signInWithProvider]);
+
+  /**
+   * Sign in with Apple (same as signInWithProvider('apple'))
+   * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean}>}
+   */
+  const loginWithApple = useCallback(() => signInWithProvider('apple'), [signInWithProvider]);
+
+  /**
+   * Finish a sign-in that needs a second factor
+   * @param {string} factorUid - UID of the enrolled factor the code is for
+   * @param {string} code - One-time code
+   * @returns {Promise<{success: boolean, error?: string, expired?: boolean}>}
+   */
+  const resolveMultiFactorSignIn = useCallback(async (factorUid, code) => {
     if (!isFirebaseConfigured) {
       return {
         success: false,
@@ -119,39 +255,170 @@ export const useAuth = () => {
       };
     }
 
-    dispatch({ type: AUTH_ACTIONS.LOGOUT_START });
+    try {
+      const result = await resolveMultiFactorSignInAction(factorUid, code);
+
+      // A signed-in user confirmed their identity, nothing changes in the auth state
+      if (result.reauthenticated) {
+        return { success: true, reauthenticated: true };
+      }
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
+          payload: { user: result.user },
+        });
+        return { success: true, linkedProvider: result.linkedProvider };
+      }
+
+      if (result.expired) {
+        dispatch({ type: AUTH_ACTIONS.MFA_CLEARED });
+      }
+
+      return { success: false, error: result.error, expired: result.expired };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred during verification.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Text a sign-in code to an enrolled phone second factor
+   * @param {string} factorUid - UID of the enrolled phone factor
+   * @returns {Promise<{success: boolean, error?: string, expired?: boolean}>}
+   */
+  const sendMultiFactorSignInCode = useCallback(async (factorUid) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
 
     try {
-      const result = await logoutUser();
+      const result = await sendMultiFactorSignInCodeAction(factorUid);
+
+      if (result.expired) {
+        dispatch({ type: AUTH_ACTIONS.MFA_CLEARED });
+      }
+
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while sending the verification code.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Abandon a sign-in that was waiting for a second factor
+   */
+  const cancelMultiFactorSignIn = useCallback(() => {
+    clearMultiFactorChallenge();
+    dispatch({ type: AUTH_ACTIONS.MFA_CLEARED });
+  }, [dispatch, AUTH_ACTIONS]);
+
+  /**
+   * Turn off two-factor authentication with a recovery code when the second factor is lost
+   * @param {string} email - Email address of the account
+   * @param {string} code - Recovery code
+   * @returns {Promise<{success: boolean, error?: string, expired?: boolean}>}
+   */
+  const redeemRecoveryCode = useCallback(async (email, code) => {
+    try {
+      const result = await redeemRecoveryCodeAction(email, code);
+
+      // Signing in again no longer asks for a second factor
+      if (result.success || result.expired) {
+        dispatch({ type: AUTH_ACTIONS.MFA_CLEARED });
+      }
+
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while using the recovery code.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS]);
+
+  /**
+   * Send an SMS code to start phone sign-in
+   * @param {string} phoneNumber - Phone number in E.164 format
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const sendPhoneCode = useCallback(async (phoneNumber) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured. Please add your Firebase credentials to the .env file.',
+      };
+    }
+
+    try {
+      const result = await sendPhoneVerificationCode(phoneNumber);
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while sending the verification code.',
+      };
+    }
+  }, [isFirebaseConfigured]);
+
+  /**
+   * Confirm the SMS code and complete phone sign-in
+   * @param {string} code - 6-digit verification code
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const confirmPhoneCode = useCallback(async (code) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured. Please add your Firebase credentials to the .env file.',
+      };
+    }
+
+    dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+    try {
+      const result = await confirmPhoneVerificationCode(code);
 
       if (result.success) {
-        dispatch({ type: AUTH_ACTIONS.LOGOUT_SUCCESS });
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
+          payload: { user: result.user },
+        });
+
         return { success: true };
       } else {
         dispatch({
-          type: AUTH_ACTIONS.LOGOUT_FAILURE,
+          type: AUTH_ACTIONS.LOGIN_FAILURE,
           payload: { error: result.error },
         });
-        
+
         return { success: false, error: result.error };
       }
     } catch (error) {
-      const errorMessage = 'An unexpected error occurred during logout.';
+      const errorMessage = 'An unexpected error occurred during phone sign-in.';
       dispatch({
-        type: AUTH_ACTIONS.LOGOUT_FAILURE,
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
         payload: { error: errorMessage },
       });
-      
+
       return { success: false, error: errorMessage };
     }
   }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
 
   /**
-   * Send password reset email
+   * Email a passwordless sign-in link
    * @param {string} email - User's email
    * @returns {Promise<{success: boolean, error?: string}>}
    */
-  const resetPassword = useCallback(async (email) => {
+  const sendSignInLink = useCallback(async (email) => {
     if (!isFirebaseConfigured) {
       return {
         success: false,
@@ -160,38 +427,1184 @@ export const useAuth = () => {
     }
 
     try {
-      const result = await sendPasswordReset(email);
+      const result = await sendSignInLinkAction(email);
       return result;
     } catch (error) {
       return {
         success: false,
-        error: 'An unexpected error occurred while sending password reset email.',
+        error: 'An unexpected error occurred while sending the sign-in link.',
       };
     }
   }, [isFirebaseConfigured]);
 
   /**
-   * Refresh authentication token
-   * @returns {Promise<{success: boolean, error?: string}>}
+   * Complete sign-in from an email link
+   * @param {string} url - Sign-in link the app was opened with
+   * @param {string} email - User's email (only needed when the link is opened on another device)
+   * @returns {Promise<{success: boolean, error?: string, emailRequired?: boolean}>}
    */
-  const refreshToken = useCallback(async () => {
+  const completeEmailLinkSignIn = useCallback(async (url, email = '') => {
     if (!isFirebaseConfigured) {
       return {
         success: false,
-        error: 'Firebase is not configured.',
+        error: 'Firebase is not configured. Please add your Firebase credentials to the .env file.',
       };
     }
 
+    dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
     try {
-      const result = await refreshAuthToken();
-      return result;
+      const result = await completeEmailLinkSignInAction(url, email);
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
+          payload: { user: result.user },
+        });
+
+        return { success: true, linkedProvider: result.linkedProvider };
+      } else if (result.emailRequired) {
+        // Keep the link until the user confirms their email on the login screen
+        dispatch({
+          type: AUTH_ACTIONS.EMAIL_LINK_RECEIVED,
+          payload: { url },
+        });
+
+        return { success: false, error: result.error, emailRequired: true };
+      } else if (result.mfaRequired) {
+        dispatch({
+          type: AUTH_ACTIONS.MFA_REQUIRED,
+          payload: { pendingMfa: result.mfaRequired },
+        });
+
+        return { success: false, mfaRequired: true };
+      } else {
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_FAILURE,
+          payload: { error: result.error },
+        });
+
+        return { success: false, error: result.error };
+      }
     } catch (error) {
+      const errorMessage = 'An unexpected error occurred during sign-in.';
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
+        payload: { error: errorMessage },
+      });
+
+      return { success: false, error: errorMessage };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Discard an email sign-in link waiting for email confirmation
+   */
+  const cancelEmailLinkSignIn = useCallback(() => {
+    dispatch({ type: AUTH_ACTIONS.EMAIL_LINK_CLEARED });
+  }, [dispatch, AUTH_ACTIONS]);
+
+  /**
+   * Register a new user (or upgrade the current guest to a full account)
+   * @param {string} email - User's email
+   * @param {string} password - User's password
+   * @param {string} displayName - User's display name (optional)
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const register = useCallback(async (email, password, displayName = '') => {
+    if (!isFirebaseConfigured) {
       return {
         success: false,
-        error: 'An unexpected error occurred while refreshing token.',
+        error: 'Firebase is not configured. Please add your Firebase credentials to the .env file.',
       };
     }
-  }, [isFirebaseConfigured]);
+
+    dispatch({ type: AUTH_ACTIONS.REGISTER_START });
+
+    try {
+      const result = await registerUser(email, password, displayName);
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.REGISTER_SUCCESS,
+          payload: { user: result.user },
+        });
+        
+        return { success: true };
+      } else {
+        dispatch({
+          type: AUTH_ACTIONS.REGISTER_FAILURE,
+          payload: { error: result.error },
+        });
+        
+        return { success: false, error: result.error };
+      }
+    } catch (error) {
+      const errorMessage = 'An unexpected error occurred during registration.';
+      dispatch({
+        type: AUTH_ACTIONS.REGISTER_FAILURE,
+        payload: { error: errorMessage },
+      });
+      
+      return { success: false, error: errorMessage };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Logout current user
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const logout = useCallback(async () => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    dispatch({ type: AUTH_ACTIONS.LOGOUT_START });
+
+    try {
+      const result = await logoutUser();
+
+      if (result.success) {
+        dispatch({ type: AUTH_ACTIONS.LOGOUT_SUCCESS });
+        return { success: true };
+      } else {
+        dispatch({
+          type: AUTH_ACTIONS.LOGOUT_FAILURE,
+          payload: { error: result.error },
+        });
+        
+        return { success: false, error: result.error };
+      }
+    } catch (error) {
+      const errorMessage = 'An unexpected error occurred during logout.';
+      dispatch({
+        type: AUTH_ACTIONS.LOGOUT_FAILURE,
+        payload: { error: errorMessage },
+      });
+      
+      return { success: false, error: errorMessage };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Send password reset email
+   * @param {string} email - User's email
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const resetPassword = useCallback(async (email) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured. Please add your Firebase credentials to the .env file.',
+      };
+    }
+
+    try {
+      const result = await sendPasswordReset(email);
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while sending password reset email.',
+      };
+    }
+  }, [isFirebaseConfigured]);
+
+  /**
+   * Check a password reset code from an email link
+   * @param {string} code - Reset code
+   * @returns {Promise<{success: boolean, email?: string, error?: string}>}
+   */
+  const verifyPasswordResetLink = useCallback(async (code) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured. Please add your Firebase credentials to the .env file.',
+      };
+    }
+
+    try {
+      const result = await verifyPasswordResetLinkAction(code);
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while checking the reset link.',
+      };
+    }
+  }, [isFirebaseConfigured]);
+
+  /**
+   * Set a new password from a password reset link
+   * @param {string} code - Reset code
+   * @param {string} newPassword - New password
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const confirmPasswordReset = useCallback(async (code, newPassword) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured. Please add your Firebase credentials to the .env file.',
+      };
+    }
+
+    try {
+      const result = await completePasswordReset(code, newPassword);
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while resetting your password.',
+      };
+    }
+  }, [isFirebaseConfigured]);
+
+  /**
+   * Send a verification email to the current user
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const sendVerificationEmail = useCallback(async () => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await sendVerificationEmailAction();
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while sending the verification email.',
+      };
+    }
+  }, [isFirebaseConfigured]);
+
+  /**
+   * Reload the current user from Firebase and update the auth state
+   * @returns {Promise<{success: boolean, emailVerified?: boolean, error?: string}>}
+   */
+  const reloadUser = useCallback(async () => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await reloadUserAction();
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.USER_UPDATED,
+          payload: { user: result.user },
+        });
+        return {
+          success: true,
+          emailVerified: result.user.emailVerified,
+          emailChanged: result.emailChanged,
+        };
+      }
+
+      return { success: false, error: result.error };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while refreshing your account.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Change the current user's password
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @returns {Promise<{success: boolean, error?: string, requiresRecentLogin?: boolean}>}
+   */
+  const changePassword = useCallback(async (currentPassword, newPassword) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await changePasswordAction(currentPassword, newPassword);
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while changing your password.',
+      };
+    }
+  }, [isFirebaseConfigured]);
+
+  /**
+   * Start changing the current user's email address
+   * @param {string} newEmail - New email address
+   * @param {string} password - Current password (email/password accounts only)
+   * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean, requiresRecentLogin?: boolean}>}
+   */
+  const changeEmail = useCallback(async (newEmail, password = '') => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await changeEmailAction(newEmail, password);
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.EMAIL_CHANGE_REQUESTED,
+          payload: { email: result.pendingEmail },
+        });
+        return { success: true };
+      }
+
+      return {
+        success: false,
+        error: result.error,
+        cancelled: result.cancelled,
+        requiresRecentLogin: result.requiresRecentLogin,
+        mfaRequired: result.mfaRequired,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while changing your email.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Stop waiting for a pending email change
+   */
+  const cancelEmailChange = useCallback(async () => {
+    await cancelEmailChangeAction();
+    dispatch({ type: AUTH_ACTIONS.EMAIL_CHANGE_CLEARED });
+  }, [dispatch, AUTH_ACTIONS]);
+
+  /**
+   * Copy updated profile fields into the auth state
+   * @param {Object} user - Cached user data returned by the action
+   */
+  const dispatchProfileUpdated = useCallback((user) => {
+    dispatch({
+      type: AUTH_ACTIONS.PROFILE_UPDATED,
+      payload: {
+        profile: {
+          displayName: user.displayName,
+          photoURL: user.photoURL,
+        },
+      },
+    });
+  }, [dispatch, AUTH_ACTIONS]);
+
+  /**
+   * Update the current user's display name and/or photo
+   * @param {Object} profile - Fields to update ({ displayName, photoURL })
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const updateProfile = useCallback(async (profile) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await updateUserProfile(profile);
+
+      if (result.success) {
+        dispatchProfileUpdated(result.user);
+        return { success: true };
+      }
+
+      return { success: false, error: result.error };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while updating your profile.',
+      };
+    }
+  }, [dispatchProfileUpdated, isFirebaseConfigured]);
+
+  /**
+   * Update profile fields stored in Firestore (e.g. bio, preferences)
+   * The change reaches `profile` through the AuthProvider listener
+   * @param {Object} fields - Fields to update
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const updateProfileData = useCallback(async (fields) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await updateUserProfileData(fields);
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while saving your profile.',
+      };
+    }
+  }, [isFirebaseConfigured]);
+
+  /**
+   * Upload a processed image and set it as the current user's photo
+   * @param {string} uri - Local URI of the resized image
+   * @param {Function} [onProgress] - Called with the upload progress (0 - 1)
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const uploadProfilePhoto = useCallback(async (uri, onProgress) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await uploadProfilePhotoAction(uri, onProgress);
+
+      if (result.success) {
+        dispatchProfileUpdated(result.user);
+        return { success: true };
+      }
+
+      return { success: false, error: result.error };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while uploading your photo.',
+      };
+    }
+  }, [dispatchProfileUpdated, isFirebaseConfigured]);
+
+  /**
+   * Remove the current user's photo
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const removeProfilePhoto = useCallback(async () => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await removeProfilePhotoAction();
+
+      if (result.success) {
+        dispatchProfileUpdated(result.user);
+        return { success: true };
+      }
+
+      return { success: false, error: result.error };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while removing your photo.',
+      };
+    }
+  }, [dispatchProfileUpdated, isFirebaseConfigured]);
+
+  /**
+   * Permanently delete the current account
+   * @param {string} password - Current password (email/password accounts only)
+   * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean, requiresRecentLogin?: boolean}>}
+   */
+  const deleteAccount = useCallback(async (password = '') => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await deleteAccountAction(password);
+
+      if (result.success) {
+        dispatch({ type: AUTH_ACTIONS.LOGOUT_SUCCESS });
+        return { success: true };
+      }
+
+      return {
+        success: false,
+        error: result.error,
+        cancelled: result.cancelled,
+        requiresRecentLogin: result.requiresRecentLogin,
+        mfaRequired: result.mfaRequired,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while deleting your account.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Start setting up an authenticator app
+   * @returns {Promise<{success: boolean, secretKey?: string, uri?: string, error?: string, requiresRecentLogin?: boolean}>}
+   */
+  const startTotpEnrollment = useCallback(async () => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await startTotpEnrollmentAction();
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while starting two-factor setup.',
+      };
+    }
+  }, [isFirebaseConfigured]);
+
+  /**
+   * Finish setting up an authenticator app
+   * @param {string} code - First code shown by the authenticator app
+   * @returns {Promise<{success: boolean, recoveryCodes?: string[]|null, recoveryCodesFailed?: boolean, error?: string, requiresRecentLogin?: boolean}>}
+   */
+  const completeTotpEnrollment = useCallback(async (code) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await completeTotpEnrollmentAction(code);
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.USER_UPDATED,
+          payload: { user: result.user },
+        });
+        return {
+          success: true,
+          recoveryCodes: result.recoveryCodes,
+          recoveryCodesFailed: result.recoveryCodesFailed,
+        };
+      }
+
+      return {
+        success: false,
+        error: result.error,
+        requiresRecentLogin: result.requiresRecentLogin,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while turning on two-factor authentication.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Text a verification code to a phone number being added as a second factor
+   * @param {string} phoneNumber - Phone number in E.164 format
+   * @returns {Promise<{success: boolean, error?: string, requiresRecentLogin?: boolean}>}
+   */
+  const startPhoneEnrollment = useCallback(async (phoneNumber) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await startPhoneEnrollmentAction(phoneNumber);
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while sending the verification code.',
+      };
+    }
+  }, [isFirebaseConfigured]);
+
+  /**
+   * Finish adding a phone number as a second factor
+   * @param {string} code - Code from the text message
+   * @returns {Promise<{success: boolean, recoveryCodes?: string[]|null, recoveryCodesFailed?: boolean, error?: string, requiresRecentLogin?: boolean}>}
+   */
+  const completePhoneEnrollment = useCallback(async (code) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await completePhoneEnrollmentAction(code);
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.USER_UPDATED,
+          payload: { user: result.user },
+        });
+        return {
+          success: true,
+          recoveryCodes: result.recoveryCodes,
+          recoveryCodesFailed: result.recoveryCodesFailed,
+        };
+      }
+
+      return {
+        success: false,
+        error: result.error,
+        requiresRecentLogin: result.requiresRecentLogin,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while adding the phone number.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Remove a second factor
+   * @param {string} factorUid - UID of the enrolled factor
+   * @returns {Promise<{success: boolean, error?: string, requiresRecentLogin?: boolean}>}
+   */
+  const unenrollMultiFactor = useCallback(async (factorUid) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await unenrollMultiFactorAction(factorUid);
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.USER_UPDATED,
+          payload: { user: result.user },
+        });
+        return { success: true };
+      }
+
+      return {
+        success: false,
+        error: result.error,
+        requiresRecentLogin: result.requiresRecentLogin,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while removing the verification method.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Replace the current user's recovery codes
+   * @returns {Promise<{success: boolean, recoveryCodes?: string[], error?: string}>}
+   */
+  const regenerateRecoveryCodes = useCallback(async () => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await regenerateRecoveryCodesAction();
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while creating recovery codes.',
+      };
+    }
+  }, [isFirebaseConfigured]);
+
+  /**
+   * Refresh authentication token now (shares a refresh that is already running)
+   * @returns {Promise<{success: boolean, token?: string, expiresAt?: number, error?: string}>}
+   */
+  const refreshToken = useCallback(async () => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await refreshIdToken();
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while refreshing token.',
+      };
+    }
+  }, [isFirebaseConfigured]);
+
+  /**
+   * Get an ID token for API calls, refreshed first if it is about to expire
+   * @param {Object} options - Options
+   * @param {boolean} options.forceRefresh - Refresh even if the current token is still valid
+   * @returns {Promise<{success: boolean, token?: string, error?: string}>}
+   */
+  const getValidToken = useCallback(async (options) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      return await getValidTokenAction(options);
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while getting a token.',
+      };
+    }
+  }, [isFirebaseConfigured]);
+
+  /**
+   * Keep the session going from the "session expiring" warning
+   * Refreshes the token first, so a session revoked elsewhere is not kept alive
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const extendSession = useCallback(async () => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await refreshIdToken();
+
+      if (result.success) {
+        resetIdleTimer();
+      }
+
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while extending your session.',
+      };
+    }
+  }, [isFirebaseConfigured, resetIdleTimer]);
+
+  /**
+   * Check whether the user has a role
+   * @param {string|string[]} role - Role, or a list of roles of which any one is enough
+   * @returns {boolean}
+   */
+  const hasRole = useCallback((role) => {
+    const requiredRoles = Array.isArray(role) ? role : [role];
+    return requiredRoles.length === 0 || requiredRoles.some((requiredRole) => state.roles.includes(requiredRole));
+  }, [state.roles]);
+
+  /**
+   * Pick up roles changed on the server (custom claims only reach the app with a new ID token)
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const refreshRoles = useCallback(async () => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await refreshIdToken();
+      return result.success ? { success: true } : result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while refreshing your roles.',
+      };
+    }
+  }, [isFirebaseConfigured]);
+
+  /**
+   * Cancel a pending account link
+   */
+  const cancelAccountLink = useCallback(() => {
+    clearPendingLink();
+    dispatch({ type: AUTH_ACTIONS.LINK_CLEARED });
+  }, [dispatch, AUTH_ACTIONS]);
+
+  /**
+   * Link an OAuth provider to the current account
+   * @param {string} id - Provider registry ID
+   * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean}>}
+   */
+  const linkProvider = useCallback(async (id) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await linkProviderAction(id);
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.USER_UPDATED,
+          payload: { user: result.user },
+        });
+        return { success: true };
+      }
+
+      return { success: false, error: result.error, cancelled: result.cancelled };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while linking the account.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Unlink a sign-in provider from the current account
+   * @param {string} providerId - Firebase provider ID (e.g. 'google.com')
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const unlinkProvider = useCallback(async (providerId) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await unlinkProviderAction(providerId);
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.USER_UPDATED,
+          payload: { user: result.user },
+        });
+        return { success: true };
+      }
+
+      return { success: false, error: result.error };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while unlinking the account.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Turn biometric unlock on or off
+   * @param {boolean} enabled - Whether biometric unlock should be on
+   * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean}>}
+   */
+  const setBiometricUnlock = useCallback(async (enabled) => {
+    try {
+      const result = await setBiometricUnlockAction(enabled);
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.BIOMETRIC_UNLOCK_CHANGED,
+          payload: { enabled },
+        });
+      }
+
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while changing biometric unlock.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS]);
+
+  /**
+   * Unlock the session with biometrics
+   * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean}>}
+   */
+  const unlockWithBiometrics = useCallback(async () => {
+    try {
+      const result = await unlockWithBiometricsAction();
+
+      if (result.success) {
+        dispatch({ type: AUTH_ACTIONS.SESSION_UNLOCKED });
+      }
+
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while unlocking.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS]);
+
+  /**
+   * Unlock the session by signing in again
+   * @param {string} password - Current password (ignored for OAuth-only accounts)
+   * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean, requiresRecentLogin?: boolean}>}
+   */
+  const unlockWithPassword = useCallback(async (password) => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await unlockWithPasswordAction(password);
+
+      if (result.success) {
+        dispatch({ type: AUTH_ACTIONS.SESSION_UNLOCKED });
+      }
+
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while unlocking.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Set or change the app PIN
+   * Changing it needs the current PIN, and too many wrong PINs sign the user out
+   * @param {string} pin - New PIN (4 to 6 digits)
+   * @param {string} currentPin - Current PIN, when one is set
+   * @returns {Promise<{success: boolean, error?: string, attemptsLeft?: number, signedOut?: boolean}>}
+   */
+  const setAppPin = useCallback(async (pin, currentPin = '') => {
+    try {
+      const result = await setAppPinAction(pin, currentPin);
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.APP_PIN_CHANGED,
+          payload: { length: result.length },
+        });
+      } else if (result.signedOut) {
+        dispatch({ type: AUTH_ACTIONS.LOGOUT_SUCCESS });
+      }
+
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while saving your PIN.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS]);
+
+  /**
+   * Remove the app PIN
+   * @param {string} currentPin - Current PIN
+   * @returns {Promise<{success: boolean, error?: string, attemptsLeft?: number, signedOut?: boolean}>}
+   */
+  const removeAppPin = useCallback(async (currentPin = '') => {
+    try {
+      const result = await removeAppPinAction(currentPin);
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.APP_PIN_CHANGED,
+          payload: { length: null },
+        });
+      } else if (result.signedOut) {
+        dispatch({ type: AUTH_ACTIONS.LOGOUT_SUCCESS });
+      }
+
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while removing your PIN.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS]);
+
+  /**
+   * Unlock the session with the app PIN
+   * Too many wrong PINs sign the user out
+   * @param {string} pin - PIN as entered by the user
+   * @returns {Promise<{success: boolean, error?: string, attemptsLeft?: number, signedOut?: boolean}>}
+   */
+  const unlockWithPin = useCallback(async (pin) => {
+    try {
+      const result = await unlockWithPinAction(pin);
+
+      if (result.success) {
+        dispatch({ type: AUTH_ACTIONS.SESSION_UNLOCKED });
+      } else if (result.signedOut) {
+        dispatch({ type: AUTH_ACTIONS.LOGOUT_SUCCESS });
+      }
+
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while unlocking.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS]);
+
+  /**
+   * Reload the accounts saved on this device
+   */
+  const refreshSavedAccounts = useCallback(async () => {
+    dispatch({
+      type: AUTH_ACTIONS.SAVED_ACCOUNTS_CHANGED,
+      payload: { accounts: await getSavedAccounts() },
+    });
+  }, [dispatch, AUTH_ACTIONS]);
+
+  /**
+   * Switch to another saved account
+   * A failed switch leaves the current account signed in, so it does not go through LOGIN_FAILURE
+   * @param {string} uid - Saved account to switch to
+   * @param {string} password - The account's password (ignored for OAuth-only accounts)
+   * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean, requiresSignIn?: boolean, signedOut?: boolean}>}
+   */
+  const switchAccount = useCallback(async (uid, password = '') => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    try {
+      const result = await switchAccountAction(uid, password);
+
+      if (result.success) {
+        // Lock settings and the pending email change follow from the auth state listener
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
+          payload: { user: result.user },
+        });
+        await refreshSavedAccounts();
+        return { success: true };
+      }
+
+      if (result.signedOut) {
+        dispatch({ type: AUTH_ACTIONS.LOGOUT_SUCCESS });
+        await refreshSavedAccounts();
+      }
+
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while switching accounts.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured, refreshSavedAccounts]);
+
+  /**
+   * Sign out to sign in to another account, keeping the current one saved
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const addAccount = useCallback(async () => {
+    if (!isFirebaseConfigured) {
+      return {
+        success: false,
+        error: 'Firebase is not configured.',
+      };
+    }
+
+    dispatch({ type: AUTH_ACTIONS.LOGOUT_START });
+
+    try {
+      const result = await addAccountAction();
+
+      if (result.success) {
+        dispatch({ type: AUTH_ACTIONS.LOGOUT_SUCCESS });
+        return { success: true };
+      }
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGOUT_FAILURE,
+        payload: { error: result.error },
+      });
+
+      return result;
+    } catch (error) {
+      const errorMessage = 'An unexpected error occurred while signing out.';
+      dispatch({
+        type: AUTH_ACTIONS.LOGOUT_FAILURE,
+        payload: { error: errorMessage },
+      });
+
+      return { success: false, error: errorMessage };
+    }
+  }, [dispatch, AUTH_ACTIONS, isFirebaseConfigured]);
+
+  /**
+   * Forget a saved account other than the current one
+   * @param {string} uid - Saved account to forget
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  const forgetSavedAccount = useCallback(async (uid) => {
+    try {
+      const result = await forgetSavedAccountAction(uid);
+
+      if (result.success) {
+        dispatch({
+          type: AUTH_ACTIONS.SAVED_ACCOUNTS_CHANGED,
+          payload: { accounts: result.accounts },
+        });
+        return { success: true };
+      }
+
+      return result;
+    } catch (error) {
+      return {
+        success: false,
+        error: 'An unexpected error occurred while removing the account.',
+      };
+    }
+  }, [dispatch, AUTH_ACTIONS]);
 
   /**
    * Clear authentication error
@@ -216,27 +1629,102 @@ export const useAuth = () => {
     // State
     isAuthenticated: state.isAuthenticated,
     user: state.user,
+    isAnonymous: state.isAnonymous,
     isLoading: state.isLoading,
+    isInitializing: state.isInitializing,
     error: state.error,
+    pendingLink: state.pendingLink,
+    pendingMfa: state.pendingMfa,
+    pendingEmailLink: state.pendingEmailLink,
+    pendingEmail: state.pendingEmail,
+    profile: state.profile,
+    isLocked: state.isLocked,
+    isBiometricUnlockEnabled: state.isBiometricUnlockEnabled,
+    isAppPinSet: state.appPinLength !== null,
+    appPinLength: state.appPinLength,
+    sessionWarning: state.sessionWarning,
+    roles: state.roles,
+    savedAccounts: state.savedAccounts,
     
     // Configuration status
     isFirebaseConfigured,
+    providers: enabledProviders,
     
     // Actions
     login,
+    loginAnonymously,
+    signInWithProvider,
+    loginWithGoogle,
+    loginWithApple,
+    sendPhoneCode,
+    confirmPhoneCode,
+    resolveMultiFactorSignIn,
+    sendMultiFactorSignInCode,
+    cancelMultiFactorSignIn,
+    redeemRecoveryCode,
+    sendSignInLink,
+    completeEmailLinkSignIn,
+    cancelEmailLinkSignIn,
+    isEmailSignInLink,
     register,
     logout,
     resetPassword,
+    getPasswordResetCode,
+    verifyPasswordResetLink,
+    confirmPasswordReset,
+    changePassword,
+    changeEmail,
+    cancelEmailChange,
+    updateProfile,
+    updateProfileData,
+    uploadProfilePhoto,
+    removeProfilePhoto,
+    deleteAccount,
+    startTotpEnrollment,
+    completeTotpEnrollment,
+    cancelTotpEnrollment,
+    startPhoneEnrollment,
+    completePhoneEnrollment,
+    cancelPhoneEnrollment,
+    unenrollMultiFactor,
+    regenerateRecoveryCodes,
     refreshToken,
+    getValidToken,
+    extendSession,
+    hasRole,
+    refreshRoles,
+    sendVerificationEmail,
+    reloadUser,
+    linkProvider,
+    unlinkProvider,
+    cancelAccountLink,
+    shouldOfferBiometricUnlock,
+    setBiometricUnlock,
+    unlockWithBiometrics,
+    unlockWithPassword,
+    setAppPin,
+    removeAppPin,
+    unlockWithPin,
+    refreshSavedAccounts,
+    switchAccount,
+    addAccount,
+    forgetSavedAccount,
     clearError,
     setLoading,
     
     // Helper computed values
     isLoggedIn: state.isAuthenticated && state.user !== null,
+    isGuest: state.isAuthenticated && state.isAnonymous,
     userEmail: state.user?.email || null,
     userId: state.user?.uid || null,
     userDisplayName: state.user?.displayName || '',
+    userPhotoURL: state.user?.photoURL || null,
     isEmailVerified: state.user?.emailVerified || false,
+    isAwaitingVerification,
+    linkedProviderIds: state.user?.providerIds || [],
+    // Whether the user signed in with a password (email link accounts also list 'password')
+    hasPassword: Boolean(state.user?.hasPassword),
+    multiFactors: state.user?.multiFactors || [],
   };
 };
 
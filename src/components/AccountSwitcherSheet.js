@@ -0,0 +1,391 @@
+// Account Switcher Sheet Component
+import React, { useEffect, useState } from 'react';
+import {
+    Alert,
+    KeyboardAvoidingView,
+    Modal,
+    Platform,
+    ScrollView,
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    View,
+} from 'react-native';
+
+import { useAuth } from '../auth/useAuth';
+import Avatar from './Avatar';
+import CustomButton from './CustomButton';
+import CustomInput from './CustomInput';
+
+/**
+ * Account Switcher Sheet Component
+ * Lists the accounts saved on this device and switches between them with a quick sign-in
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the sheet is open
+ * @param {Function} props.onClose - Called when the sheet should close
+ * @returns {JSX.Element}
+ */
+const AccountSwitcherSheet = ({ visible, onClose }) => {
+  const [selectedUid, setSelectedUid] = useState(null);
+  const [password, setPassword] = useState('');
+  const [passwordError, setPasswordError] = useState(null);
+  const [switchingUid, setSwitchingUid] = useState(null);
+  const [isAddingAccount, setIsAddingAccount] = useState(false);
+
+  const {
+    userId,
+    userEmail,
+    savedAccounts,
+    refreshSavedAccounts,
+    switchAccount,
+    addAccount,
+    forgetSavedAccount,
+  } = useAuth();
+
+  const isBusy = Boolean(switchingUid) || isAddingAccount;
+
+  // Start fresh every time the sheet opens
+  useEffect(() => {
+    if (visible) {
+      setSelectedUid(null);
+      setPassword('');
+      setPasswordError(null);
+      refreshSavedAccounts();
+    }
+  }, [visible, refreshSavedAccounts]);
+
+  /**
+   * Sign out to sign in to another account, keeping this one saved
+   */
+  const handleAddAccount = async () => {
+    setIsAddingAccount(true);
+    try {
+      const result = await addAccount();
+      if (result.success) {
+        onClose();
+      } else {
+        Alert.alert('Error', result.error || 'Failed to sign out. Please try again.');
+      }
+      // The sign-in screen is shown automatically by the auth state change
+    } catch (error) {
+      console.error('Add account error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsAddingAccount(false);
+    }
+  };
+
+  /**
+   * Offer to sign in from scratch when the account cannot be switched to here
+   * @param {string} message - Error message
+   */
+  const showAddAccount = (message) => {
+    Alert.alert(
+      'Sign In Required',
+      message,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Add Account', onPress: handleAddAccount },
+      ]
+    );
+  };
+
+  /**
+   * Switch to a saved account
+   * @param {Object} account - Saved account
+   * @param {string} accountPassword - Password for email/password accounts
+   */
+  const handleSwitch = async (account, accountPassword = '') => {
+    setSwitchingUid(account.uid);
+    try {
+      const result = await switchAccount(account.uid, accountPassword);
+
+      if (result.success) {
+        onClose();
+      } else if (result.signedOut) {
+        onClose();
+        Alert.alert('Signed Out', result.error);
+      } else if (result.requiresSignIn) {
+        showAddAccount(result.error);
+      } else if (selectedUid === account.uid) {
+        setPassword('');
+        setPasswordError(result.error);
+      } else if (!result.cancelled) {
+        Alert.alert('Switch Failed', result.error);
+      }
+    } catch (error) {
+      console.error('Switch account error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setSwitchingUid(null);
+    }
+  };
+
+  /**
+   * Pick an account: password accounts ask for the password first
+   * @param {Object} account - Saved account
+   */
+  const handleSelect = (account) => {
+    if (account.providerIds.includes('password')) {
+      setSelectedUid(account.uid);
+      setPassword('');
+      setPasswordError(null);
+    } else {
+      setSelectedUid(null);
+      handleSwitch(account);
+    }
+  };
+
+  /**
+   * Submit the password of the selected account
+   * @param {Object} account - Saved account
+   */
+  const handlePasswordSubmit = (account) => {
+    if (!password) {
+      setPasswordError('Password is required');
+      return;
+    }
+
+    handleSwitch(account, password);
+  };
+
+  /**
+   * Forget a saved account
+   * @param {Object} account - Saved account
+   */
+  const handleRemove = (account) => {
+    Alert.alert(
+      'Remove Account',
+      `Remove ${account.email || account.displayName || 'this account'} from this device? Its PIN and unlock settings are removed too.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await forgetSavedAccount(account.uid);
+            if (!result.success) {
+              Alert.alert('Error', result.error);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Confirm adding an account
+   */
+  const confirmAddAccount = () => {
+    Alert.alert(
+      'Add Account',
+      `You will be signed out of ${userEmail || 'this account'}. It stays on this device so you can switch back.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Continue', onPress: handleAddAccount },
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <TouchableOpacity
+          style={styles.dismissArea}
+          activeOpacity={1}
+          onPress={onClose}
+          disabled={isBusy}
+        />
+
+        <View style={styles.sheet}>
+          <View style={styles.handle} />
+          <Text style={styles.title}>Switch Account</Text>
+
+          <ScrollView style={styles.list} keyboardShouldPersistTaps="handled">
+            {savedAccounts.map((account) => {
+              const isCurrent = account.uid === userId;
+              const isSelected = account.uid === selectedUid;
+
+              return (
+                <View key={account.uid} style={styles.accountItem}>
+                  <TouchableOpacity
+                    style={styles.accountRow}
+                    onPress={() => handleSelect(account)}
+                    disabled={isCurrent || isBusy}
+                  >
+                    <Avatar
+                      uri={account.photoURL}
+                      name={account.displayName}
+                      email={account.email}
+                      size={40}
+                    />
+                    <View style={styles.accountInfo}>
+                      <Text style={styles.accountName} numberOfLines={1}>
+                        {account.displayName || account.email || 'Unnamed account'}
+                      </Text>
+                      {Boolean(account.displayName && account.email) && (
+                        <Text style={styles.accountEmail} numberOfLines={1}>{account.email}</Text>
+                      )}
+                    </View>
+                    {isCurrent ? (
+                      <Text style={styles.currentLabel}>Signed in</Text>
+                    ) : (
+                      <CustomButton
+                        title="Remove"
+                        onPress={() => handleRemove(account)}
+                        variant="text"
+                        size="small"
+                        disabled={isBusy}
+                      />
+                    )}
+                  </TouchableOpacity>
+
+                  {isSelected && (
+                    <View style={styles.passwordForm}>
+                      <CustomInput
+                        label="Password"
+                        placeholder="Enter your password"
+                        value={password}
+                        onChangeText={(value) => {
+                          setPassword(value);
+                          if (passwordError) {
+                            setPasswordError(null);
+                          }
+                        }}
+                        secureTextEntry={true}
+                        error={passwordError}
+                        autoFocus
+                        onSubmitEditing={() => handlePasswordSubmit(account)}
+                        returnKeyType="go"
+                      />
+
+                      <CustomButton
+                        title="Switch"
+                        onPress={() => handlePasswordSubmit(account)}
+                        loading={switchingUid === account.uid}
+                        loadingText="Switching..."
+                        disabled={isBusy}
+                      />
+                    </View>
+                  )}
+                </View>
+              );
+            })}
+          </ScrollView>
+
+          <CustomButton
+            title="Add Account"
+            onPress={confirmAddAccount}
+            variant="outline"
+            loading={isAddingAccount}
+            loadingText="Signing out..."
+            disabled={isBusy}
+            style={styles.addButton}
+          />
+
+          <CustomButton
+            title="Cancel"
+            onPress={onClose}
+            variant="text"
+            size="small"
+            disabled={isBusy}
+          />
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+
+  dismissArea: {
+    flex: 1,
+  },
+
+  sheet: {
+    maxHeight: '80%',
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingHorizontal: 24,
+    paddingTop: 12,
+    paddingBottom: 32,
+  },
+
+  handle: {
+    alignSelf: 'center',
+    width: 36,
+    height: 5,
+    borderRadius: 3,
+    backgroundColor: '#E5E5EA',
+    marginBottom: 16,
+  },
+
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1D1D1F',
+    marginBottom: 12,
+  },
+
+  list: {
+    marginBottom: 16,
+  },
+
+  accountItem: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E5EA',
+  },
+
+  accountRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+  },
+
+  accountInfo: {
+    flex: 1,
+    marginLeft: 12,
+    marginRight: 8,
+  },
+
+  accountName: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#1D1D1F',
+  },
+
+  accountEmail: {
+    fontSize: 14,
+    color: '#8E8E93',
+    marginTop: 2,
+  },
+
+  currentLabel: {
+    fontSize: 14,
+    color: '#34C759',
+  },
+
+  passwordForm: {
+    paddingBottom: 16,
+  },
+
+  addButton: {
+    marginBottom: 8,
+  },
+});
+
+export default AccountSwitcherSheet;
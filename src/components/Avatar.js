@@ -0,0 +1,90 @@
+// Avatar Component
+import { Image } from 'expo-image';
+import React, { useEffect, useState } from 'react';
+import { StyleSheet, Text, View } from 'react-native';
+
+/**
+ * Get up to two initials from a name, falling back to the email
+ * @param {string} name - Display name
+ * @param {string} email - Email address
+ * @returns {string}
+ */
+const getInitials = (name, email) => {
+  const words = (name || '').trim().split(/\s+/).filter(Boolean);
+
+  if (words.length > 0) {
+    return words
+      .slice(0, 2)
+      .map((word) => word.charAt(0))
+      .join('')
+      .toUpperCase();
+  }
+
+  return email ? email.charAt(0).toUpperCase() : '?';
+};
+
+/**
+ * Avatar Component
+ * Round profile photo with an initials fallback
+ * @param {Object} props - Component props
+ * @param {string} props.uri - Photo URL
+ * @param {string} props.name - Display name used for the initials
+ * @param {string} props.email - Email used when there is no name
+ * @param {number} props.size - Diameter in pixels
+ * @param {Object} props.style - Additional container styles
+ * @returns {JSX.Element}
+ */
+const Avatar = ({
+  uri,
+  name,
+  email,
+  size = 80,
+  style,
+}) => {
+  const [hasError, setHasError] = useState(false);
+
+  // Try again whenever the photo changes
+  useEffect(() => {
+    setHasError(false);
+  }, [uri]);
+
+  const sizeStyle = {
+    width: size,
+    height: size,
+    borderRadius: size / 2,
+  };
+
+  return (
+    <View style={[styles.container, sizeStyle, style]}>
+      {uri && !hasError ? (
+        <Image
+          source={{ uri }}
+          style={sizeStyle}
+          contentFit="cover"
+          transition={150}
+          onError={() => setHasError(true)}
+        />
+      ) : (
+        <Text style={[styles.initials, { fontSize: size * 0.4 }]}>
+          {getInitials(name, email)}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#007AFF',
+    alignItems: 'center',
+    justifyContent: 'center',
+    overflow: 'hidden',
+  },
+
+  initials: {
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+  },
+});
+
+export default Avatar;
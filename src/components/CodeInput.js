@@ -0,0 +1,65 @@
+// Code Input Component
+import React, { forwardRef } from 'react';
+import { StyleSheet } from 'react-native';
+
+import CustomInput from './CustomInput';
+
+/**
+ * Code Input Component
+ * Numeric input for one-time codes (SMS, authenticator apps)
+ * @param {Object} props - Component props
+ * @param {string} props.value - Current code
+ * @param {Function} props.onChangeText - Called with the digits-only code
+ * @param {number} props.length - Number of digits
+ * @param {string} props.label - Input label
+ * @param {string} props.error - Error message
+ * @param {Function} props.onComplete - Called with the code once all digits are entered
+ * @returns {JSX.Element}
+ */
+const CodeInput = forwardRef(({
+  value,
+  onChangeText,
+  length = 6,
+  label = 'Verification Code',
+  error,
+  onComplete,
+  ...props
+}, ref) => {
+  const handleChangeText = (text) => {
+    const code = text.replace(/\D/g, '').slice(0, length);
+    onChangeText(code);
+
+    if (code.length === length) {
+      onComplete?.(code);
+    }
+  };
+
+  return (
+    <CustomInput
+      ref={ref}
+      label={label}
+      placeholder={'0'.repeat(length)}
+      value={value}
+      onChangeText={handleChangeText}
+      keyboardType="number-pad"
+      textContentType="oneTimeCode"
+      autoComplete="one-time-code"
+      maxLength={length}
+      error={error}
+      inputStyle={styles.input}
+      {...props}
+    />
+  );
+});
+
+const styles = StyleSheet.create({
+  input: {
+    fontSize: 24,
+    letterSpacing: 8,
+    textAlign: 'center',
+  },
+});
+
+CodeInput.displayName = 'CodeInput';
+
+export default CodeInput;
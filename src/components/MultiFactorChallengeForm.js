@@ -0,0 +1,256 @@
+// Multi-Factor Challenge Form Component
+import React, { useRef, useState } from 'react';
+import { Alert, StyleSheet, Text, View } from 'react-native';
+
+import { RECAPTCHA_CONTAINER_ID } from '../auth/recaptcha';
+import { useAuth } from '../auth/useAuth';
+import { useCountdown } from '../hooks/useCountdown';
+import { RATE_LIMIT_CONFIG } from '../utils/delay';
+import CodeInput from './CodeInput';
+import CustomButton from './CustomButton';
+
+const CODE_LENGTH = 6;
+
+// Second factors this form can ask for
+const SUPPORTED_FACTOR_IDS = ['totp', 'phone'];
+
+/**
+ * Describe a second factor for the method picker
+ * @param {Object} hint - Enrolled factor
+ * @returns {string}
+ */
+const getFactorLabel = (hint) => {
+  if (hint.factorId === 'phone') {
+    return `Text message to ${hint.phoneNumber}`;
+  }
+
+  return hint.displayName || 'Authenticator app';
+};
+
+/**
+ * Multi-Factor Challenge Form Component
+ * Asks for a code from one of the enrolled second factors, for a sign-in or to confirm a signed-in user
+ * @param {Object} props - Component props
+ * @param {Object[]} props.hints - Enrolled factors from the mfaRequired result
+ * @param {Function} props.onVerified - Called with the result once the code was accepted
+ * @param {Function} props.onExpired - Called when the challenge expired and has to be started again
+ * @returns {JSX.Element}
+ */
+const MultiFactorChallengeForm = ({ hints: allHints = [], onVerified, onExpired }) => {
+  const [code, setCode] = useState('');
+  const [codeError, setCodeError] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+  const [selectedUid, setSelectedUid] = useState(null);
+  const [isCodeSent, setIsCodeSent] = useState(false);
+
+  const codeRef = useRef(null);
+  const { resolveMultiFactorSignIn, sendMultiFactorSignInCode } = useAuth();
+  const resendCountdown = useCountdown();
+
+  const hints = allHints.filter((factor) => SUPPORTED_FACTOR_IDS.includes(factor.factorId));
+  const hint = hints.find((factor) => factor.uid === selectedUid) || hints[0];
+  const isPhone = hint?.factorId === 'phone';
+
+  /**
+   * Tell the user to start over
+   * @param {string} message - Error message
+   */
+  const handleExpired = (message) => {
+    Alert.alert('Sign In Again', message);
+    onExpired?.();
+  };
+
+  /**
+   * Text a code to the selected phone factor
+   */
+  const handleSendCode = async () => {
+    if (resendCountdown.isActive) {
+      return;
+    }
+
+    setIsSending(true);
+    try {
+      const result = await sendMultiFactorSignInCode(hint.uid);
+
+      if (result.success) {
+        setIsCodeSent(true);
+        setCode('');
+        setCodeError(null);
+        resendCountdown.start(RATE_LIMIT_CONFIG.PHONE_RESEND_INTERVAL_SECONDS);
+        codeRef.current?.focus();
+      } else if (result.expired) {
+        handleExpired(result.error);
+      } else {
+        setCodeError(result.error);
+      }
+    } catch (error) {
+      console.error('Send multi-factor code error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  /**
+   * Switch to another enrolled factor
+   */
+  const handleChooseMethod = () => {
+    Alert.alert(
+      'Choose a Method',
+      null,
+      [
+        ...hints
+          .filter((factor) => factor.uid !== hint.uid)
+          .map((factor) => ({
+            text: getFactorLabel(factor),
+            onPress: () => {
+              setSelectedUid(factor.uid);
+              setIsCodeSent(false);
+              setCode('');
+              setCodeError(null);
+              resendCountdown.reset();
+            },
+          })),
+        { text: 'Cancel', style: 'cancel' },
+      ]
+    );
+  };
+
+  /**
+   * Verify the code
+   * @param {string} codeToVerify - Code to verify (defaults to the current input)
+   */
+  const handleVerify = async (codeToVerify = code) => {
+    if (codeToVerify.length !== CODE_LENGTH) {
+      setCodeError(`Enter the ${CODE_LENGTH}-digit code`);
+      return;
+    }
+
+    setIsVerifying(true);
+    try {
+      const result = await resolveMultiFactorSignIn(hint.uid, codeToVerify);
+
+      if (result.success) {
+        onVerified?.(result);
+      } else if (result.expired) {
+        handleExpired(result.error);
+      } else {
+        setCode('');
+        setCodeError(result.error);
+        codeRef.current?.focus();
+      }
+    } catch (error) {
+      console.error('Multi-factor verification error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  /**
+   * Update code and clear errors
+   */
+  const updateCode = (value) => {
+    setCode(value);
+    if (codeError) {
+      setCodeError(null);
+    }
+  };
+
+  return (
+    <View>
+      <Text style={styles.description}>
+        {!hint && 'None of the verification methods on this account are supported by this app.'}
+        {hint && isPhone && (isCodeSent
+          ? `We sent a ${CODE_LENGTH}-digit code to ${hint.phoneNumber}`
+          : `We will text a verification code to ${hint.phoneNumber}`)}
+        {hint && !isPhone
+          && `Enter the ${CODE_LENGTH}-digit code from your authenticator app${hint.displayName ? ` (${hint.displayName})` : ''}`}
+      </Text>
+
+      {hint && isPhone && !isCodeSent && (
+        <CustomButton
+          title="Send Code"
+          onPress={handleSendCode}
+          loading={isSending}
+          loadingText="Sending..."
+          disabled={isSending}
+          style={styles.primaryButton}
+        />
+      )}
+
+      {hint && (!isPhone || isCodeSent) && (
+        <>
+          <CodeInput
+            ref={codeRef}
+            value={code}
+            onChangeText={updateCode}
+            length={CODE_LENGTH}
+            error={codeError}
+            onComplete={handleVerify}
+            autoFocus
+          />
+
+          <CustomButton
+            title="Verify"
+            onPress={() => handleVerify()}
+            loading={isVerifying}
+            loadingText="Verifying..."
+            disabled={isVerifying}
+            style={styles.primaryButton}
+          />
+
+          {isPhone && (
+            <CustomButton
+              title={resendCountdown.isActive
+                ? `Resend code in ${resendCountdown.secondsLeft}s`
+                : 'Resend Code'}
+              onPress={handleSendCode}
+              variant="text"
+              size="small"
+              loading={isSending}
+              loadingText="Sending..."
+              disabled={isSending || isVerifying || resendCountdown.isActive}
+              style={styles.secondaryButton}
+            />
+          )}
+        </>
+      )}
+
+      {hints.length > 1 && (
+        <CustomButton
+          title="Use a different method"
+          onPress={handleChooseMethod}
+          variant="text"
+          size="small"
+          disabled={isVerifying || isSending}
+          style={styles.secondaryButton}
+        />
+      )}
+
+      {/* Invisible reCAPTCHA mounts here on web */}
+      <View nativeID={RECAPTCHA_CONTAINER_ID} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  description: {
+    fontSize: 16,
+    color: '#8E8E93',
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+
+  primaryButton: {
+    marginBottom: 16,
+  },
+
+  secondaryButton: {
+    alignSelf: 'center',
+    marginBottom: 8,
+  },
+});
+
+export default MultiFactorChallengeForm;
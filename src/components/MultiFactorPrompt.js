@@ -0,0 +1,84 @@
+// Multi-Factor Prompt Component
+import React from 'react';
+import {
+    KeyboardAvoidingView,
+    Modal,
+    Platform,
+    StyleSheet,
+    Text,
+    View,
+} from 'react-native';
+
+import CustomButton from './CustomButton';
+import MultiFactorChallengeForm from './MultiFactorChallengeForm';
+
+/**
+ * Multi-Factor Prompt Component
+ * Asks a signed-in user for their second factor before a sensitive change
+ * @param {Object} props - Component props
+ * @param {Object|null} props.challenge - mfaRequired result of the action, the prompt is open while set
+ * @param {Function} props.onVerified - Called once the second factor was accepted, retry the action here
+ * @param {Function} props.onCancel - Called when the user gives up or the challenge expired
+ * @returns {JSX.Element}
+ */
+const MultiFactorPrompt = ({ challenge, onVerified, onCancel }) => {
+  return (
+    <Modal
+      visible={Boolean(challenge)}
+      transparent
+      animationType="slide"
+      onRequestClose={onCancel}
+    >
+      <KeyboardAvoidingView
+        style={styles.backdrop}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Confirm It Is You</Text>
+
+          {challenge && (
+            <MultiFactorChallengeForm
+              hints={challenge.hints}
+              onVerified={onVerified}
+              onExpired={onCancel}
+            />
+          )}
+
+          <CustomButton
+            title="Cancel"
+            onPress={onCancel}
+            variant="text"
+            size="small"
+          />
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+
+  sheet: {
+    backgroundColor: '#FFFFFF',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingHorizontal: 24,
+    paddingTop: 24,
+    paddingBottom: 32,
+  },
+
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1D1D1F',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+});
+
+export default MultiFactorPrompt;
@@ -0,0 +1,91 @@
+// Recovery Code List Component
+import React from 'react';
+import { Alert, Platform, Share, StyleSheet, Text, View } from 'react-native';
+
+import CustomButton from './CustomButton';
+
+/**
+ * Recovery Code List Component
+ * Shows freshly generated recovery codes once, with a way to save them elsewhere
+ * @param {Object} props - Component props
+ * @param {string[]} props.codes - Plain recovery codes
+ * @param {Object} props.style - Additional container styles
+ * @returns {JSX.Element}
+ */
+const RecoveryCodeList = ({ codes, style }) => {
+  /**
+   * Open the share sheet so the codes can go to a password manager or notes
+   */
+  const handleShare = async () => {
+    try {
+      await Share.share({
+        message: `Two-factor recovery codes (each works once):\n\n${codes.join('\n')}`,
+      });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to share the codes. Please write them down instead.');
+    }
+  };
+
+  return (
+    <View style={[styles.container, style]}>
+      <Text style={styles.message}>
+        Save these codes somewhere safe. If you lose your device, each one lets support restore access to your account once. They will not be shown again.
+      </Text>
+
+      <View style={styles.codes}>
+        {codes.map((code) => (
+          <Text key={code} style={styles.code} selectable>
+            {code}
+          </Text>
+        ))}
+      </View>
+
+      <CustomButton
+        title="Share Codes"
+        onPress={handleShare}
+        variant="outline"
+        size="small"
+        style={styles.shareButton}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#FFF4E6',
+    borderColor: '#FF9500',
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 20,
+  },
+
+  message: {
+    fontSize: 14,
+    color: '#8E8E93',
+    lineHeight: 20,
+    marginBottom: 16,
+  },
+
+  codes: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginBottom: 16,
+  },
+
+  code: {
+    width: '48%',
+    fontSize: 16,
+    fontFamily: Platform.select({ ios: 'Menlo', default: 'monospace' }),
+    color: '#1D1D1F',
+    paddingVertical: 6,
+    textAlign: 'center',
+  },
+
+  shareButton: {
+    alignSelf: 'flex-start',
+  },
+});
+
+export default RecoveryCodeList;
@@ -0,0 +1,21 @@
+// Require Role Component
+import React from 'react';
+
+import { useAuth } from '../auth/useAuth';
+
+/**
+ * Require Role Component
+ * Renders its children only for users with one of the given roles
+ * @param {Object} props - Component props
+ * @param {string|string[]} props.roles - Role, or roles of which any one is enough
+ * @param {React.ReactNode} props.fallback - Rendered instead for other users (nothing by default)
+ * @param {React.ReactNode} props.children - Protected content
+ * @returns {JSX.Element|null}
+ */
+const RequireRole = ({ roles, fallback = null, children }) => {
+  const { hasRole } = useAuth();
+
+  return <>{hasRole(roles) ? children : fallback}</>;
+};
+
+export default RequireRole;
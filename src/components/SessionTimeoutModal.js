@@ -0,0 +1,120 @@
+// Session Timeout Modal Component
+import React, { useEffect, useState } from 'react';
+import { Alert, Modal, StyleSheet, Text, View } from 'react-native';
+
+import { useAuth } from '../auth/useAuth';
+import { useCountdown } from '../hooks/useCountdown';
+import CustomButton from './CustomButton';
+
+/**
+ * Session Timeout Modal Component
+ * Warns that the session is about to end (idle timeout or maximum session age)
+ * @returns {JSX.Element}
+ */
+const SessionTimeoutModal = () => {
+  const [isExtending, setIsExtending] = useState(false);
+  const { sessionWarning, extendSession, logout } = useAuth();
+  const countdown = useCountdown();
+  const { start: startCountdown, reset: resetCountdown } = countdown;
+
+  // Count down to the end of the session
+  useEffect(() => {
+    if (sessionWarning) {
+      startCountdown(Math.max(Math.ceil((sessionWarning.expiresAt - Date.now()) / 1000), 0));
+    } else {
+      resetCountdown();
+    }
+  }, [sessionWarning, startCountdown, resetCountdown]);
+
+  /**
+   * Keep the session going
+   */
+  const handleStaySignedIn = async () => {
+    setIsExtending(true);
+    try {
+      const result = await extendSession();
+      if (!result.success) {
+        Alert.alert('Error', result.error || 'Failed to keep you signed in. Please sign in again.');
+      }
+    } catch (error) {
+      console.error('Extend session error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsExtending(false);
+    }
+  };
+
+  const isMaxAge = sessionWarning?.reason === 'age';
+
+  return (
+    <Modal
+      visible={Boolean(sessionWarning)}
+      transparent
+      animationType="fade"
+      onRequestClose={handleStaySignedIn}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.card}>
+          <Text style={styles.title}>Session Expiring</Text>
+          <Text style={styles.message}>
+            {isMaxAge
+              ? `For your security, you will be signed out in ${countdown.secondsLeft} seconds. Save your work and sign in again to continue.`
+              : `You have not used the app for a while. You will be signed out in ${countdown.secondsLeft} seconds.`}
+          </Text>
+
+          <CustomButton
+            title={isMaxAge ? 'Continue' : 'Stay Signed In'}
+            onPress={handleStaySignedIn}
+            loading={isExtending}
+            loadingText="Please wait..."
+            disabled={isExtending}
+            style={styles.primaryButton}
+          />
+
+          <CustomButton
+            title={isMaxAge ? 'Sign In Again' : 'Sign Out'}
+            onPress={logout}
+            variant="text"
+            size="small"
+            disabled={isExtending}
+          />
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 24,
+  },
+
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1D1D1F',
+    marginBottom: 8,
+  },
+
+  message: {
+    fontSize: 14,
+    color: '#8E8E93',
+    lineHeight: 20,
+    marginBottom: 24,
+  },
+
+  primaryButton: {
+    marginBottom: 12,
+  },
+});
+
+export default SessionTimeoutModal;
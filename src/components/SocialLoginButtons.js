@@ -0,0 +1,105 @@
+// Social Login Buttons Component
+import * as AppleAuthentication from 'expo-apple-authentication';
+import React from 'react';
+import { Platform, StyleSheet, Text, View } from 'react-native';
+
+import CustomButton from './CustomButton';
+
+/**
+ * Social Login Buttons Component
+ * Renders an "or" divider followed by one sign-in button per OAuth provider
+ * @param {Object} props - Component props
+ * @param {Object[]} props.providers - Provider entries from useAuth().providers
+ * @param {Function} props.onProviderPress - Press handler, called with the provider ID
+ * @param {boolean} props.disabled - Disabled state
+ * @param {Object} props.style - Additional container styles
+ * @returns {JSX.Element|null}
+ */
+const SocialLoginButtons = ({ providers = [], onProviderPress, disabled = false, style }) => {
+  if (providers.length === 0) {
+    return null;
+  }
+
+  const renderProviderButton = (provider) => {
+    // Apple's review guidelines require the system-provided button on iOS
+    if (provider.id === 'apple' && Platform.OS === 'ios') {
+      return (
+        <View
+          key={provider.id}
+          style={[styles.button, disabled && styles.appleButtonDisabled]}
+          pointerEvents={disabled ? 'none' : 'auto'}
+        >
+          <AppleAuthentication.AppleAuthenticationButton
+            buttonType={AppleAuthentication.AppleAuthenticationButtonType.CONTINUE}
+            buttonStyle={AppleAuthentication.AppleAuthenticationButtonStyle.BLACK}
+            cornerRadius={8}
+            style={styles.appleButton}
+            onPress={() => onProviderPress(provider.id)}
+          />
+        </View>
+      );
+    }
+
+    return (
+      <CustomButton
+        key={provider.id}
+        title={`Continue with ${provider.name}`}
+        onPress={() => onProviderPress(provider.id)}
+        variant="outline"
+        disabled={disabled}
+        style={styles.button}
+      />
+    );
+  };
+
+  return (
+    <View style={[styles.container, style]}>
+      <View style={styles.divider}>
+        <View style={styles.dividerLine} />
+        <Text style={styles.dividerText}>or</Text>
+        <View style={styles.dividerLine} />
+      </View>
+
+      {providers.map(renderProviderButton)}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+
+  divider: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+
+  dividerLine: {
+    flex: 1,
+    height: 1,
+    backgroundColor: '#E5E5EA',
+  },
+
+  dividerText: {
+    marginHorizontal: 12,
+    fontSize: 14,
+    color: '#8E8E93',
+  },
+
+  button: {
+    marginBottom: 12,
+  },
+
+  appleButton: {
+    width: '100%',
+    height: 44,
+  },
+
+  appleButtonDisabled: {
+    opacity: 0.5,
+  },
+});
+
+export default SocialLoginButtons;
@@ -0,0 +1,52 @@
+// Biometric unlock opt-in hook
+import { useEffect } from 'react';
+import { Alert } from 'react-native';
+
+import { useAuth } from '../auth/useAuth';
+import { useBiometricSupport } from './useBiometricSupport';
+
+/**
+ * Custom hook that offers biometric unlock once after signing in
+ * The answer is stored either way, so the user is not asked again until they sign out
+ */
+export const useBiometricOptIn = () => {
+  const { isAuthenticated, shouldOfferBiometricUnlock, setBiometricUnlock } = useAuth();
+  const { label, isChecking } = useBiometricSupport();
+
+  useEffect(() => {
+    if (!isAuthenticated || isChecking) {
+      return undefined;
+    }
+
+    let isActive = true;
+
+    shouldOfferBiometricUnlock().then((shouldOffer) => {
+      if (!isActive || !shouldOffer) {
+        return;
+      }
+
+      Alert.alert(
+        `Unlock with ${label}?`,
+        `Use ${label} to unlock the app instead of signing in again. You can change this on your profile.`,
+        [
+          { text: 'Not Now', style: 'cancel', onPress: () => setBiometricUnlock(false) },
+          {
+            text: 'Turn On',
+            onPress: async () => {
+              const result = await setBiometricUnlock(true);
+              if (!result.success && !result.cancelled) {
+                Alert.alert('Error', result.error);
+              }
+            },
+          },
+        ]
+      );
+    });
+
+    return () => {
+      isActive = false;
+    };
+  }, [isAuthenticated, isChecking, label, shouldOfferBiometricUnlock, setBiometricUnlock]);
+};
+
+export default useBiometricOptIn;
@@ -0,0 +1,35 @@
+// Biometric support hook
+import { useEffect, useState } from 'react';
+
+import { getBiometricSupport } from '../auth/biometrics';
+
+/**
+ * Custom hook for whether the device supports biometric unlock, and what it is called
+ * @returns {{isAvailable: boolean, label: string, isChecking: boolean}}
+ */
+export const useBiometricSupport = () => {
+  const [support, setSupport] = useState({ isAvailable: false, label: 'Biometrics' });
+  const [isChecking, setIsChecking] = useState(true);
+
+  useEffect(() => {
+    let isActive = true;
+
+    getBiometricSupport().then((result) => {
+      if (isActive) {
+        setSupport(result);
+        setIsChecking(false);
+      }
+    });
+
+    return () => {
+      isActive = false;
+    };
+  }, []);
+
+  return {
+    ...support,
+    isChecking,
+  };
+};
+
+export default useBiometricSupport;
@@ -0,0 +1,46 @@
+// Countdown timer hook
+import { useCallback, useEffect, useState } from 'react';
+
+/**
+ * Custom hook for a one-second countdown (e.g. "Resend code in 42s")
+ * @returns {{secondsLeft: number, isActive: boolean, start: Function, reset: Function}}
+ */
+export const useCountdown = () => {
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
+  useEffect(() => {
+    if (secondsLeft <= 0) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      setSecondsLeft((seconds) => seconds - 1);
+    }, 1000);
+
+    return () => clearTimeout(timer);
+  }, [secondsLeft]);
+
+  /**
+   * Start (or restart) the countdown
+   * @param {number} seconds - Countdown length in seconds
+   */
+  const start = useCallback((seconds) => {
+    setSecondsLeft(seconds);
+  }, []);
+
+  /**
+   * Stop the countdown
+   */
+  const reset = useCallback(() => {
+    setSecondsLeft(0);
+  }, []);
+
+  return {
+    secondsLeft,
+    isActive: secondsLeft > 0,
+    start,
+    reset,
+  };
+};
+
+export default useCountdown;
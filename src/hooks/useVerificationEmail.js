@@ -0,0 +1,55 @@
+// Verification email hook
+import { useCallback, useState } from 'react';
+import { Alert } from 'react-native';
+
+import { useAuth } from '../auth/useAuth';
+import { RATE_LIMIT_CONFIG } from '../utils/delay';
+import { useCountdown } from './useCountdown';
+
+/**
+ * Custom hook for sending (and resending) the verification email from a screen
+ * @returns {{sendVerificationEmail: Function, isSending: boolean, secondsLeft: number, canResend: boolean}}
+ */
+export const useVerificationEmail = () => {
+  const [isSending, setIsSending] = useState(false);
+  const { sendVerificationEmail: sendEmail, userEmail } = useAuth();
+  const { start: startCountdown, secondsLeft, isActive: isCoolingDown } = useCountdown();
+
+  /**
+   * Send the email and start the resend cooldown
+   * @returns {Promise<boolean>} Whether the email was sent
+   */
+  const sendVerificationEmail = useCallback(async () => {
+    setIsSending(true);
+    try {
+      const result = await sendEmail();
+
+      if (result.success) {
+        startCountdown(RATE_LIMIT_CONFIG.VERIFICATION_RESEND_INTERVAL_SECONDS);
+        Alert.alert(
+          'Verification Email Sent',
+          `We sent a verification link to ${userEmail}. Please check your email and click the link.`
+        );
+        return true;
+      }
+
+      Alert.alert('Error', result.error || 'Failed to send verification email.');
+      return false;
+    } catch (error) {
+      console.error('Send verification email error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+      return false;
+    } finally {
+      setIsSending(false);
+    }
+  }, [sendEmail, userEmail, startCountdown]);
+
+  return {
+    sendVerificationEmail,
+    isSending,
+    secondsLeft,
+    canResend: !isSending && !isCoolingDown,
+  };
+};
+
+export default useVerificationEmail;
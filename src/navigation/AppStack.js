@@ -4,8 +4,21 @@ import { createStackNavigator } from '@react-navigation/stack';
 import React from 'react';
 import { Text } from 'react-native';
 
+import { ROLES } from '../auth/roles';
+import { useAuth } from '../auth/useAuth';
+import AdminScreen from '../screens/AdminScreen';
+import ChangeEmailScreen from '../screens/ChangeEmailScreen';
+import ChangePasswordScreen from '../screens/ChangePasswordScreen';
+import DeleteAccountScreen from '../screens/DeleteAccountScreen';
+import EditProfileScreen from '../screens/EditProfileScreen';
 import HomeScreen from '../screens/HomeScreen';
+import PhoneEnrollmentScreen from '../screens/PhoneEnrollmentScreen';
 import ProfileScreen from '../screens/ProfileScreen';
+import RecoveryCodesScreen from '../screens/RecoveryCodesScreen';
+import RegisterScreen from '../screens/RegisterScreen';
+import SetPinScreen from '../screens/SetPinScreen';
+import TotpEnrollmentScreen from '../screens/TotpEnrollmentScreen';
+import VerifyEmailScreen from '../screens/VerifyEmailScreen';
 
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
@@ -73,35 +86,163 @@ const ProfileIcon = ({ color, size }) => (
   <Text style={{ color, fontSize: size }}>👤</Text>
 );
 
+/**
+ * Screens of the app stack
+ * Set allowUnverified to keep a screen reachable while the email verification gate is on.
+ * Set roles to limit a screen to users with one of those roles: it is left out for everyone else.
+ */
+const APP_SCREENS = [
+  {
+    name: 'MainTabs',
+    component: TabNavigator,
+  },
+  {
+    // Guests upgrade to a full account without leaving the app
+    name: 'UpgradeAccount',
+    component: RegisterScreen,
+    options: {
+      headerShown: true,
+      title: 'Create Account',
+    },
+  },
+  {
+    name: 'ChangePassword',
+    component: ChangePasswordScreen,
+    options: {
+      headerShown: true,
+      title: 'Change Password',
+    },
+  },
+  {
+    name: 'ChangeEmail',
+    component: ChangeEmailScreen,
+    options: {
+      headerShown: true,
+      title: 'Change Email',
+    },
+  },
+  {
+    name: 'EditProfile',
+    component: EditProfileScreen,
+    options: {
+      headerShown: true,
+      title: 'Edit Profile',
+    },
+  },
+  {
+    name: 'TotpEnrollment',
+    component: TotpEnrollmentScreen,
+    options: {
+      headerShown: true,
+      title: 'Authenticator App',
+    },
+  },
+  {
+    name: 'PhoneEnrollment',
+    component: PhoneEnrollmentScreen,
+    options: {
+      headerShown: true,
+      title: 'Text Message Codes',
+    },
+  },
+  {
+    name: 'RecoveryCodes',
+    component: RecoveryCodesScreen,
+    options: {
+      headerShown: true,
+      title: 'Recovery Codes',
+    },
+  },
+  {
+    name: 'SetPin',
+    component: SetPinScreen,
+    options: {
+      headerShown: true,
+      title: 'App PIN',
+    },
+  },
+  {
+    name: 'DeleteAccount',
+    component: DeleteAccountScreen,
+    options: {
+      headerShown: true,
+      title: 'Delete Account',
+    },
+    // Users must be able to delete an account they cannot verify
+    allowUnverified: true,
+  },
+  {
+    // Left out of the navigator for users without the admin role
+    name: 'Admin',
+    component: AdminScreen,
+    options: {
+      headerShown: true,
+      title: 'Admin',
+    },
+    roles: [ROLES.ADMIN],
+  },
+  // Add additional screens here that should be accessible from tabs
+  // Example:
+  // {
+  //   name: 'Settings',
+  //   component: SettingsScreen,
+  //   options: { headerShown: true, title: 'Settings' },
+  //   allowUnverified: true,
+  // },
+];
+
+/**
+ * Render the screens a user can access
+ * @param {Object[]} screens - Screen definitions
+ * @param {Function} hasRole - Role check from useAuth
+ * @returns {JSX.Element[]}
+ */
+const renderScreens = (screens, hasRole) => screens
+  .filter((screen) => !screen.roles || hasRole(screen.roles))
+  .map(({ name, component, options }) => (
+    <Stack.Screen key={name} name={name} component={component} options={options} />
+  ));
+
+const stackScreenOptions = {
+  headerShown: false,
+  cardStyle: { backgroundColor: '#FFFFFF' },
+};
+
 /**
  * App Stack Navigator
  * Contains screens for authenticated users
  */
 const AppStack = () => {
+  const { hasRole } = useAuth();
+
   return (
     <Stack.Navigator
       initialRouteName="MainTabs"
-      screenOptions={{
-        headerShown: false,
-        cardStyle: { backgroundColor: '#FFFFFF' },
-      }}
+      screenOptions={stackScreenOptions}
+    >
+      {renderScreens(APP_SCREENS, hasRole)}
+    </Stack.Navigator>
+  );
+};
+
+/**
+ * Unverified App Stack Navigator
+ * Shown instead of AppStack while the user's email is unverified and verification is required
+ */
+export const UnverifiedAppStack = () => {
+  const { hasRole } = useAuth();
+
+  return (
+    <Stack.Navigator
+      initialRouteName="VerifyEmail"
+      screenOptions={stackScreenOptions}
     >
       <Stack.Screen
-        name="MainTabs"
-        component={TabNavigator}
-      />
-      
-      {/* Add additional screens here that should be accessible from tabs */}
-      {/* Example:
-      <Stack.Screen
-        name="Settings"
-        component={SettingsScreen}
-        options={{
-          headerShown: true,
-          title: 'Settings',
-        }}
+        name="VerifyEmail"
+        component={VerifyEmailScreen}
       />
-      */}
+
+      {renderScreens(APP_SCREENS.filter((screen) => screen.allowUnverified), hasRole)}
     </Stack.Navigator>
   );
 };
@@ -2,8 +2,12 @@
 import { createStackNavigator } from '@react-navigation/stack';
 import React from 'react';
 
+import ForgotPasswordScreen from '../screens/ForgotPasswordScreen';
 import LoginScreen from '../screens/LoginScreen';
+import MultiFactorChallengeScreen from '../screens/MultiFactorChallengeScreen';
+import PhoneLoginScreen from '../screens/PhoneLoginScreen';
 import RegisterScreen from '../screens/RegisterScreen';
+import ResetPasswordScreen from '../screens/ResetPasswordScreen';
 
 const Stack = createStackNavigator();
 
@@ -38,6 +42,40 @@ const AuthStack = () => {
           animationEnabled: true,
         }}
       />
+
+      <Stack.Screen
+        name="PhoneLogin"
+        component={PhoneLoginScreen}
+        options={{
+          title: 'Sign In with Phone',
+        }}
+      />
+
+      <Stack.Screen
+        name="ForgotPassword"
+        component={ForgotPasswordScreen}
+        options={{
+          title: 'Forgot Password',
+        }}
+      />
+
+      {/* Opened by LoginScreen when the account needs a second factor */}
+      <Stack.Screen
+        name="MultiFactorChallenge"
+        component={MultiFactorChallengeScreen}
+        options={{
+          title: 'Two-Factor Sign In',
+        }}
+      />
+
+      {/* Opened from the password reset email via RootNavigator */}
+      <Stack.Screen
+        name="ResetPassword"
+        component={ResetPasswordScreen}
+        options={{
+          title: 'Reset Password',
+        }}
+      />
     </Stack.Navigator>
   );
 };
@@ -1,14 +1,18 @@
 // Root Navigator - Main entry point for navigation
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
-import React from 'react';
-import { ActivityIndicator, StyleSheet, View } from 'react-native';
+import * as Linking from 'expo-linking';
+import React, { useEffect, useRef, useState } from 'react';
+import { ActivityIndicator, Alert, StyleSheet, View } from 'react-native';
 
 import { useAuth } from '../auth/useAuth';
-import AppStack from './AppStack';
+import { AUTH_CONFIG } from '../auth/authConfig';
+import LockScreen from '../screens/LockScreen';
+import AppStack, { UnverifiedAppStack } from './AppStack';
 import AuthStack from './AuthStack';
 
 const Stack = createStackNavigator();
+const navigationRef = createNavigationContainerRef();
 
 /**
  * Loading Screen Component
@@ -24,15 +28,69 @@ const LoadingScreen = () => (
  * Handles navigation between authenticated and unauthenticated flows
  */
 const RootNavigator = () => {
-  const { isAuthenticated, isLoading } = useAuth();
+  const {
+    isAuthenticated,
+    isInitializing,
+    isLocked,
+    isAwaitingVerification,
+    isEmailSignInLink,
+    completeEmailLinkSignIn,
+    getPasswordResetCode,
+  } = useAuth();
+  const url = Linking.useURL();
+  const handledUrlRef = useRef(null);
+  const [isNavigationReady, setIsNavigationReady] = useState(false);
 
-  // Show loading screen while determining auth state
-  if (isLoading) {
+  // Handle auth email links (passwordless sign-in, password reset) the app was opened with
+  useEffect(() => {
+    if (isInitializing || isAuthenticated || !isNavigationReady || !url) {
+      return;
+    }
+
+    // Links are single use, never handle the same one twice
+    if (handledUrlRef.current === url) {
+      return;
+    }
+
+    const resetCode = getPasswordResetCode(url);
+    if (resetCode) {
+      handledUrlRef.current = url;
+      navigationRef.navigate('AuthStack', {
+        screen: 'ResetPassword',
+        params: { oobCode: resetCode },
+      });
+      return;
+    }
+
+    if (isEmailSignInLink(url)) {
+      handledUrlRef.current = url;
+      completeEmailLinkSignIn(url).then((result) => {
+        if (!result.success && !result.emailRequired && !result.mfaRequired) {
+          Alert.alert('Sign-In Failed', result.error);
+        }
+      });
+    }
+  }, [
+    url,
+    isInitializing,
+    isAuthenticated,
+    isNavigationReady,
+    isEmailSignInLink,
+    completeEmailLinkSignIn,
+    getPasswordResetCode,
+  ]);
+
+  // Show loading screen while determining the initial auth state
+  // (later loading states are shown by the screens so they keep their form state)
+  if (isInitializing) {
     return <LoadingScreen />;
   }
 
   return (
-    <NavigationContainer>
+    <NavigationContainer
+      ref={navigationRef}
+      onReady={() => setIsNavigationReady(true)}
+    >
       <Stack.Navigator
         screenOptions={{
           headerShown: false,
@@ -40,7 +98,25 @@ const RootNavigator = () => {
           cardStyle: { backgroundColor: '#FFFFFF' },
         }}
       >
-        {isAuthenticated ? (
+        {isAuthenticated && isLocked ? (
+          // Restored session waiting to be unlocked
+          <Stack.Screen
+            name="Lock"
+            component={LockScreen}
+            options={{
+              animationTypeForReplace: 'pop',
+            }}
+          />
+        ) : isAuthenticated && AUTH_CONFIG.REQUIRE_EMAIL_VERIFICATION && isAwaitingVerification ? (
+          // User has not verified their email yet - only show screens allowed before verification
+          <Stack.Screen
+            name="UnverifiedAppStack"
+            component={UnverifiedAppStack}
+            options={{
+              animationTypeForReplace: 'push',
+            }}
+          />
+        ) : isAuthenticated ? (
           // User is authenticated - show app screens
           <Stack.Screen
             name="AppStack"
@@ -0,0 +1,144 @@
+// Admin Screen
+import React, { useState } from 'react';
+import {
+  Alert,
+  SafeAreaView,
+  ScrollView,
+  StyleSheet,
+  Text,
+  View,
+} from 'react-native';
+
+import { useAuth } from '../auth/useAuth';
+import CustomButton from '../components/CustomButton';
+
+/**
+ * Admin Screen Component
+ * Only registered for admins (see APP_SCREENS), shows the roles the app read from the ID token
+ */
+const AdminScreen = () => {
+  const { userId, userEmail, roles, refreshRoles } = useAuth();
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  const handleRefreshRoles = async () => {
+    setIsRefreshing(true);
+    try {
+      const result = await refreshRoles();
+      if (!result.success) {
+        Alert.alert('Error', result.error || 'Failed to refresh roles. Please try again.');
+      }
+      // Losing the admin role removes this screen from the navigator
+    } catch (error) {
+      console.error('Refresh roles error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+      >
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Signed-In Admin</Text>
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Email:</Text>
+            <Text style={styles.infoValue}>{userEmail}</Text>
+          </View>
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>User ID:</Text>
+            <Text style={styles.infoValue} numberOfLines={1}>{userId}</Text>
+          </View>
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Roles:</Text>
+            <Text style={styles.infoValue}>{roles.join(', ')}</Text>
+          </View>
+        </View>
+
+        <Text style={styles.hint}>
+          Roles are set as custom claims on your server and reach the app with the next ID token.
+        </Text>
+
+        <CustomButton
+          title="Refresh Roles"
+          onPress={handleRefreshRoles}
+          loading={isRefreshing}
+          loadingText="Refreshing..."
+          disabled={isRefreshing}
+          variant="outline"
+        />
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FA',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    paddingHorizontal: 20,
+    paddingVertical: 20,
+  },
+
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 20,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+
+  cardTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1D1D1F',
+    marginBottom: 16,
+  },
+
+  infoRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F2F2F7',
+  },
+
+  infoLabel: {
+    fontSize: 16,
+    color: '#8E8E93',
+    fontWeight: '500',
+  },
+
+  infoValue: {
+    fontSize: 16,
+    color: '#1D1D1F',
+    fontWeight: '500',
+    flex: 1,
+    marginLeft: 12,
+    textAlign: 'right',
+  },
+
+  hint: {
+    fontSize: 14,
+    color: '#8E8E93',
+    lineHeight: 20,
+    marginBottom: 16,
+  },
+});
+
+export default AdminScreen;
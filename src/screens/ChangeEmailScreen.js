@@ -0,0 +1,235 @@
+// Change Email Screen
+import React, { useRef, useState } from 'react';
+import {
+    Alert,
+    KeyboardAvoidingView,
+    Platform,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Text,
+    View,
+} from 'react-native';
+
+import { getSignInMethodName } from '../auth/providers';
+import { useAuth } from '../auth/useAuth';
+import CustomButton from '../components/CustomButton';
+import CustomInput from '../components/CustomInput';
+import MultiFactorPrompt from '../components/MultiFactorPrompt';
+import { validateEmail } from '../utils/validation';
+
+/**
+ * Change Email Screen Component
+ * Confirms the user's identity, then sends a confirmation link to the new address
+ */
+const ChangeEmailScreen = ({ navigation }) => {
+  const [formData, setFormData] = useState({
+    email: '',
+    password: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+
+  const passwordRef = useRef(null);
+  const {
+    userEmail,
+    linkedProviderIds,
+    hasPassword,
+    changeEmail,
+    logout,
+    cancelMultiFactorSignIn,
+  } = useAuth();
+
+  const requiresPassword = hasPassword;
+  const oauthProviderId = linkedProviderIds.find((providerId) => providerId !== 'password' && providerId !== 'phone');
+
+  /**
+   * Validate form inputs
+   * @returns {boolean} - Whether form is valid
+   */
+  const validateForm = () => {
+    const newErrors = {};
+
+    const emailError = validateEmail(formData.email.trim());
+    if (emailError) {
+      newErrors.email = emailError;
+    } else if (formData.email.trim().toLowerCase() === userEmail?.toLowerCase()) {
+      newErrors.email = 'This is already your email address';
+    }
+
+    if (requiresPassword && !formData.password) {
+      newErrors.password = 'Password is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  /**
+   * Handle form submission
+   */
+  const handleChangeEmail = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const result = await changeEmail(formData.email, formData.password);
+
+      if (result.success) {
+        Alert.alert(
+          'Check Your Inbox',
+          `We sent a confirmation link to ${formData.email.trim()}. Your email changes once you click it.`,
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else if (result.mfaRequired) {
+        // Retried once the second factor is confirmed
+        setMfaChallenge(result.mfaRequired);
+      } else if (result.requiresRecentLogin) {
+        Alert.alert(
+          'Sign In Again',
+          result.error,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Sign Out', style: 'destructive', onPress: logout },
+          ]
+        );
+      } else if (!result.cancelled) {
+        Alert.alert('Error', result.error);
+      }
+    } catch (error) {
+      console.error('Change email error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Update form field
+   */
+  const updateField = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+
+    // Clear field error when user starts typing
+    if (errors[field]) {
+      setErrors(prev => ({ ...prev, [field]: null }));
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <Text style={styles.description}>
+            Your current email is {userEmail}. We will send a confirmation link to the new address, and keep using the current one until you click it.
+          </Text>
+
+          <CustomInput
+            label="New Email"
+            placeholder="Enter your new email"
+            value={formData.email}
+            onChangeText={(value) => updateField('email', value)}
+            keyboardType="email-address"
+            autoCapitalize="none"
+            autoCorrect={false}
+            error={errors.email}
+            required
+            onSubmitEditing={() => (requiresPassword ? passwordRef.current?.focus() : handleChangeEmail())}
+            returnKeyType={requiresPassword ? 'next' : 'send'}
+          />
+
+          {requiresPassword && (
+            <CustomInput
+              ref={passwordRef}
+              label="Current Password"
+              placeholder="Enter your password"
+              value={formData.password}
+              onChangeText={(value) => updateField('password', value)}
+              secureTextEntry={true}
+              error={errors.password}
+              required
+              onSubmitEditing={handleChangeEmail}
+              returnKeyType="send"
+            />
+          )}
+
+          {!requiresPassword && oauthProviderId && (
+            <Text style={styles.hint}>
+              You will be asked to sign in with {getSignInMethodName(oauthProviderId)} to confirm.
+            </Text>
+          )}
+
+          <View style={styles.actions}>
+            <CustomButton
+              title="Send Confirmation Link"
+              onPress={handleChangeEmail}
+              loading={isSubmitting}
+              loadingText="Sending..."
+              disabled={isSubmitting}
+            />
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+
+      <MultiFactorPrompt
+        challenge={mfaChallenge}
+        onVerified={() => {
+          setMfaChallenge(null);
+          handleChangeEmail();
+        }}
+        onCancel={() => {
+          setMfaChallenge(null);
+          cancelMultiFactorSignIn();
+        }}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: 24,
+    paddingTop: 24,
+    paddingBottom: 40,
+  },
+
+  description: {
+    fontSize: 14,
+    color: '#8E8E93',
+    lineHeight: 20,
+    marginBottom: 24,
+  },
+
+  hint: {
+    fontSize: 14,
+    color: '#8E8E93',
+    lineHeight: 20,
+    marginBottom: 16,
+  },
+
+  actions: {
+    marginTop: 8,
+  },
+});
+
+export default ChangeEmailScreen;
@@ -0,0 +1,235 @@
+// Change Password Screen
+import React, { useRef, useState } from 'react';
+import {
+    Alert,
+    KeyboardAvoidingView,
+    Platform,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Text,
+    View,
+} from 'react-native';
+
+import { useAuth } from '../auth/useAuth';
+import CustomButton from '../components/CustomButton';
+import CustomInput from '../components/CustomInput';
+import MultiFactorPrompt from '../components/MultiFactorPrompt';
+import {
+    PASSWORD_REQUIREMENTS,
+    validateNewPassword,
+    validatePasswordConfirmation,
+} from '../utils/validation';
+
+/**
+ * Change Password Screen Component
+ * Confirms the current password, then sets a new one
+ */
+const ChangePasswordScreen = ({ navigation }) => {
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+
+  const newPasswordRef = useRef(null);
+  const confirmPasswordRef = useRef(null);
+  const { changePassword, logout, cancelMultiFactorSignIn } = useAuth();
+
+  /**
+   * Validate form inputs
+   * @returns {boolean} - Whether form is valid
+   */
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.currentPassword) {
+      newErrors.currentPassword = 'Current password is required';
+    }
+
+    const passwordError = validateNewPassword(formData.newPassword);
+    if (passwordError) {
+      newErrors.newPassword = passwordError;
+    } else if (formData.newPassword === formData.currentPassword) {
+      newErrors.newPassword = 'New password must be different from your current password';
+    }
+
+    const confirmPasswordError = validatePasswordConfirmation(
+      formData.newPassword,
+      formData.confirmPassword
+    );
+    if (confirmPasswordError) {
+      newErrors.confirmPassword = confirmPasswordError;
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  /**
+   * Handle form submission
+   */
+  const handleChangePassword = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const result = await changePassword(formData.currentPassword, formData.newPassword);
+
+      if (result.success) {
+        Alert.alert(
+          'Password Changed',
+          'Your password has been updated.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else if (result.mfaRequired) {
+        // Retried once the second factor is confirmed
+        setMfaChallenge(result.mfaRequired);
+      } else if (result.requiresRecentLogin) {
+        Alert.alert(
+          'Sign In Again',
+          result.error,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Sign Out', style: 'destructive', onPress: logout },
+          ]
+        );
+      } else {
+        setErrors({ currentPassword: result.error });
+      }
+    } catch (error) {
+      console.error('Change password error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Update form field
+   */
+  const updateField = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+
+    // Clear field error when user starts typing
+    if (errors[field]) {
+      setErrors(prev => ({ ...prev, [field]: null }));
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <Text style={styles.description}>
+            Enter your current password to confirm it is you, then choose a new password.
+          </Text>
+
+          <CustomInput
+            label="Current Password"
+            placeholder="Enter your current password"
+            value={formData.currentPassword}
+            onChangeText={(value) => updateField('currentPassword', value)}
+            secureTextEntry={true}
+            error={errors.currentPassword}
+            required
+            onSubmitEditing={() => newPasswordRef.current?.focus()}
+            returnKeyType="next"
+          />
+
+          <CustomInput
+            ref={newPasswordRef}
+            label="New Password"
+            placeholder="Create a new password"
+            value={formData.newPassword}
+            onChangeText={(value) => updateField('newPassword', value)}
+            secureTextEntry={true}
+            error={errors.newPassword}
+            required
+            helperText={PASSWORD_REQUIREMENTS}
+            onSubmitEditing={() => confirmPasswordRef.current?.focus()}
+            returnKeyType="next"
+          />
+
+          <CustomInput
+            ref={confirmPasswordRef}
+            label="Confirm New Password"
+            placeholder="Confirm your new password"
+            value={formData.confirmPassword}
+            onChangeText={(value) => updateField('confirmPassword', value)}
+            secureTextEntry={true}
+            error={errors.confirmPassword}
+            required
+            onSubmitEditing={handleChangePassword}
+            returnKeyType="go"
+          />
+
+          <View style={styles.actions}>
+            <CustomButton
+              title="Change Password"
+              onPress={handleChangePassword}
+              loading={isSubmitting}
+              loadingText="Updating..."
+              disabled={isSubmitting}
+            />
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+
+      <MultiFactorPrompt
+        challenge={mfaChallenge}
+        onVerified={() => {
+          setMfaChallenge(null);
+          handleChangePassword();
+        }}
+        onCancel={() => {
+          setMfaChallenge(null);
+          cancelMultiFactorSignIn();
+        }}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: 24,
+    paddingTop: 24,
+    paddingBottom: 40,
+  },
+
+  description: {
+    fontSize: 14,
+    color: '#8E8E93',
+    lineHeight: 20,
+    marginBottom: 24,
+  },
+
+  actions: {
+    marginTop: 8,
+  },
+});
+
+export default ChangePasswordScreen;
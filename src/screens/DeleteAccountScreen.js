@@ -0,0 +1,251 @@
+// Delete Account Screen
+import React, { useState } from 'react';
+import {
+    Alert,
+    KeyboardAvoidingView,
+    Platform,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Text,
+    View,
+} from 'react-native';
+
+import { getSignInMethodName } from '../auth/providers';
+import { useAuth } from '../auth/useAuth';
+import CustomButton from '../components/CustomButton';
+import CustomInput from '../components/CustomInput';
+import MultiFactorPrompt from '../components/MultiFactorPrompt';
+
+// Text the user has to type to enable the delete button
+const CONFIRMATION_TEXT = 'DELETE';
+
+/**
+ * Delete Account Screen Component
+ * Typed confirmation plus reauthentication before the account is permanently deleted
+ */
+const DeleteAccountScreen = ({ navigation }) => {
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [passwordError, setPasswordError] = useState(null);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+
+  const {
+    deleteAccount,
+    logout,
+    linkedProviderIds,
+    hasPassword,
+    isGuest,
+    cancelMultiFactorSignIn,
+  } = useAuth();
+
+  const requiresPassword = hasPassword;
+  const isConfirmed = confirmation.trim() === CONFIRMATION_TEXT;
+
+  /**
+   * Describe how the user will be asked to confirm their identity
+   * @returns {string|null}
+   */
+  const getReauthenticationHint = () => {
+    if (requiresPassword || isGuest || linkedProviderIds.length === 0) {
+      return null;
+    }
+
+    return `You will be asked to sign in with ${getSignInMethodName(linkedProviderIds[0])} to confirm.`;
+  };
+
+  /**
+   * Handle account deletion
+   */
+  const handleDeleteAccount = async () => {
+    if (!isConfirmed) {
+      return;
+    }
+
+    if (requiresPassword && !password) {
+      setPasswordError('Password is required');
+      return;
+    }
+
+    setIsDeleting(true);
+    try {
+      const result = await deleteAccount(password);
+
+      if (result.success) {
+        Alert.alert('Account Deleted', 'Your account and its data have been permanently deleted.');
+        // Navigation switches to the auth screens automatically
+        return;
+      }
+
+      if (result.mfaRequired) {
+        // Retried once the second factor is confirmed
+        setMfaChallenge(result.mfaRequired);
+      } else if (result.requiresRecentLogin) {
+        Alert.alert(
+          'Sign In Again',
+          result.error,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Sign Out', style: 'destructive', onPress: logout },
+          ]
+        );
+      } else if (!result.cancelled) {
+        if (requiresPassword) {
+          setPasswordError(result.error);
+        } else {
+          Alert.alert('Error', result.error);
+        }
+      }
+    } catch (error) {
+      console.error('Delete account error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    }
+    setIsDeleting(false);
+  };
+
+  const reauthenticationHint = getReauthenticationHint();
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View style={styles.warningCard}>
+            <Text style={styles.warningTitle}>This cannot be undone</Text>
+            <Text style={styles.warningText}>
+              Deleting your account permanently removes your profile and the data stored for it, and signs you out on this device.
+            </Text>
+          </View>
+
+          {requiresPassword && (
+            <CustomInput
+              label="Password"
+              placeholder="Enter your password"
+              value={password}
+              onChangeText={(value) => {
+                setPassword(value);
+                if (passwordError) {
+                  setPasswordError(null);
+                }
+              }}
+              secureTextEntry={true}
+              error={passwordError}
+              required
+              returnKeyType="next"
+            />
+          )}
+
+          {reauthenticationHint && (
+            <Text style={styles.hint}>{reauthenticationHint}</Text>
+          )}
+
+          <CustomInput
+            label={`Type ${CONFIRMATION_TEXT} to confirm`}
+            placeholder={CONFIRMATION_TEXT}
+            value={confirmation}
+            onChangeText={setConfirmation}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            onSubmitEditing={handleDeleteAccount}
+            returnKeyType="go"
+          />
+
+          <View style={styles.actions}>
+            <CustomButton
+              title="Delete My Account"
+              onPress={handleDeleteAccount}
+              loading={isDeleting}
+              loadingText="Deleting..."
+              disabled={!isConfirmed || isDeleting}
+              style={styles.deleteButton}
+            />
+
+            <CustomButton
+              title="Cancel"
+              onPress={() => navigation.goBack()}
+              variant="text"
+              disabled={isDeleting}
+            />
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+
+      <MultiFactorPrompt
+        challenge={mfaChallenge}
+        onVerified={() => {
+          setMfaChallenge(null);
+          handleDeleteAccount();
+        }}
+        onCancel={() => {
+          setMfaChallenge(null);
+          cancelMultiFactorSignIn();
+        }}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: 24,
+    paddingTop: 24,
+    paddingBottom: 40,
+  },
+
+  warningCard: {
+    backgroundColor: '#FFF2F2',
+    borderColor: '#FF3B30',
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 24,
+  },
+
+  warningTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FF3B30',
+    marginBottom: 8,
+  },
+
+  warningText: {
+    fontSize: 14,
+    color: '#1D1D1F',
+    lineHeight: 20,
+  },
+
+  hint: {
+    fontSize: 14,
+    color: '#8E8E93',
+    lineHeight: 20,
+    marginBottom: 16,
+  },
+
+  actions: {
+    marginTop: 8,
+  },
+
+  deleteButton: {
+    backgroundColor: '#FF3B30',
+    marginBottom: 12,
+  },
+});
+
+export default DeleteAccountScreen;
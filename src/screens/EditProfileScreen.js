@@ -0,0 +1,314 @@
+// Edit Profile Screen
+import React, { useState } from 'react';
+import {
+    Alert,
+    KeyboardAvoidingView,
+    Platform,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Text,
+    View,
+} from 'react-native';
+
+import { useAuth } from '../auth/useAuth';
+import Avatar from '../components/Avatar';
+import CustomButton from '../components/CustomButton';
+import CustomInput from '../components/CustomInput';
+import { pickAvatarImage, processAvatarImage } from '../utils/avatar';
+import { validateDisplayName } from '../utils/validation';
+
+// Longest bio that can be saved
+const BIO_MAX_LENGTH = 160;
+
+/**
+ * Edit Profile Screen Component
+ * Lets the user change their photo, the name shown across the app and their bio
+ */
+const EditProfileScreen = ({ navigation }) => {
+  const {
+    userDisplayName,
+    userEmail,
+    userPhotoURL,
+    profile,
+    updateProfile,
+    updateProfileData,
+    uploadProfilePhoto,
+    removeProfilePhoto,
+  } = useAuth();
+
+  const [displayName, setDisplayName] = useState(userDisplayName);
+  const [displayNameError, setDisplayNameError] = useState(null);
+  const [bio, setBio] = useState(profile?.bio || '');
+  const [isSaving, setIsSaving] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [isRemovingPhoto, setIsRemovingPhoto] = useState(false);
+
+  const hasNameChanged = displayName.trim() !== userDisplayName;
+  const hasBioChanged = bio.trim() !== (profile?.bio || '');
+  const hasChanges = hasNameChanged || hasBioChanged;
+  const isUploading = uploadProgress !== null;
+  const isUpdatingPhoto = isUploading || isRemovingPhoto;
+
+  /**
+   * Pick, process and upload a new photo
+   * @param {'library'|'camera'} source - Where to get the photo from
+   */
+  const handlePickPhoto = async (source) => {
+    const picked = await pickAvatarImage(source);
+
+    if (!picked.success) {
+      if (!picked.cancelled) {
+        Alert.alert('Error', picked.error);
+      }
+      return;
+    }
+
+    setUploadProgress(0);
+    try {
+      const uri = await processAvatarImage(picked.uri);
+      const result = await uploadProfilePhoto(uri, setUploadProgress);
+
+      if (!result.success) {
+        Alert.alert('Upload Failed', result.error);
+      }
+    } catch (error) {
+      console.error('Avatar upload error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  /**
+   * Remove the current photo
+   */
+  const handleRemovePhoto = async () => {
+    setIsRemovingPhoto(true);
+    try {
+      const result = await removeProfilePhoto();
+
+      if (!result.success) {
+        Alert.alert('Error', result.error);
+      }
+    } catch (error) {
+      console.error('Remove avatar error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsRemovingPhoto(false);
+    }
+  };
+
+  /**
+   * Show the photo options
+   */
+  const handleChangePhoto = () => {
+    const options = [
+      { text: 'Take Photo', onPress: () => handlePickPhoto('camera') },
+      { text: 'Choose from Library', onPress: () => handlePickPhoto('library') },
+    ];
+
+    if (userPhotoURL) {
+      options.push({ text: 'Remove Photo', style: 'destructive', onPress: handleRemovePhoto });
+    }
+
+    Alert.alert('Profile Photo', 'Choose where to get your new photo.', [
+      ...options,
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  /**
+   * Handle saving the profile
+   */
+  const handleSave = async () => {
+    const error = validateDisplayName(displayName);
+    if (error) {
+      setDisplayNameError(error);
+      return;
+    }
+
+    if (!hasChanges) {
+      navigation.goBack();
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      let result = { success: true };
+
+      if (hasNameChanged) {
+        result = await updateProfile({ displayName });
+      }
+
+      // Bio lives in the Firestore profile, not on the Firebase Auth user
+      if (result.success && hasBioChanged) {
+        result = await updateProfileData({ bio: bio.trim() });
+      }
+
+      if (result.success) {
+        navigation.goBack();
+      } else {
+        Alert.alert('Error', result.error);
+      }
+    } catch (error) {
+      console.error('Update profile error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Update display name and clear errors
+   */
+  const updateDisplayName = (value) => {
+    setDisplayName(value);
+    if (displayNameError) {
+      setDisplayNameError(null);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View style={styles.header}>
+            <Avatar
+              uri={userPhotoURL}
+              name={displayName}
+              email={userEmail}
+              size={96}
+              style={styles.avatar}
+            />
+
+            {isUploading ? (
+              <View style={styles.progressContainer}>
+                <View style={styles.progressTrack}>
+                  <View style={[styles.progressBar, { width: `${Math.round(uploadProgress * 100)}%` }]} />
+                </View>
+                <Text style={styles.progressText}>
+                  Uploading {Math.round(uploadProgress * 100)}%
+                </Text>
+              </View>
+            ) : (
+              <CustomButton
+                title={userPhotoURL ? 'Change Photo' : 'Add Photo'}
+                onPress={handleChangePhoto}
+                loading={isRemovingPhoto}
+                loadingText="Removing..."
+                disabled={isUpdatingPhoto}
+                variant="text"
+                size="small"
+              />
+            )}
+          </View>
+
+          <CustomInput
+            label="Display Name"
+            placeholder="Enter your name"
+            value={displayName}
+            onChangeText={updateDisplayName}
+            autoCapitalize="words"
+            error={displayNameError}
+            required
+            onSubmitEditing={handleSave}
+            returnKeyType="done"
+          />
+
+          {profile && (
+            <CustomInput
+              label="Bio"
+              placeholder="Tell people a little about yourself"
+              value={bio}
+              onChangeText={setBio}
+              multiline
+              maxLength={BIO_MAX_LENGTH}
+              helperText={`${bio.length}/${BIO_MAX_LENGTH}`}
+              inputStyle={styles.bioInput}
+            />
+          )}
+
+          <View style={styles.actions}>
+            <CustomButton
+              title="Save"
+              onPress={handleSave}
+              loading={isSaving}
+              loadingText="Saving..."
+              disabled={isSaving || isUpdatingPhoto || !hasChanges}
+            />
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: 24,
+    paddingTop: 24,
+    paddingBottom: 40,
+  },
+
+  header: {
+    alignItems: 'center',
+    marginBottom: 32,
+  },
+
+  avatar: {
+    marginBottom: 12,
+  },
+
+  progressContainer: {
+    width: 160,
+    alignItems: 'center',
+  },
+
+  progressTrack: {
+    width: '100%',
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#E5E5EA',
+    overflow: 'hidden',
+    marginBottom: 8,
+  },
+
+  progressBar: {
+    height: '100%',
+    backgroundColor: '#007AFF',
+  },
+
+  progressText: {
+    fontSize: 14,
+    color: '#8E8E93',
+  },
+
+  bioInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+
+  actions: {
+    marginTop: 8,
+  },
+});
+
+export default EditProfileScreen;
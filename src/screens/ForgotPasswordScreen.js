@@ -0,0 +1,213 @@
+// Forgot Password Screen
+import React, { useState } from 'react';
+import {
+    Alert,
+    KeyboardAvoidingView,
+    Platform,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Text,
+    View,
+} from 'react-native';
+
+import { useAuth } from '../auth/useAuth';
+import CustomButton from '../components/CustomButton';
+import CustomInput from '../components/CustomInput';
+import { useCountdown } from '../hooks/useCountdown';
+import { RATE_LIMIT_CONFIG } from '../utils/delay';
+import { validateEmail } from '../utils/validation';
+
+/**
+ * Forgot Password Screen Component
+ * Sends a password reset email, with a cooldown before it can be resent
+ */
+const ForgotPasswordScreen = ({ navigation, route }) => {
+  const [email, setEmail] = useState(route.params?.email || '');
+  const [emailError, setEmailError] = useState(null);
+  const [sentTo, setSentTo] = useState(null);
+  const [isSending, setIsSending] = useState(false);
+
+  const { resetPassword, isFirebaseConfigured } = useAuth();
+  const resendCountdown = useCountdown();
+
+  /**
+   * Send (or resend) the reset email
+   */
+  const handleSendReset = async () => {
+    const error = validateEmail(email.trim());
+    if (error) {
+      setEmailError(error);
+      return;
+    }
+
+    if (resendCountdown.isActive) {
+      return;
+    }
+
+    setIsSending(true);
+    try {
+      const result = await resetPassword(email.trim());
+
+      if (result.success) {
+        setSentTo(email.trim());
+        resendCountdown.start(RATE_LIMIT_CONFIG.PASSWORD_RESET_RESEND_INTERVAL_SECONDS);
+      } else {
+        setEmailError(result.error);
+      }
+    } catch (error) {
+      console.error('Password reset error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  /**
+   * Update email and clear errors
+   */
+  const updateEmail = (value) => {
+    setEmail(value);
+    if (emailError) {
+      setEmailError(null);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View style={styles.header}>
+            <Text style={styles.title}>Reset Password</Text>
+            <Text style={styles.subtitle}>
+              Enter your email and we will send you a link to choose a new password
+            </Text>
+          </View>
+
+          <View style={styles.form}>
+            {sentTo && (
+              <View style={styles.successContainer}>
+                <Text style={styles.successText}>
+                  If an account exists for {sentTo}, a reset link is on its way. Check your inbox and spam folder.
+                </Text>
+              </View>
+            )}
+
+            <CustomInput
+              label="Email"
+              placeholder="Enter your email"
+              value={email}
+              onChangeText={updateEmail}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoCorrect={false}
+              error={emailError}
+              required
+              onSubmitEditing={handleSendReset}
+              returnKeyType="send"
+            />
+
+            <CustomButton
+              title={resendCountdown.isActive
+                ? `Resend in ${resendCountdown.secondsLeft}s`
+                : sentTo ? 'Resend Reset Link' : 'Send Reset Link'}
+              onPress={handleSendReset}
+              loading={isSending}
+              loadingText="Sending..."
+              disabled={isSending || resendCountdown.isActive || !isFirebaseConfigured}
+              style={styles.primaryButton}
+            />
+          </View>
+
+          <View style={styles.footer}>
+            <CustomButton
+              title="Back to Sign In"
+              onPress={() => navigation.goBack()}
+              variant="text"
+              size="small"
+            />
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: 24,
+    paddingTop: 60,
+    paddingBottom: 40,
+  },
+
+  header: {
+    marginBottom: 40,
+    alignItems: 'center',
+  },
+
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#1D1D1F',
+    marginBottom: 8,
+  },
+
+  subtitle: {
+    fontSize: 16,
+    color: '#8E8E93',
+    textAlign: 'center',
+  },
+
+  form: {
+    flex: 1,
+    marginBottom: 40,
+  },
+
+  successContainer: {
+    backgroundColor: '#F0FFF4',
+    borderColor: '#34C759',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+
+  successText: {
+    color: '#1D1D1F',
+    fontSize: 14,
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+
+  primaryButton: {
+    marginBottom: 16,
+  },
+
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingTop: 20,
+    borderTopWidth: 1,
+    borderTopColor: '#E5E5EA',
+  },
+});
+
+export default ForgotPasswordScreen;
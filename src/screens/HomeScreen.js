@@ -1,6 +1,7 @@
 // Home Screen
-import React from 'react';
+import React, { useState } from 'react';
 import {
+  Alert,
   SafeAreaView,
   ScrollView,
   StyleSheet,
@@ -8,20 +9,51 @@ import {
   View,
 } from 'react-native';
 
+import { ROLES } from '../auth/roles';
 import { useAuth } from '../auth/useAuth';
 import CustomButton from '../components/CustomButton';
+import RequireRole from '../components/RequireRole';
+import { useBiometricOptIn } from '../hooks/useBiometricOptIn';
+import { useVerificationEmail } from '../hooks/useVerificationEmail';
 
 /**
  * Home Screen Component
  * Main screen for authenticated users
  */
 const HomeScreen = ({ navigation }) => {
-  const { user, userDisplayName, userEmail, isEmailVerified } = useAuth();
+  const { user, userDisplayName, userEmail, isEmailVerified, isGuest, refreshToken } = useAuth();
+  const { sendVerificationEmail, isSending, secondsLeft, canResend } = useVerificationEmail();
+  const [isRefreshingToken, setIsRefreshingToken] = useState(false);
+
+  // Offer biometric unlock after signing in
+  useBiometricOptIn();
 
   const handleNavigateToProfile = () => {
     navigation.navigate('Profile');
   };
 
+  const handleRefreshToken = async () => {
+    setIsRefreshingToken(true);
+    try {
+      const result = await refreshToken();
+      if (result.success) {
+        Alert.alert(
+          'Token Refreshed',
+          result.expiresAt
+            ? `Your new token is valid until ${new Date(result.expiresAt).toLocaleTimeString()}.`
+            : 'Your token was refreshed.'
+        );
+      } else {
+        Alert.alert('Error', result.error || 'Failed to refresh token. Please try again.');
+      }
+    } catch (error) {
+      console.error('Refresh token error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsRefreshingToken(false);
+    }
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       <ScrollView
@@ -61,7 +93,8 @@ const HomeScreen = ({ navigation }) => {
             </View>
           </View>
 
-          {!isEmailVerified && (
+          {/* Phone-only accounts have no email to verify */}
+          {!isEmailVerified && !isGuest && Boolean(userEmail) && (
             <View style={styles.verificationCard}>
               <Text style={styles.verificationTitle}>
                 📧 Email Verification Required
@@ -70,11 +103,11 @@ const HomeScreen = ({ navigation }) => {
                 Please check your email and click the verification link to activate your account.
               </Text>
               <CustomButton
-                title="Resend Verification Email"
-                onPress={() => {
-                  // Implement resend verification logic here
-                  
-                }}
+                title={secondsLeft > 0 ? `Resend in ${secondsLeft}s` : 'Resend Verification Email'}
+                onPress={sendVerificationEmail}
+                loading={isSending}
+                loadingText="Sending..."
+                disabled={!canResend}
                 variant="outline"
                 size="small"
                 style={styles.resendButton}
@@ -94,13 +127,22 @@ const HomeScreen = ({ navigation }) => {
 
             <CustomButton
               title="Refresh Token"
-              onPress={() => {
-                // Implement token refresh logic here
-                
-              }}
+              onPress={handleRefreshToken}
+              loading={isRefreshingToken}
+              loadingText="Refreshing..."
+              disabled={isRefreshingToken}
               variant="outline"
               style={styles.actionButton}
             />
+
+            <RequireRole roles={ROLES.ADMIN}>
+              <CustomButton
+                title="Admin"
+                onPress={() => navigation.navigate('Admin')}
+                variant="outline"
+                style={styles.actionButton}
+              />
+            </RequireRole>
           </View>
 
           <View style={styles.featuresCard}>
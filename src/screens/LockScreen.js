@@ -0,0 +1,389 @@
+// Lock Screen
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+    Alert,
+    KeyboardAvoidingView,
+    Platform,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Text,
+    View,
+} from 'react-native';
+
+import { getSignInMethodName } from '../auth/providers';
+import { useAuth } from '../auth/useAuth';
+import Avatar from '../components/Avatar';
+import CodeInput from '../components/CodeInput';
+import CustomButton from '../components/CustomButton';
+import CustomInput from '../components/CustomInput';
+import MultiFactorPrompt from '../components/MultiFactorPrompt';
+import { useBiometricSupport } from '../hooks/useBiometricSupport';
+
+/**
+ * Lock Screen Component
+ * Holds a restored session until the user unlocks it with biometrics, their PIN or their password
+ */
+const LockScreen = () => {
+  const [showPasswordForm, setShowPasswordForm] = useState(false);
+  const [password, setPassword] = useState('');
+  const [passwordError, setPasswordError] = useState(null);
+  const [pin, setPin] = useState('');
+  const [pinError, setPinError] = useState(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [mfaChallenge, setMfaChallenge] = useState(null);
+
+  const hasPromptedRef = useRef(false);
+  const pinRef = useRef(null);
+  const {
+    userDisplayName,
+    userEmail,
+    userPhotoURL,
+    linkedProviderIds,
+    hasPassword,
+    isBiometricUnlockEnabled,
+    isAppPinSet,
+    appPinLength,
+    unlockWithBiometrics,
+    unlockWithPassword,
+    unlockWithPin,
+    cancelMultiFactorSignIn,
+    logout,
+  } = useAuth();
+  const biometrics = useBiometricSupport();
+
+  const canUseBiometrics = isBiometricUnlockEnabled && biometrics.isAvailable;
+  const showPinForm = isAppPinSet && !showPasswordForm;
+
+  const oauthProviderId = linkedProviderIds.find((providerId) => providerId !== 'password' && providerId !== 'phone');
+
+  /**
+   * Ask for biometrics
+   */
+  const handleBiometricUnlock = useCallback(async () => {
+    setIsUnlocking(true);
+    try {
+      const result = await unlockWithBiometrics();
+
+      if (!result.success && !result.cancelled) {
+        Alert.alert('Unlock Failed', result.error);
+      }
+      // Success is handled automatically by the lock state change
+    } catch (error) {
+      console.error('Biometric unlock error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsUnlocking(false);
+    }
+  }, [unlockWithBiometrics]);
+
+  // Prompt right away when the screen opens
+  useEffect(() => {
+    if (biometrics.isChecking || hasPromptedRef.current) {
+      return;
+    }
+
+    hasPromptedRef.current = true;
+
+    if (canUseBiometrics) {
+      handleBiometricUnlock();
+    } else if (!isAppPinSet) {
+      setShowPasswordForm(true);
+    }
+  }, [biometrics.isChecking, canUseBiometrics, isAppPinSet, handleBiometricUnlock]);
+
+  /**
+   * Unlock with the app PIN
+   * @param {string} pinToCheck - PIN to check (defaults to the current input)
+   */
+  const handlePinUnlock = async (pinToCheck = pin) => {
+    if (pinToCheck.length !== appPinLength) {
+      setPinError(`Enter your ${appPinLength}-digit PIN`);
+      return;
+    }
+
+    setIsUnlocking(true);
+    try {
+      const result = await unlockWithPin(pinToCheck);
+
+      if (result.signedOut) {
+        Alert.alert('Signed Out', result.error);
+      } else if (!result.success) {
+        setPin('');
+        setPinError(result.error);
+        pinRef.current?.focus();
+      }
+      // Success is handled automatically by the lock state change
+    } catch (error) {
+      console.error('PIN unlock error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  /**
+   * Unlock by signing in again (password, or the linked OAuth provider)
+   */
+  const handlePasswordUnlock = async () => {
+    if (hasPassword && !password) {
+      setPasswordError('Password is required');
+      return;
+    }
+
+    setIsUnlocking(true);
+    try {
+      const result = await unlockWithPassword(password);
+
+      if (result.mfaRequired) {
+        // Retried once the second factor is confirmed
+        setMfaChallenge(result.mfaRequired);
+      } else if (result.requiresRecentLogin) {
+        Alert.alert(
+          'Sign In Again',
+          'This account cannot be unlocked with a password. Please sign out and sign in again.',
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Sign Out', style: 'destructive', onPress: logout },
+          ]
+        );
+      } else if (!result.success && !result.cancelled) {
+        setPassword('');
+        setPasswordError(result.error);
+      }
+      // Success is handled automatically by the lock state change
+    } catch (error) {
+      console.error('Password unlock error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  /**
+   * Sign out instead of unlocking
+   */
+  const handleSignOut = () => {
+    Alert.alert(
+      'Sign Out',
+      'You will need to sign in again to use the app.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Sign Out', style: 'destructive', onPress: logout },
+      ]
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View style={styles.header}>
+            <Avatar
+              uri={userPhotoURL}
+              name={userDisplayName}
+              email={userEmail}
+              style={styles.avatar}
+            />
+            <Text style={styles.title}>Welcome Back</Text>
+            <Text style={styles.subtitle}>{userDisplayName || userEmail}</Text>
+          </View>
+
+          <View style={styles.form}>
+            {showPinForm && (
+              <CodeInput
+                ref={pinRef}
+                label="PIN"
+                value={pin}
+                onChangeText={(value) => {
+                  setPin(value);
+                  if (pinError) {
+                    setPinError(null);
+                  }
+                }}
+                length={appPinLength}
+                error={pinError}
+                secureTextEntry={true}
+                textContentType="none"
+                autoComplete="off"
+                autoFocus={!canUseBiometrics}
+                disabled={isUnlocking}
+                onComplete={handlePinUnlock}
+              />
+            )}
+
+            {canUseBiometrics && (
+              <CustomButton
+                title={`Unlock with ${biometrics.label}`}
+                onPress={handleBiometricUnlock}
+                variant={showPinForm ? 'outline' : 'primary'}
+                loading={isUnlocking && !showPasswordForm && !showPinForm}
+                loadingText="Unlocking..."
+                disabled={isUnlocking}
+                style={styles.primaryButton}
+              />
+            )}
+
+            {showPasswordForm && hasPassword && (
+              <>
+                <CustomInput
+                  label="Password"
+                  placeholder="Enter your password"
+                  value={password}
+                  onChangeText={(value) => {
+                    setPassword(value);
+                    if (passwordError) {
+                      setPasswordError(null);
+                    }
+                  }}
+                  secureTextEntry={true}
+                  error={passwordError}
+                  autoFocus
+                  onSubmitEditing={handlePasswordUnlock}
+                  returnKeyType="go"
+                />
+
+                <CustomButton
+                  title="Unlock with Password"
+                  onPress={handlePasswordUnlock}
+                  variant={canUseBiometrics ? 'outline' : 'primary'}
+                  loading={isUnlocking}
+                  loadingText="Unlocking..."
+                  disabled={isUnlocking}
+                  style={styles.primaryButton}
+                />
+              </>
+            )}
+
+            {showPasswordForm && !hasPassword && oauthProviderId && (
+              <CustomButton
+                title={`Continue with ${getSignInMethodName(oauthProviderId)}`}
+                onPress={handlePasswordUnlock}
+                variant={canUseBiometrics ? 'outline' : 'primary'}
+                loading={isUnlocking}
+                loadingText="Unlocking..."
+                disabled={isUnlocking}
+                style={styles.primaryButton}
+              />
+            )}
+
+            {!showPasswordForm && (hasPassword || oauthProviderId) && (
+              <CustomButton
+                title={hasPassword ? 'Use Password Instead' : 'Sign In Again Instead'}
+                onPress={() => setShowPasswordForm(true)}
+                variant="text"
+                size="small"
+                disabled={isUnlocking}
+                style={styles.secondaryButton}
+              />
+            )}
+
+            {showPasswordForm && isAppPinSet && (
+              <CustomButton
+                title="Use PIN Instead"
+                onPress={() => setShowPasswordForm(false)}
+                variant="text"
+                size="small"
+                disabled={isUnlocking}
+                style={styles.secondaryButton}
+              />
+            )}
+          </View>
+
+          <View style={styles.footer}>
+            <CustomButton
+              title="Sign Out"
+              onPress={handleSignOut}
+              variant="text"
+              size="small"
+              disabled={isUnlocking}
+            />
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+
+      <MultiFactorPrompt
+        challenge={mfaChallenge}
+        onVerified={() => {
+          setMfaChallenge(null);
+          handlePasswordUnlock();
+        }}
+        onCancel={() => {
+          setMfaChallenge(null);
+          cancelMultiFactorSignIn();
+        }}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: 24,
+    paddingTop: 60,
+    paddingBottom: 40,
+  },
+
+  header: {
+    marginBottom: 40,
+    alignItems: 'center',
+  },
+
+  avatar: {
+    marginBottom: 16,
+  },
+
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#1D1D1F',
+    marginBottom: 8,
+  },
+
+  subtitle: {
+    fontSize: 16,
+    color: '#8E8E93',
+    textAlign: 'center',
+  },
+
+  form: {
+    flex: 1,
+    marginBottom: 40,
+  },
+
+  primaryButton: {
+    marginBottom: 16,
+  },
+
+  secondaryButton: {
+    alignSelf: 'center',
+  },
+
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingTop: 20,
+    borderTopWidth: 1,
+    borderTopColor: '#E5E5EA',
+  },
+});
+
+export default LockScreen;
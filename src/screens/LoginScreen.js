@@ -11,23 +11,44 @@ import {
     View,
 } from 'react-native';
 
+import { AUTH_CONFIG } from '../auth/authConfig';
+import { getSignInMethodName } from '../auth/providers';
 import { useAuth } from '../auth/useAuth';
 import CustomButton from '../components/CustomButton';
 import CustomInput from '../components/CustomInput';
+import SocialLoginButtons from '../components/SocialLoginButtons';
 
 /**
  * Login Screen Component
  */
-const LoginScreen = ({ navigation }) => {
+const LoginScreen = ({ navigation, route }) => {
   const [formData, setFormData] = useState({
     email: '',
     password: '',
   });
   const [errors, setErrors] = useState({});
   const [showPassword, setShowPassword] = useState(false);
+  const [isEmailLinkMode, setIsEmailLinkMode] = useState(false);
+  const [isSendingLink, setIsSendingLink] = useState(false);
 
   const passwordRef = useRef(null);
-  const { login, isLoading, error, clearError, isFirebaseConfigured } = useAuth();
+  const {
+    login,
+    loginAnonymously,
+    signInWithProvider,
+    providers,
+    pendingLink,
+    cancelAccountLink,
+    sendSignInLink,
+    completeEmailLinkSignIn,
+    cancelEmailLinkSignIn,
+    pendingEmailLink,
+    pendingMfa,
+    isLoading,
+    error,
+    clearError,
+    isFirebaseConfigured,
+  } = useAuth();
 
   // Clear auth errors when component unmounts or when clearing manually
   useEffect(() => {
@@ -36,6 +57,30 @@ const LoginScreen = ({ navigation }) => {
     };
   }, [clearError]);
 
+  // Prefill the email of the account a provider needs to be linked to
+  useEffect(() => {
+    if (pendingLink?.email) {
+      setFormData(prev => ({ ...prev, email: pendingLink.email }));
+    }
+  }, [pendingLink]);
+
+  // The password was accepted, ask for the second factor
+  useEffect(() => {
+    if (pendingMfa) {
+      navigation.navigate('MultiFactorChallenge');
+    }
+  }, [pendingMfa, navigation]);
+
+  // Prefill the email after a password reset
+  useEffect(() => {
+    if (route.params?.email) {
+      setFormData(prev => ({ ...prev, email: route.params.email }));
+    }
+  }, [route.params?.email]);
+
+  // Opened from an email link on another device, the email has to be confirmed
+  const showEmailLinkForm = isEmailLinkMode || Boolean(pendingEmailLink);
+
   // Clear auth error when form data changes
   useEffect(() => {
     if (error) {
@@ -58,7 +103,9 @@ const LoginScreen = ({ navigation }) => {
     }
 
     // Password validation
-    if (!formData.password) {
+    if (showEmailLinkForm) {
+      // No password needed for email link sign-in
+    } else if (!formData.password) {
       newErrors.password = 'Password is required';
     } else if (formData.password.length < 6) {
       newErrors.password = 'Password must be at least 6 characters';
@@ -82,6 +129,11 @@ const LoginScreen = ({ navigation }) => {
       if (!result.success) {
         // Error is handled by the auth context and displayed via the error state
         console.log('Login failed:', result.error);
+      } else if (result.linkedProvider) {
+        Alert.alert(
+          'Accounts Linked',
+          `You can now also sign in with ${getSignInMethodName(result.linkedProvider)}.`
+        );
       }
       // Success is handled automatically by auth state change
     } catch (error) {
@@ -90,35 +142,125 @@ const LoginScreen = ({ navigation }) => {
     }
   };
 
+  /**
+   * Email a passwordless sign-in link
+   */
+  const handleSendSignInLink = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSendingLink(true);
+    try {
+      const result = await sendSignInLink(formData.email);
+
+      if (result.success) {
+        Alert.alert(
+          'Check Your Email',
+          `We sent a sign-in link to ${formData.email}. Open it on this device to sign in.`
+        );
+      } else {
+        Alert.alert('Error', result.error);
+      }
+    } catch (error) {
+      console.error('Send sign-in link error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsSendingLink(false);
+    }
+  };
+
+  /**
+   * Finish signing in with an email link opened on another device
+   */
+  const handleCompleteEmailLink = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      const result = await completeEmailLinkSignIn(pendingEmailLink, formData.email);
+
+      if (!result.success) {
+        // Error is handled by the auth context and displayed via the error state
+        console.log('Email link login failed:', result.error);
+      }
+      // Success is handled automatically by auth state change
+    } catch (error) {
+      console.error('Email link login error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    }
+  };
+
+  /**
+   * Switch between password and email link sign in
+   */
+  const toggleEmailLinkMode = () => {
+    setIsEmailLinkMode(prev => !prev);
+    setErrors({});
+  };
+
+  /**
+   * Handle OAuth provider sign in
+   * @param {string} providerId - Provider registry ID
+   */
+  const handleProviderLogin = async (providerId) => {
+    try {
+      const result = await signInWithProvider(providerId);
+
+      if (!result.success && !result.cancelled) {
+        // Error is handled by the auth context and displayed via the error state
+        console.log('Provider login failed:', result.error);
+      } else if (result.linkedProvider) {
+        Alert.alert(
+          'Accounts Linked',
+          `You can now also sign in with ${getSignInMethodName(result.linkedProvider)}.`
+        );
+      }
+      // Success is handled automatically by auth state change
+    } catch (error) {
+      console.error('Provider login error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    }
+  };
+
+  /**
+   * Continue without an account
+   */
+  const handleGuestLogin = async () => {
+    try {
+      const result = await loginAnonymously();
+
+      if (!result.success) {
+        // Error is handled by the auth context and displayed via the error state
+        console.log('Guest login failed:', result.error);
+      }
+      // Success is handled automatically by auth state change
+    } catch (error) {
+      console.error('Guest login error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    }
+  };
+
   /**
    * Handle forgot password
    */
   const handleForgotPassword = () => {
-    if (!formData.email) {
-      Alert.alert(
-        'Email Required',
-        'Please enter your email address first, then tap "Forgot Password?" again.'
-      );
-      return;
+    navigation.navigate('ForgotPassword', { email: formData.email });
+  };
+
+  /**
+   * Describe how the user should sign in to finish linking
+   * @returns {string}
+   */
+  const getLinkInstructions = () => {
+    const methodNames = pendingLink.methods.map(getSignInMethodName);
+
+    if (methodNames.length === 0) {
+      return `Sign in to ${pendingLink.email || 'your account'} with the method you used before, and we'll link your ${pendingLink.providerName} account to it.`;
     }
 
-    Alert.alert(
-      'Reset Password',
-      `Send password reset instructions to ${formData.email}?`,
-      [
-        { text: 'Cancel', style: 'cancel' },
-        {
-          text: 'Send',
-          onPress: async () => {
-            // You can implement password reset here
-            Alert.alert(
-              'Email Sent',
-              'Password reset instructions have been sent to your email address.'
-            );
-          },
-        },
-      ]
-    );
+    return `${pendingLink.email} is registered with ${methodNames.join(' or ')}. Sign in with it below to link your ${pendingLink.providerName} account.`;
   };
 
   /**
@@ -174,6 +316,38 @@ const LoginScreen = ({ navigation }) => {
             </View>
           )}
 
+          {pendingLink && (
+            <View style={styles.linkNotice}>
+              <Text style={styles.linkNoticeTitle}>
+                Link your {pendingLink.providerName} account
+              </Text>
+              <Text style={styles.linkNoticeText}>{getLinkInstructions()}</Text>
+              <CustomButton
+                title="Cancel Linking"
+                onPress={cancelAccountLink}
+                variant="text"
+                size="small"
+                style={styles.linkNoticeButton}
+              />
+            </View>
+          )}
+
+          {pendingEmailLink && (
+            <View style={styles.linkNotice}>
+              <Text style={styles.linkNoticeTitle}>Finish signing in</Text>
+              <Text style={styles.linkNoticeText}>
+                Enter the email address your sign-in link was sent to.
+              </Text>
+              <CustomButton
+                title="Cancel"
+                onPress={cancelEmailLinkSignIn}
+                variant="text"
+                size="small"
+                style={styles.linkNoticeButton}
+              />
+            </View>
+          )}
+
           <View style={styles.form}>
             <CustomInput
               label="Email"
@@ -185,22 +359,32 @@ const LoginScreen = ({ navigation }) => {
               autoCorrect={false}
               error={errors.email}
               required
-              onSubmitEditing={() => passwordRef.current?.focus()}
-              returnKeyType="next"
+              onSubmitEditing={() => {
+                if (pendingEmailLink) {
+                  handleCompleteEmailLink();
+                } else if (isEmailLinkMode) {
+                  handleSendSignInLink();
+                } else {
+                  passwordRef.current?.focus();
+                }
+              }}
+              returnKeyType={showEmailLinkForm ? 'go' : 'next'}
             />
 
-            <CustomInput
-              ref={passwordRef}
-              label="Password"
-              placeholder="Enter your password"
-              value={formData.password}
-              onChangeText={(value) => updateField('password', value)}
-              secureTextEntry={true}
-              error={errors.password}
-              required
-              onSubmitEditing={handleLogin}
-              returnKeyType="go"
-            />
+            {!showEmailLinkForm && (
+              <CustomInput
+                ref={passwordRef}
+                label="Password"
+                placeholder="Enter your password"
+                value={formData.password}
+                onChangeText={(value) => updateField('password', value)}
+                secureTextEntry={true}
+                error={errors.password}
+                required
+                onSubmitEditing={handleLogin}
+                returnKeyType="go"
+              />
+            )}
 
             {error && (
               <View style={styles.errorContainer}>
@@ -208,22 +392,82 @@ const LoginScreen = ({ navigation }) => {
               </View>
             )}
 
-            <CustomButton
-              title="Sign In"
-              onPress={handleLogin}
-              loading={isLoading}
+            {pendingEmailLink ? (
+              <CustomButton
+                title="Complete Sign In"
+                onPress={handleCompleteEmailLink}
+                loading={isLoading}
+                disabled={isLoading || !isFirebaseConfigured}
+                style={styles.loginButton}
+              />
+            ) : isEmailLinkMode ? (
+              <CustomButton
+                title="Send Sign-In Link"
+                onPress={handleSendSignInLink}
+                loading={isSendingLink}
+                loadingText="Sending..."
+                disabled={isSendingLink || !isFirebaseConfigured}
+                style={styles.loginButton}
+              />
+            ) : (
+              <>
+                <CustomButton
+                  title="Sign In"
+                  onPress={handleLogin}
+                  loading={isLoading}
+                  disabled={isLoading || !isFirebaseConfigured}
+                  style={styles.loginButton}
+                />
+
+                <CustomButton
+                  title="Forgot Password?"
+                  onPress={handleForgotPassword}
+                  variant="text"
+                  size="small"
+                  style={styles.forgotButton}
+                  disabled={!isFirebaseConfigured}
+                />
+              </>
+            )}
+
+            {AUTH_CONFIG.EMAIL_LINK_ENABLED && !pendingEmailLink && (
+              <CustomButton
+                title={isEmailLinkMode ? 'Sign in with password instead' : 'Email me a sign-in link'}
+                onPress={toggleEmailLinkMode}
+                variant="text"
+                size="small"
+                style={styles.forgotButton}
+                disabled={!isFirebaseConfigured}
+              />
+            )}
+
+            <SocialLoginButtons
+              providers={providers}
+              onProviderPress={handleProviderLogin}
               disabled={isLoading || !isFirebaseConfigured}
-              style={styles.loginButton}
+              style={styles.socialButtons}
             />
 
-            <CustomButton
-              title="Forgot Password?"
-              onPress={handleForgotPassword}
-              variant="text"
-              size="small"
-              style={styles.forgotButton}
-              disabled={!isFirebaseConfigured}
-            />
+            {AUTH_CONFIG.PHONE_AUTH_ENABLED && (
+              <CustomButton
+                title="Sign in with Phone"
+                onPress={() => navigation.navigate('PhoneLogin')}
+                variant="secondary"
+                disabled={isLoading || !isFirebaseConfigured}
+                style={styles.phoneButton}
+              />
+            )}
+
+            {AUTH_CONFIG.ANONYMOUS_AUTH_ENABLED && !pendingLink && (
+              <CustomButton
+                title="Continue as Guest"
+                onPress={handleGuestLogin}
+                variant="text"
+                size="small"
+                disabled={isLoading || !isFirebaseConfigured}
+                style={styles.forgotButton}
+              />
+            )}
           </View>
 
           <View style={styles.footer}>
@@ -317,6 +561,34 @@ const styles = StyleSheet.create({
     fontStyle: 'italic',
   },
   
+  linkNotice: {
+    backgroundColor: '#FFF4E6',
+    borderColor: '#FF9500',
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 24,
+  },
+
+  linkNoticeTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#FF9500',
+    marginBottom: 8,
+  },
+
+  linkNoticeText: {
+    fontSize: 14,
+    color: '#1D1D1F',
+    lineHeight: 20,
+  },
+
+  linkNoticeButton: {
+    alignSelf: 'flex-start',
+    marginTop: 8,
+    marginLeft: -16, // Align text with the notice content
+  },
+  
   form: {
     flex: 1,
     marginBottom: 40,
@@ -344,6 +616,14 @@ const styles = StyleSheet.create({
   forgotButton: {
     alignSelf: 'center',
   },
+
+  socialButtons: {
+    marginTop: 24,
+  },
+
+  phoneButton: {
+    marginBottom: 16,
+  },
   
   footer: {
     flexDirection: 'row',
@@ -0,0 +1,281 @@
+// Multi-Factor Challenge Screen
+import React, { useEffect, useState } from 'react';
+import {
+    Alert,
+    KeyboardAvoidingView,
+    Platform,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Text,
+    View,
+} from 'react-native';
+
+import { AUTH_CONFIG } from '../auth/authConfig';
+import { useAuth } from '../auth/useAuth';
+import CustomButton from '../components/CustomButton';
+import CustomInput from '../components/CustomInput';
+import MultiFactorChallengeForm from '../components/MultiFactorChallengeForm';
+import { validateEmail } from '../utils/validation';
+
+/**
+ * Multi-Factor Challenge Screen Component
+ * Asks for the second factor after the password (or OAuth sign-in) was accepted
+ */
+const MultiFactorChallengeScreen = ({ navigation }) => {
+  const [isRecovering, setIsRecovering] = useState(false);
+  const [recoveryData, setRecoveryData] = useState({ email: '', code: '' });
+  const [recoveryErrors, setRecoveryErrors] = useState({});
+  const [isRedeeming, setIsRedeeming] = useState(false);
+
+  const { pendingMfa, cancelMultiFactorSignIn, redeemRecoveryCode } = useAuth();
+
+  const hints = pendingMfa?.hints || [];
+
+  // Leaving the screen abandons the sign-in
+  useEffect(() => {
+    return () => {
+      cancelMultiFactorSignIn();
+    };
+  }, [cancelMultiFactorSignIn]);
+
+  // The challenge expired, go back to the sign-in form
+  useEffect(() => {
+    if (!pendingMfa && navigation.canGoBack()) {
+      navigation.goBack();
+    }
+  }, [pendingMfa, navigation]);
+
+  /**
+   * Offer a recovery code when none of the second factors is at hand
+   */
+  const handleLostDevice = () => {
+    if (AUTH_CONFIG.MFA_RECOVERY_PATH) {
+      setIsRecovering(true);
+      return;
+    }
+
+    Alert.alert(
+      'Lost Your Device?',
+      'Contact support with one of the recovery codes you saved when you turned on two-factor authentication. Each code can only be used once.'
+    );
+  };
+
+  /**
+   * Validate the recovery form
+   * @returns {boolean} - Whether form is valid
+   */
+  const validateRecoveryForm = () => {
+    const newErrors = {};
+
+    const emailError = validateEmail(recoveryData.email.trim());
+    if (emailError) {
+      newErrors.email = emailError;
+    }
+
+    if (!recoveryData.code.trim()) {
+      newErrors.code = 'Recovery code is required';
+    }
+
+    setRecoveryErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  /**
+   * Turn off two-factor authentication with a recovery code
+   */
+  const handleRedeem = async () => {
+    if (!validateRecoveryForm()) {
+      return;
+    }
+
+    setIsRedeeming(true);
+    try {
+      const result = await redeemRecoveryCode(recoveryData.email, recoveryData.code);
+
+      if (result.success) {
+        Alert.alert(
+          'Two-Factor Authentication Off',
+          'Sign in again with your password or account provider, then turn two-factor authentication back on from your profile.'
+        );
+        // Going back to the sign-in form is handled by the cleared challenge
+      } else if (result.expired) {
+        Alert.alert('Sign In Again', result.error);
+      } else {
+        setRecoveryErrors({ code: result.error });
+      }
+    } catch (error) {
+      console.error('Recovery code error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsRedeeming(false);
+    }
+  };
+
+  /**
+   * Update recovery form field
+   */
+  const updateRecoveryField = (field, value) => {
+    setRecoveryData(prev => ({ ...prev, [field]: value }));
+
+    if (recoveryErrors[field]) {
+      setRecoveryErrors(prev => ({ ...prev, [field]: null }));
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View style={styles.header}>
+            <Text style={styles.title}>Two-Factor Sign In</Text>
+          </View>
+
+          {isRecovering ? (
+            <View style={styles.form}>
+              <Text style={styles.description}>
+                Enter one of the recovery codes you saved when you turned on two-factor authentication.
+                This turns two-factor authentication off so you can sign in again.
+              </Text>
+
+              <CustomInput
+                label="Email"
+                placeholder="Enter your email"
+                value={recoveryData.email}
+                onChangeText={(value) => updateRecoveryField('email', value)}
+                error={recoveryErrors.email}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                autoCorrect={false}
+                returnKeyType="next"
+              />
+
+              <CustomInput
+                label="Recovery Code"
+                placeholder="XXXXX-XXXXX"
+                value={recoveryData.code}
+                onChangeText={(value) => updateRecoveryField('code', value)}
+                error={recoveryErrors.code}
+                autoCapitalize="characters"
+                autoCorrect={false}
+                onSubmitEditing={handleRedeem}
+                returnKeyType="go"
+              />
+
+              <CustomButton
+                title="Use Recovery Code"
+                onPress={handleRedeem}
+                loading={isRedeeming}
+                loadingText="Checking..."
+                disabled={isRedeeming}
+                style={styles.primaryButton}
+              />
+
+              <CustomButton
+                title="Use a verification code instead"
+                onPress={() => setIsRecovering(false)}
+                variant="text"
+                size="small"
+                disabled={isRedeeming}
+                style={styles.secondaryButton}
+              />
+            </View>
+          ) : (
+            <View style={styles.form}>
+              {/* Success is handled automatically by auth state change */}
+              <MultiFactorChallengeForm hints={hints} />
+
+              {hints.length > 0 && (
+                <CustomButton
+                  title={AUTH_CONFIG.MFA_RECOVERY_PATH ? 'Use a recovery code' : 'Lost your device?'}
+                  onPress={handleLostDevice}
+                  variant="text"
+                  size="small"
+                  style={styles.secondaryButton}
+                />
+              )}
+            </View>
+          )}
+
+          <View style={styles.footer}>
+            <CustomButton
+              title="Back to Sign In"
+              onPress={() => navigation.goBack()}
+              variant="text"
+              size="small"
+            />
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: 24,
+    paddingTop: 60,
+    paddingBottom: 40,
+  },
+
+  header: {
+    marginBottom: 16,
+    alignItems: 'center',
+  },
+
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#1D1D1F',
+    marginBottom: 8,
+  },
+
+  form: {
+    flex: 1,
+    marginBottom: 40,
+  },
+
+  description: {
+    fontSize: 16,
+    color: '#8E8E93',
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+
+  primaryButton: {
+    marginBottom: 16,
+  },
+
+  secondaryButton: {
+    alignSelf: 'center',
+    marginBottom: 8,
+  },
+
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingTop: 20,
+    borderTopWidth: 1,
+    borderTopColor: '#E5E5EA',
+  },
+});
+
+export default MultiFactorChallengeScreen;
@@ -0,0 +1,327 @@
+// Phone Enrollment Screen
+import React, { useEffect, useRef, useState } from 'react';
+import {
+    Alert,
+    KeyboardAvoidingView,
+    Platform,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Text,
+    View,
+} from 'react-native';
+
+import { RECAPTCHA_CONTAINER_ID } from '../auth/recaptcha';
+import { useAuth } from '../auth/useAuth';
+import CodeInput from '../components/CodeInput';
+import CustomButton from '../components/CustomButton';
+import CustomInput from '../components/CustomInput';
+import RecoveryCodeList from '../components/RecoveryCodeList';
+import { useCountdown } from '../hooks/useCountdown';
+import { RATE_LIMIT_CONFIG } from '../utils/delay';
+import { normalizePhoneNumber, validatePhoneNumber } from '../utils/validation';
+
+const CODE_LENGTH = 6;
+
+/**
+ * Phone Enrollment Screen Component
+ * Adds a phone number as a second factor: enter the number, then the SMS code
+ */
+const PhoneEnrollmentScreen = ({ navigation }) => {
+  const [step, setStep] = useState('phone');
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [code, setCode] = useState('');
+  const [errors, setErrors] = useState({});
+  const [isSending, setIsSending] = useState(false);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const codeRef = useRef(null);
+  const { startPhoneEnrollment, completePhoneEnrollment, cancelPhoneEnrollment, logout } = useAuth();
+  const resendCountdown = useCountdown();
+
+  // Drop the verification if the screen is left before the code was entered
+  useEffect(() => {
+    return () => {
+      cancelPhoneEnrollment();
+    };
+  }, [cancelPhoneEnrollment]);
+
+  /**
+   * Offer to sign out when Firebase wants a fresh sign-in
+   * @param {string} message - Error message
+   */
+  const showSignInAgain = (message) => {
+    Alert.alert(
+      'Sign In Again',
+      message,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Sign Out', style: 'destructive', onPress: logout },
+      ]
+    );
+  };
+
+  /**
+   * Send (or resend) the SMS code
+   */
+  const handleSendCode = async () => {
+    const phoneNumberError = validatePhoneNumber(phoneNumber);
+    if (phoneNumberError) {
+      setErrors({ phoneNumber: phoneNumberError });
+      return;
+    }
+
+    if (resendCountdown.isActive) {
+      return;
+    }
+
+    setIsSending(true);
+    try {
+      const result = await startPhoneEnrollment(normalizePhoneNumber(phoneNumber));
+
+      if (result.success) {
+        setStep('code');
+        setCode('');
+        setErrors({});
+        resendCountdown.start(RATE_LIMIT_CONFIG.PHONE_RESEND_INTERVAL_SECONDS);
+        codeRef.current?.focus();
+      } else if (result.requiresRecentLogin) {
+        showSignInAgain(result.error);
+      } else {
+        setErrors({ [step === 'phone' ? 'phoneNumber' : 'code']: result.error });
+      }
+    } catch (error) {
+      console.error('Send enrollment code error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  /**
+   * Confirm the SMS code and add the phone number
+   * @param {string} codeToConfirm - Code to confirm (defaults to the current input)
+   */
+  const handleConfirmCode = async (codeToConfirm = code) => {
+    if (codeToConfirm.length !== CODE_LENGTH) {
+      setErrors({ code: `Enter the ${CODE_LENGTH}-digit code` });
+      return;
+    }
+
+    setIsVerifying(true);
+    try {
+      const result = await completePhoneEnrollment(codeToConfirm);
+
+      if (result.success && result.recoveryCodes) {
+        setRecoveryCodes(result.recoveryCodes);
+      } else if (result.success) {
+        Alert.alert(
+          'Phone Number Added',
+          result.recoveryCodesFailed
+            ? 'We could not create recovery codes. You can try again from your profile.'
+            : 'You can now receive sign-in codes by text message.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else if (result.requiresRecentLogin) {
+        showSignInAgain(result.error);
+      } else {
+        setCode('');
+        setErrors({ code: result.error });
+        codeRef.current?.focus();
+      }
+    } catch (error) {
+      console.error('Phone enrollment error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  /**
+   * Go back to the phone number step
+   */
+  const handleChangeNumber = () => {
+    cancelPhoneEnrollment();
+    setStep('phone');
+    setCode('');
+    setErrors({});
+  };
+
+  /**
+   * Update the code and clear errors
+   */
+  const updateCode = (value) => {
+    setCode(value);
+    if (errors.code) {
+      setErrors(prev => ({ ...prev, code: null }));
+    }
+  };
+
+  if (recoveryCodes) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+        >
+          <Text style={styles.title}>Two-Factor Authentication On</Text>
+          <Text style={styles.description}>
+            From now on we will text a code to {normalizePhoneNumber(phoneNumber)} when you sign in.
+          </Text>
+
+          <RecoveryCodeList codes={recoveryCodes} style={styles.recoveryCodes} />
+
+          <CustomButton
+            title="I've Saved These Codes"
+            onPress={() => navigation.goBack()}
+          />
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <Text style={styles.description}>
+            {step === 'phone'
+              ? 'We will text a verification code to this number now, and whenever you sign in.'
+              : `We sent a ${CODE_LENGTH}-digit code to ${normalizePhoneNumber(phoneNumber)}`}
+          </Text>
+
+          {step === 'phone' ? (
+            <>
+              <CustomInput
+                label="Phone Number"
+                placeholder="+1 555 123 4567"
+                value={phoneNumber}
+                onChangeText={(value) => {
+                  setPhoneNumber(value);
+                  if (errors.phoneNumber) {
+                    setErrors(prev => ({ ...prev, phoneNumber: null }));
+                  }
+                }}
+                keyboardType="phone-pad"
+                textContentType="telephoneNumber"
+                autoComplete="tel"
+                error={errors.phoneNumber}
+                required
+                onSubmitEditing={handleSendCode}
+                returnKeyType="send"
+              />
+
+              <CustomButton
+                title="Send Code"
+                onPress={handleSendCode}
+                loading={isSending}
+                loadingText="Sending..."
+                disabled={isSending}
+              />
+            </>
+          ) : (
+            <>
+              <CodeInput
+                ref={codeRef}
+                value={code}
+                onChangeText={updateCode}
+                length={CODE_LENGTH}
+                error={errors.code}
+                onComplete={handleConfirmCode}
+              />
+
+              <CustomButton
+                title="Add Phone Number"
+                onPress={() => handleConfirmCode()}
+                loading={isVerifying}
+                loadingText="Verifying..."
+                disabled={isVerifying}
+                style={styles.primaryButton}
+              />
+
+              <CustomButton
+                title={resendCountdown.isActive
+                  ? `Resend code in ${resendCountdown.secondsLeft}s`
+                  : 'Resend Code'}
+                onPress={handleSendCode}
+                variant="text"
+                size="small"
+                loading={isSending}
+                loadingText="Sending..."
+                disabled={isSending || isVerifying || resendCountdown.isActive}
+                style={styles.secondaryButton}
+              />
+
+              <CustomButton
+                title="Change Number"
+                onPress={handleChangeNumber}
+                variant="text"
+                size="small"
+                disabled={isVerifying}
+                style={styles.secondaryButton}
+              />
+            </>
+          )}
+
+          {/* Invisible reCAPTCHA mounts here on web */}
+          <View nativeID={RECAPTCHA_CONTAINER_ID} />
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: 24,
+    paddingTop: 24,
+    paddingBottom: 40,
+  },
+
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1D1D1F',
+    marginBottom: 8,
+  },
+
+  description: {
+    fontSize: 14,
+    color: '#8E8E93',
+    lineHeight: 20,
+    marginBottom: 24,
+  },
+
+  primaryButton: {
+    marginBottom: 16,
+  },
+
+  secondaryButton: {
+    alignSelf: 'center',
+    marginBottom: 8,
+  },
+
+  recoveryCodes: {
+    marginBottom: 24,
+  },
+});
+
+export default PhoneEnrollmentScreen;
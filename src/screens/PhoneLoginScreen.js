@@ -0,0 +1,333 @@
+// Phone Login Screen
+import React, { useEffect, useRef, useState } from 'react';
+import {
+    Alert,
+    KeyboardAvoidingView,
+    Platform,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Text,
+    View,
+} from 'react-native';
+
+import { RECAPTCHA_CONTAINER_ID } from '../auth/recaptcha';
+import { useAuth } from '../auth/useAuth';
+import CodeInput from '../components/CodeInput';
+import CustomButton from '../components/CustomButton';
+import CustomInput from '../components/CustomInput';
+import { useCountdown } from '../hooks/useCountdown';
+import { RATE_LIMIT_CONFIG } from '../utils/delay';
+import { normalizePhoneNumber, validatePhoneNumber } from '../utils/validation';
+
+const CODE_LENGTH = 6;
+
+/**
+ * Phone Login Screen Component
+ * Two steps: enter phone number, then enter the SMS code
+ */
+const PhoneLoginScreen = ({ navigation }) => {
+  const [step, setStep] = useState('phone');
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [code, setCode] = useState('');
+  const [errors, setErrors] = useState({});
+  const [isSending, setIsSending] = useState(false);
+
+  const codeRef = useRef(null);
+  const { sendPhoneCode, confirmPhoneCode, isLoading, error, clearError } = useAuth();
+  const resendCountdown = useCountdown();
+
+  // Clear auth errors when component unmounts
+  useEffect(() => {
+    return () => {
+      clearError();
+    };
+  }, [clearError]);
+
+  /**
+   * Validate phone number input
+   * @returns {boolean} - Whether phone number is valid
+   */
+  const validateForm = () => {
+    const newErrors = {};
+
+    const phoneNumberError = validatePhoneNumber(phoneNumber);
+    if (phoneNumberError) {
+      newErrors.phoneNumber = phoneNumberError;
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  /**
+   * Send (or resend) the SMS code
+   */
+  const handleSendCode = async () => {
+    if (!validateForm() || resendCountdown.isActive) {
+      return;
+    }
+
+    setIsSending(true);
+    try {
+      const result = await sendPhoneCode(normalizePhoneNumber(phoneNumber));
+
+      if (result.success) {
+        setStep('code');
+        setCode('');
+        setErrors({});
+        resendCountdown.start(RATE_LIMIT_CONFIG.PHONE_RESEND_INTERVAL_SECONDS);
+        codeRef.current?.focus();
+      } else {
+        setErrors({ [step === 'phone' ? 'phoneNumber' : 'code']: result.error });
+      }
+    } catch (error) {
+      console.error('Send phone code error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  /**
+   * Confirm the SMS code
+   * @param {string} codeToConfirm - Code to confirm (defaults to the current input)
+   */
+  const handleConfirmCode = async (codeToConfirm = code) => {
+    if (codeToConfirm.length !== CODE_LENGTH) {
+      setErrors({ code: `Enter the ${CODE_LENGTH}-digit code` });
+      return;
+    }
+
+    try {
+      const result = await confirmPhoneCode(codeToConfirm);
+
+      if (!result.success) {
+        // Error is handled by the auth context and displayed via the error state
+        console.log('Phone login failed:', result.error);
+      }
+      // Success is handled automatically by auth state change
+    } catch (error) {
+      console.error('Phone login error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    }
+  };
+
+  /**
+   * Go back to the phone number step
+   */
+  const handleChangeNumber = () => {
+    setStep('phone');
+    setCode('');
+    setErrors({});
+    clearError();
+  };
+
+  /**
+   * Update the code and clear errors
+   */
+  const updateCode = (value) => {
+    setCode(value);
+    if (errors.code) {
+      setErrors(prev => ({ ...prev, code: null }));
+    }
+    if (error) {
+      clearError();
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View style={styles.header}>
+            <Text style={styles.title}>
+              {step === 'phone' ? 'Sign in with Phone' : 'Enter Code'}
+            </Text>
+            <Text style={styles.subtitle}>
+              {step === 'phone'
+                ? 'We will text you a verification code'
+                : `We sent a ${CODE_LENGTH}-digit code to ${normalizePhoneNumber(phoneNumber)}`}
+            </Text>
+          </View>
+
+          <View style={styles.form}>
+            {step === 'phone' ? (
+              <>
+                <CustomInput
+                  label="Phone Number"
+                  placeholder="+1 555 123 4567"
+                  value={phoneNumber}
+                  onChangeText={(value) => {
+                    setPhoneNumber(value);
+                    if (errors.phoneNumber) {
+                      setErrors(prev => ({ ...prev, phoneNumber: null }));
+                    }
+                  }}
+                  keyboardType="phone-pad"
+                  textContentType="telephoneNumber"
+                  autoComplete="tel"
+                  error={errors.phoneNumber}
+                  required
+                  onSubmitEditing={handleSendCode}
+                  returnKeyType="send"
+                />
+
+                <CustomButton
+                  title="Send Code"
+                  onPress={handleSendCode}
+                  loading={isSending}
+                  loadingText="Sending..."
+                  disabled={isSending}
+                  style={styles.primaryButton}
+                />
+              </>
+            ) : (
+              <>
+                <CodeInput
+                  ref={codeRef}
+                  value={code}
+                  onChangeText={updateCode}
+                  length={CODE_LENGTH}
+                  error={errors.code}
+                  onComplete={handleConfirmCode}
+                />
+
+                {error && (
+                  <View style={styles.errorContainer}>
+                    <Text style={styles.errorText}>{error}</Text>
+                  </View>
+                )}
+
+                <CustomButton
+                  title="Verify"
+                  onPress={() => handleConfirmCode()}
+                  loading={isLoading}
+                  loadingText="Verifying..."
+                  disabled={isLoading}
+                  style={styles.primaryButton}
+                />
+
+                <CustomButton
+                  title={resendCountdown.isActive
+                    ? `Resend code in ${resendCountdown.secondsLeft}s`
+                    : 'Resend Code'}
+                  onPress={handleSendCode}
+                  variant="text"
+                  size="small"
+                  loading={isSending}
+                  loadingText="Sending..."
+                  disabled={isSending || isLoading || resendCountdown.isActive}
+                  style={styles.secondaryButton}
+                />
+
+                <CustomButton
+                  title="Change Number"
+                  onPress={handleChangeNumber}
+                  variant="text"
+                  size="small"
+                  disabled={isLoading}
+                  style={styles.secondaryButton}
+                />
+              </>
+            )}
+
+            {/* Invisible reCAPTCHA mounts here on web */}
+            <View nativeID={RECAPTCHA_CONTAINER_ID} />
+          </View>
+
+          <View style={styles.footer}>
+            <CustomButton
+              title="Back to Sign In"
+              onPress={() => navigation.goBack()}
+              variant="text"
+              size="small"
+            />
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: 24,
+    paddingTop: 60,
+    paddingBottom: 40,
+  },
+
+  header: {
+    marginBottom: 40,
+    alignItems: 'center',
+  },
+
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#1D1D1F',
+    marginBottom: 8,
+  },
+
+  subtitle: {
+    fontSize: 16,
+    color: '#8E8E93',
+    textAlign: 'center',
+  },
+
+  form: {
+    flex: 1,
+    marginBottom: 40,
+  },
+
+  errorContainer: {
+    backgroundColor: '#FFF2F2',
+    borderColor: '#FF3B30',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+
+  errorText: {
+    color: '#FF3B30',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+
+  primaryButton: {
+    marginBottom: 16,
+  },
+
+  secondaryButton: {
+    alignSelf: 'center',
+  },
+
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingTop: 20,
+    borderTopWidth: 1,
+    borderTopColor: '#E5E5EA',
+  },
+});
+
+export default PhoneLoginScreen;
@@ -5,12 +5,37 @@ import {
     SafeAreaView,
     ScrollView,
     StyleSheet,
+    Switch,
     Text,
     View,
 } from 'react-native';
 
+import { AUTH_CONFIG } from '../auth/authConfig';
+import { getSignInMethodName } from '../auth/providers';
 import { useAuth } from '../auth/useAuth';
+import AccountSwitcherSheet from '../components/AccountSwitcherSheet';
+import Avatar from '../components/Avatar';
 import CustomButton from '../components/CustomButton';
+import { useBiometricSupport } from '../hooks/useBiometricSupport';
+import { useVerificationEmail } from '../hooks/useVerificationEmail';
+
+/**
+ * Describe how long the app can stay in the background before it locks
+ * @param {number} seconds - Lock timeout in seconds
+ * @returns {string}
+ */
+const formatLockTimeout = (seconds) => {
+  if (seconds <= 0) {
+    return 'as soon as it goes to the background';
+  }
+
+  if (seconds >= 60) {
+    const minutes = Math.round(seconds / 60);
+    return `after ${minutes} ${minutes === 1 ? 'minute' : 'minutes'} in the background`;
+  }
+
+  return `after ${seconds} seconds in the background`;
+};
 
 /**
  * Profile Screen Component
@@ -21,13 +46,46 @@ const ProfileScreen = ({ navigation }) => {
     user,
     userDisplayName,
     userEmail,
+    userPhotoURL,
     userId,
     isEmailVerified,
+    isGuest,
+    linkedProviderIds,
+    providers,
+    linkProvider,
+    unlinkProvider,
+    pendingEmail,
+    reloadUser,
+    cancelEmailChange,
+    multiFactors,
+    unenrollMultiFactor,
+    isBiometricUnlockEnabled,
+    setBiometricUnlock,
+    isAppPinSet,
+    appPinLength,
     logout,
     isLoading,
   } = useAuth();
 
+  const { sendVerificationEmail, isSending, secondsLeft, canResend } = useVerificationEmail();
+  const biometrics = useBiometricSupport();
+
   const [isLoggingOut, setIsLoggingOut] = useState(false);
+  const [linkingProviderId, setLinkingProviderId] = useState(null);
+  const [isCheckingEmailChange, setIsCheckingEmailChange] = useState(false);
+  const [removingFactorUid, setRemovingFactorUid] = useState(null);
+  const [isChangingBiometricUnlock, setIsChangingBiometricUnlock] = useState(false);
+  const [isAccountSwitcherVisible, setIsAccountSwitcherVisible] = useState(false);
+
+  const hasTotpFactor = multiFactors.some((factor) => factor.factorId === 'totp');
+
+  // Enabled providers plus anything already linked (e.g. password)
+  const signInMethods = [
+    ...linkedProviderIds,
+    ...providers
+      .map((provider) => provider.providerId)
+      .filter((providerId) => !linkedProviderIds.includes(providerId)),
+  ];
 
   /**
    * Handle user logout
@@ -35,7 +93,9 @@ const ProfileScreen = ({ navigation }) => {
   const handleLogout = () => {
     Alert.alert(
       'Sign Out',
-      'Are you sure you want to sign out?',
+      isGuest
+        ? 'You are using a guest account. Everything you have done will be lost unless you create an account first.'
+        : 'Are you sure you want to sign out?',
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -65,54 +125,218 @@ const ProfileScreen = ({ navigation }) => {
    * Handle account actions
    */
   const handleChangePassword = () => {
+    navigation.navigate('ChangePassword');
+  };
+
+  /**
+   * Navigate to the change email screen
+   */
+  const handleChangeEmail = () => {
+    navigation.navigate('ChangeEmail');
+  };
+
+  /**
+   * Check whether the pending email change has been confirmed
+   */
+  const handleCheckEmailChange = async () => {
+    setIsCheckingEmailChange(true);
+    try {
+      const result = await reloadUser();
+
+      if (!result.success) {
+        Alert.alert('Error', result.error || 'Failed to check your email change.');
+      } else if (result.emailChanged) {
+        Alert.alert('Email Updated', `You now sign in with ${pendingEmail}.`);
+      } else {
+        Alert.alert(
+          'Not Confirmed Yet',
+          `Click the link we sent to ${pendingEmail}, then try again.`
+        );
+      }
+    } catch (error) {
+      console.error('Check email change error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsCheckingEmailChange(false);
+    }
+  };
+
+  /**
+   * Stop waiting for the pending email change
+   */
+  const handleCancelEmailChange = () => {
     Alert.alert(
-      'Change Password',
-      'This feature would typically navigate to a change password screen or send a password reset email.',
-      [{ text: 'OK' }]
+      'Cancel Email Change',
+      `Stop waiting for ${pendingEmail}? The link we sent will still work until it expires.`,
+      [
+        { text: 'Keep Waiting', style: 'cancel' },
+        { text: 'Stop Waiting', style: 'destructive', onPress: cancelEmailChange },
+      ]
     );
   };
 
+  /**
+   * Navigate to the edit profile screen
+   */
+  const handleUpdateProfile = () => {
+    navigation.navigate('EditProfile');
+  };
+
   const handleDeleteAccount = () => {
+    navigation.navigate('DeleteAccount');
+  };
+
+  /**
+   * Handle linking an OAuth provider
+   * @param {string} providerId - Firebase provider ID
+   */
+  const handleLinkProvider = async (providerId) => {
+    const provider = providers.find((entry) => entry.providerId === providerId);
+    if (!provider) {
+      return;
+    }
+
+    setLinkingProviderId(providerId);
+    try {
+      const result = await linkProvider(provider.id);
+      if (result.success) {
+        Alert.alert('Account Linked', `You can now sign in with ${provider.name}.`);
+      } else if (!result.cancelled) {
+        Alert.alert('Error', result.error || 'Failed to link account. Please try again.');
+      }
+    } catch (error) {
+      console.error('Link provider error:', error);
+      Alert.alert('Error', 'An unexpected error occurred while linking the account.');
+    } finally {
+      setLinkingProviderId(null);
+    }
+  };
+
+  /**
+   * Handle unlinking a sign-in method
+   * @param {string} providerId - Firebase provider ID
+   */
+  const handleUnlinkProvider = (providerId) => {
+    const methodName = getSignInMethodName(providerId);
+
     Alert.alert(
-      'Delete Account',
-      'This is a destructive action that would permanently delete your account. Are you sure?',
+      'Unlink Account',
+      `You will no longer be able to sign in with ${methodName}.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
-          text: 'Delete',
+          text: 'Unlink',
           style: 'destructive',
-          onPress: () => {
-            Alert.alert(
-              'Account Deletion',
-              'This feature would typically require additional verification and implement account deletion logic.',
-              [{ text: 'OK' }]
-            );
+          onPress: async () => {
+            setLinkingProviderId(providerId);
+            try {
+              const result = await unlinkProvider(providerId);
+              if (!result.success) {
+                Alert.alert('Error', result.error || 'Failed to unlink account. Please try again.');
+              }
+            } catch (error) {
+              console.error('Unlink provider error:', error);
+              Alert.alert('Error', 'An unexpected error occurred while unlinking the account.');
+            } finally {
+              setLinkingProviderId(null);
+            }
           },
         },
       ]
     );
   };
 
-  const handleVerifyEmail = () => {
+  /**
+   * Handle removing a second factor
+   * @param {Object} factor - Enrolled factor
+   */
+  const handleRemoveFactor = (factor) => {
     Alert.alert(
-      'Verify Email',
-      'A verification email will be sent to your email address.',
+      'Remove Verification Method',
+      multiFactors.length === 1
+        ? 'This turns off two-factor authentication. Only your password will be needed to sign in.'
+        : `You will no longer be able to use ${factor.displayName || 'this method'} to sign in.`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
-          text: 'Send',
-          onPress: () => {
-            // Implement email verification resend logic here
-            Alert.alert(
-              'Verification Email Sent',
-              'Please check your email and click the verification link.'
-            );
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            setRemovingFactorUid(factor.uid);
+            try {
+              const result = await unenrollMultiFactor(factor.uid);
+              if (result.requiresRecentLogin) {
+                Alert.alert(
+                  'Sign In Again',
+                  result.error,
+                  [
+                    { text: 'Cancel', style: 'cancel' },
+                    { text: 'Sign Out', style: 'destructive', onPress: logout },
+                  ]
+                );
+              } else if (!result.success) {
+                Alert.alert('Error', result.error || 'Failed to remove this verification method. Please try again.');
+              }
+            } catch (error) {
+              console.error('Remove factor error:', error);
+              Alert.alert('Error', 'An unexpected error occurred while removing the verification method.');
+            } finally {
+              setRemovingFactorUid(null);
+            }
           },
         },
       ]
     );
   };
 
+  /**
+   * Turn biometric unlock on or off
+   * @param {boolean} enabled - New value of the switch
+   */
+  const handleToggleBiometricUnlock = async (enabled) => {
+    setIsChangingBiometricUnlock(true);
+    try {
+      const result = await setBiometricUnlock(enabled);
+      if (!result.success && !result.cancelled) {
+        Alert.alert('Error', result.error || 'Failed to change biometric unlock. Please try again.');
+      }
+    } catch (error) {
+      console.error('Biometric unlock toggle error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsChangingBiometricUnlock(false);
+    }
+  };
+
+  const handleRemovePin = () => {
+    Alert.alert(
+      'Remove PIN',
+      isBiometricUnlockEnabled
+        ? `The app will only ask for ${biometrics.label} to unlock.`
+        : 'The app will no longer be locked.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          // The current PIN is needed to remove it
+          onPress: () => navigation.navigate('SetPin', { mode: 'remove' }),
+        },
+      ]
+    );
+  };
+
+  const handleVerifyEmail = () => {
+    Alert.alert(
+      'Verify Email',
+      `A verification email will be sent to ${userEmail}.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Send', onPress: sendVerificationEmail },
+      ]
+    );
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       <ScrollView
@@ -120,32 +344,51 @@ const ProfileScreen = ({ navigation }) => {
         contentContainerStyle={styles.scrollContent}
       >
         <View style={styles.header}>
-          <View style={styles.avatarContainer}>
-            <Text style={styles.avatarText}>
-              {userDisplayName ? userDisplayName.charAt(0).toUpperCase() : userEmail?.charAt(0).toUpperCase() || '?'}
-            </Text>
-          </View>
+          <Avatar
+            uri={userPhotoURL}
+            name={userDisplayName}
+            email={userEmail}
+            style={styles.avatar}
+          />
           <Text style={styles.displayName}>
-            {userDisplayName || 'No Name Set'}
+            {userDisplayName || (isGuest ? 'Guest' : 'No Name Set')}
           </Text>
           <Text style={styles.email}>{userEmail}</Text>
           <View style={styles.verificationBadge}>
-            <Text style={[
-              styles.verificationText,
-              isEmailVerified ? styles.verified : styles.unverified
-            ]}>
-              {isEmailVerified ? '✓ Verified' : '⚠ Unverified'}
-            </Text>
+            {isGuest ? (
+              <Text style={[styles.verificationText, styles.unverified]}>Guest</Text>
+            ) : (
+              <Text style={[
+                styles.verificationText,
+                isEmailVerified ? styles.verified : styles.unverified
+              ]}>
+                {isEmailVerified ? '✓ Verified' : '⚠ Unverified'}
+              </Text>
+            )}
           </View>
         </View>
 
         <View style={styles.content}>
+          {isGuest && (
+            <View style={styles.guestCard}>
+              <Text style={styles.guestTitle}>You are browsing as a guest</Text>
+              <Text style={styles.verificationMessage}>
+                Create an account to keep your data and sign in on other devices.
+              </Text>
+              <CustomButton
+                title="Create Account"
+                onPress={() => navigation.navigate('UpgradeAccount')}
+                style={styles.verificationButton}
+              />
+            </View>
+          )}
+
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>Account Information</Text>
             
             <View style={styles.infoCard}>
               <InfoRow label="User ID" value={userId} />
-              <InfoRow label="Email" value={userEmail} />
+              <InfoRow label="Email" value={userEmail || 'Not set'} />
               <InfoRow label="Display Name" value={userDisplayName || 'Not set'} />
               <InfoRow 
                 label="Email Verified" 
@@ -165,7 +408,190 @@ const ProfileScreen = ({ navigation }) => {
             </View>
           </View>
 
-          {!isEmailVerified && (
+          {signInMethods.length > 0 && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Linked Accounts</Text>
+
+              <View style={styles.infoCard}>
+                {signInMethods.map((providerId) => {
+                  const isLinked = linkedProviderIds.includes(providerId);
+                  const canLink = providers.some((provider) => provider.providerId === providerId);
+
+                  return (
+                    <View key={providerId} style={styles.infoRow}>
+                      <View style={styles.linkedAccountInfo}>
+                        <Text style={styles.infoLabel}>{getSignInMethodName(providerId)}</Text>
+                        <Text style={[styles.linkedStatus, isLinked && styles.verified]}>
+                          {isLinked ? 'Linked' : 'Not linked'}
+                        </Text>
+                      </View>
+                      {(isLinked || canLink) && (
+                        <CustomButton
+                          title={isLinked ? 'Unlink' : 'Link'}
+                          onPress={() => (isLinked ? handleUnlinkProvider(providerId) : handleLinkProvider(providerId))}
+                          variant={isLinked ? 'text' : 'outline'}
+                          size="small"
+                          loading={linkingProviderId === providerId}
+                          loadingText=""
+                          disabled={Boolean(linkingProviderId) || (isLinked && linkedProviderIds.length <= 1)}
+                        />
+                      )}
+                    </View>
+                  );
+                })}
+              </View>
+            </View>
+          )}
+
+          {!isGuest && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>App Lock</Text>
+
+              <View style={styles.infoCard}>
+                {biometrics.isAvailable && (
+                  <View style={[styles.switchRow, styles.appLockRow]}>
+                    <View style={styles.linkedAccountInfo}>
+                      <Text style={styles.infoLabel}>Unlock with {biometrics.label}</Text>
+                      <Text style={styles.linkedStatus}>
+                        Ask for {biometrics.label} to open the app
+                      </Text>
+                    </View>
+                    <Switch
+                      value={isBiometricUnlockEnabled}
+                      onValueChange={handleToggleBiometricUnlock}
+                      disabled={isChangingBiometricUnlock}
+                    />
+                  </View>
+                )}
+
+                <View style={styles.switchRow}>
+                  <View style={styles.linkedAccountInfo}>
+                    <Text style={styles.infoLabel}>App PIN</Text>
+                    <Text style={styles.linkedStatus}>
+                      {isAppPinSet ? `${appPinLength}-digit PIN is on` : 'Off'}
+                    </Text>
+                  </View>
+                  <CustomButton
+                    title={isAppPinSet ? 'Change' : 'Set PIN'}
+                    onPress={() => navigation.navigate('SetPin')}
+                    variant="text"
+                    size="small"
+                  />
+                  {isAppPinSet && (
+                    <CustomButton
+                      title="Remove"
+                      onPress={handleRemovePin}
+                      variant="text"
+                      size="small"
+                    />
+                  )}
+                </View>
+
+                {(isBiometricUnlockEnabled || isAppPinSet) && (
+                  <Text style={styles.appLockNote}>
+                    The app locks when it starts and {formatLockTimeout(AUTH_CONFIG.APP_LOCK_TIMEOUT_SECONDS)}.
+                  </Text>
+                )}
+              </View>
+            </View>
+          )}
+
+          {AUTH_CONFIG.MFA_ENABLED && !isGuest && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Two-Factor Authentication</Text>
+
+              <View style={styles.infoCard}>
+                {multiFactors.length === 0 && (
+                  <Text style={styles.verificationMessage}>
+                    Protect your account with a code from an authenticator app{AUTH_CONFIG.PHONE_AUTH_ENABLED ? ' or a text message' : ''} in addition to your password.
+                  </Text>
+                )}
+
+                {multiFactors.map((factor) => (
+                  <View key={factor.uid} style={styles.infoRow}>
+                    <View style={styles.linkedAccountInfo}>
+                      <Text style={styles.infoLabel}>
+                        {factor.displayName || (factor.factorId === 'phone' ? 'Phone' : 'Authenticator app')}
+                      </Text>
+                      <Text style={styles.linkedStatus}>
+                        {[
+                          factor.phoneNumber,
+                          factor.enrollmentTime && `Added ${new Date(factor.enrollmentTime).toLocaleDateString()}`,
+                        ].filter(Boolean).join(' · ')}
+                      </Text>
+                    </View>
+                    <CustomButton
+                      title="Remove"
+                      onPress={() => handleRemoveFactor(factor)}
+                      variant="text"
+                      size="small"
+                      loading={removingFactorUid === factor.uid}
+                      loadingText=""
+                      disabled={Boolean(removingFactorUid)}
+                    />
+                  </View>
+                ))}
+
+                <View style={styles.mfaActions}>
+                  {!hasTotpFactor && (
+                    <CustomButton
+                      title="Set Up Authenticator App"
+                      onPress={() => navigation.navigate('TotpEnrollment')}
+                      variant="outline"
+                      size="small"
+                    />
+                  )}
+                  {AUTH_CONFIG.PHONE_AUTH_ENABLED && (
+                    <CustomButton
+                      title="Add Phone Number"
+                      onPress={() => navigation.navigate('PhoneEnrollment')}
+                      variant="outline"
+                      size="small"
+                    />
+                  )}
+                  {multiFactors.length > 0 && (
+                    <CustomButton
+                      title="New Recovery Codes"
+                      onPress={() => navigation.navigate('RecoveryCodes')}
+                      variant="text"
+                      size="small"
+                    />
+                  )}
+                </View>
+              </View>
+            </View>
+          )}
+
+          {pendingEmail && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Email Change</Text>
+              <View style={styles.verificationCard}>
+                <Text style={styles.verificationMessage}>
+                  Waiting for you to confirm {pendingEmail}. Click the link we sent there to finish changing your email. You may need to sign in again afterwards.
+                </Text>
+                <View style={styles.pendingEmailActions}>
+                  <CustomButton
+                    title="Check Status"
+                    onPress={handleCheckEmailChange}
+                    loading={isCheckingEmailChange}
+                    loadingText="Checking..."
+                    disabled={isCheckingEmailChange}
+                    variant="outline"
+                    size="small"
+                  />
+                  <CustomButton
+                    title="Cancel"
+                    onPress={handleCancelEmailChange}
+                    disabled={isCheckingEmailChange}
+                    variant="text"
+                    size="small"
+                  />
+                </View>
+              </View>
+            </View>
+          )}
+
+          {!isEmailVerified && !isGuest && (
             <View style={styles.section}>
               <Text style={styles.sectionTitle}>Email Verification</Text>
               <View style={styles.verificationCard}>
@@ -173,8 +599,11 @@ const ProfileScreen = ({ navigation }) => {
                   Your email address is not verified. Please verify your email to access all features.
                 </Text>
                 <CustomButton
-                  title="Send Verification Email"
+                  title={secondsLeft > 0 ? `Resend in ${secondsLeft}s` : 'Send Verification Email'}
                   onPress={handleVerifyEmail}
+                  loading={isSending}
+                  loadingText="Sending..."
+                  disabled={!canResend}
                   variant="outline"
                   style={styles.verificationButton}
                 />
@@ -186,18 +615,27 @@ const ProfileScreen = ({ navigation }) => {
             <Text style={styles.sectionTitle}>Account Settings</Text>
             
             <View style={styles.actionsCard}>
-              <CustomButton
-                title="Change Password"
-                onPress={handleChangePassword}
-                variant="secondary"
-                style={styles.actionButton}
-              />
+              {linkedProviderIds.includes('password') && (
+                <CustomButton
+                  title="Change Password"
+                  onPress={handleChangePassword}
+                  variant="secondary"
+                  style={styles.actionButton}
+                />
+              )}
               
+              {userEmail && !isGuest && (
+                <CustomButton
+                  title="Change Email"
+                  onPress={handleChangeEmail}
+                  variant="secondary"
+                  style={styles.actionButton}
+                />
+              )}
+
               <CustomButton
                 title="Update Profile"
-                onPress={() => {
-                  Alert.alert('Update Profile', 'This would navigate to a profile editing screen.');
-                }}
+                onPress={handleUpdateProfile}
                 variant="secondary"
                 style={styles.actionButton}
               />
@@ -228,6 +666,16 @@ const ProfileScreen = ({ navigation }) => {
           </View>
 
           <View style={styles.logoutSection}>
+            {!isGuest && (
+              <CustomButton
+                title="Switch Account"
+                onPress={() => setIsAccountSwitcherVisible(true)}
+                disabled={isLoggingOut || isLoading}
+                variant="outline"
+                style={styles.switchAccountButton}
+              />
+            )}
+
             <CustomButton
               title="Sign Out"
               onPress={handleLogout}
@@ -239,6 +687,11 @@ const ProfileScreen = ({ navigation }) => {
           </View>
         </View>
       </ScrollView>
+
+      <AccountSwitcherSheet
+        visible={isAccountSwitcherVisible}
+        onClose={() => setIsAccountSwitcherVisible(false)}
+      />
     </SafeAreaView>
   );
 };
@@ -275,22 +728,10 @@ const styles = StyleSheet.create({
     marginBottom: 30,
   },
   
-  avatarContainer: {
-    width: 80,
-    height: 80,
-    borderRadius: 40,
-    backgroundColor: '#007AFF',
-    alignItems: 'center',
-    justifyContent: 'center',
+  avatar: {
     marginBottom: 16,
   },
   
-  avatarText: {
-    fontSize: 32,
-    fontWeight: 'bold',
-    color: '#FFFFFF',
-  },
-  
   displayName: {
     fontSize: 24,
     fontWeight: 'bold',
@@ -372,6 +813,31 @@ const styles = StyleSheet.create({
     textAlign: 'right',
   },
   
+  linkedAccountInfo: {
+    flex: 1,
+  },
+  
+  linkedStatus: {
+    fontSize: 14,
+    color: '#8E8E93',
+    marginTop: 2,
+  },
+  
+  guestCard: {
+    backgroundColor: '#E8F4FD',
+    borderColor: '#007AFF',
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 20,
+  },
+
+  guestTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#007AFF',
+    marginBottom: 8,
+  },
+
   verificationCard: {
     backgroundColor: '#FFF4E6',
     borderColor: '#FF9500',
@@ -390,6 +856,41 @@ const styles = StyleSheet.create({
   verificationButton: {
     alignSelf: 'flex-start',
   },
+
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 12,
+  },
+
+  appLockRow: {
+    paddingBottom: 12,
+    marginBottom: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F2F2F7',
+  },
+
+  appLockNote: {
+    fontSize: 13,
+    color: '#8E8E93',
+    lineHeight: 18,
+    marginTop: 12,
+  },
+
+  mfaActions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 12,
+  },
+
+  pendingEmailActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
   
   actionsCard: {
     backgroundColor: '#FFFFFF',
@@ -429,6 +930,10 @@ const styles = StyleSheet.create({
     borderTopColor: '#E5E5EA',
   },
   
+  switchAccountButton: {
+    marginBottom: 12,
+  },
+  
   logoutButton: {
     backgroundColor: '#FF3B30',
   },
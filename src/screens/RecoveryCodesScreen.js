@@ -0,0 +1,110 @@
+// Recovery Codes Screen
+import React, { useState } from 'react';
+import {
+    Alert,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Text,
+} from 'react-native';
+
+import { useAuth } from '../auth/useAuth';
+import CustomButton from '../components/CustomButton';
+import RecoveryCodeList from '../components/RecoveryCodeList';
+
+/**
+ * Recovery Codes Screen Component
+ * Replaces the two-factor recovery codes with a new set
+ */
+const RecoveryCodesScreen = ({ navigation }) => {
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+
+  const { regenerateRecoveryCodes } = useAuth();
+
+  /**
+   * Generate a new set of codes
+   */
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    try {
+      const result = await regenerateRecoveryCodes();
+
+      if (result.success) {
+        setRecoveryCodes(result.recoveryCodes);
+      } else {
+        Alert.alert('Error', result.error);
+      }
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+      >
+        {recoveryCodes ? (
+          <>
+            <RecoveryCodeList codes={recoveryCodes} style={styles.recoveryCodes} />
+
+            <CustomButton
+              title="I've Saved These Codes"
+              onPress={() => navigation.goBack()}
+            />
+          </>
+        ) : (
+          <>
+            <Text style={styles.description}>
+              Recovery codes let support restore access to your account if you lose your second factor. Generating new codes stops all of your previous codes from working.
+            </Text>
+
+            <CustomButton
+              title="Generate New Codes"
+              onPress={handleGenerate}
+              loading={isGenerating}
+              loadingText="Generating..."
+              disabled={isGenerating}
+            />
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: 24,
+    paddingTop: 24,
+    paddingBottom: 40,
+  },
+
+  description: {
+    fontSize: 14,
+    color: '#8E8E93',
+    lineHeight: 20,
+    marginBottom: 24,
+  },
+
+  recoveryCodes: {
+    marginBottom: 24,
+  },
+});
+
+export default RecoveryCodesScreen;
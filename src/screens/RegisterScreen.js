@@ -14,9 +14,17 @@ import {
 import { useAuth } from '../auth/useAuth';
 import CustomButton from '../components/CustomButton';
 import CustomInput from '../components/CustomInput';
+import SocialLoginButtons from '../components/SocialLoginButtons';
+import {
+    PASSWORD_REQUIREMENTS,
+    validateDisplayName,
+    validateNewPassword,
+    validatePasswordConfirmation,
+} from '../utils/validation';
 
 /**
  * Register Screen Component
+ * Also used from the app stack to upgrade a guest to a full account
  */
 const RegisterScreen = ({ navigation }) => {
   const [formData, setFormData] = useState({
@@ -30,7 +38,17 @@ const RegisterScreen = ({ navigation }) => {
   const emailRef = useRef(null);
   const passwordRef = useRef(null);
   const confirmPasswordRef = useRef(null);
-  const { register, isLoading, error, clearError } = useAuth();
+  const {
+    register,
+    signInWithProvider,
+    linkProvider,
+    providers,
+    isGuest,
+    isLoading,
+    error,
+    clearError,
+    isFirebaseConfigured,
+  } = useAuth();
 
   // Clear auth errors when component unmounts
   useEffect(() => {
@@ -54,10 +72,9 @@ const RegisterScreen = ({ navigation }) => {
     const newErrors = {};
 
     // Display name validation
-    if (!formData.displayName.trim()) {
-      newErrors.displayName = 'Display name is required';
-    } else if (formData.displayName.trim().length < 2) {
-      newErrors.displayName = 'Display name must be at least 2 characters';
+    const displayNameError = validateDisplayName(formData.displayName);
+    if (displayNameError) {
+      newErrors.displayName = displayNameError;
     }
 
     // Email validation
@@ -68,19 +85,18 @@ const RegisterScreen = ({ navigation }) => {
     }
 
     // Password validation
-    if (!formData.password) {
-      newErrors.password = 'Password is required';
-    } else if (formData.password.length < 6) {
-      newErrors.password = 'Password must be at least 6 characters';
-    } else if (!/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(formData.password)) {
-      newErrors.password = 'Password must contain at least one uppercase letter, one lowercase letter, and one number';
+    const passwordError = validateNewPassword(formData.password);
+    if (passwordError) {
+      newErrors.password = passwordError;
     }
 
     // Confirm password validation
-    if (!formData.confirmPassword) {
-      newErrors.confirmPassword = 'Please confirm your password';
-    } else if (formData.password !== formData.confirmPassword) {
-      newErrors.confirmPassword = 'Passwords do not match';
+    const confirmPasswordError = validatePasswordConfirmation(
+      formData.password,
+      formData.confirmPassword
+    );
+    if (confirmPasswordError) {
+      newErrors.confirmPassword = confirmPasswordError;
     }
 
     setErrors(newErrors);
@@ -105,6 +121,9 @@ const RegisterScreen = ({ navigation }) => {
       if (!result.success) {
         // Error is handled by the auth context and displayed via the error state
         console.log('Registration failed:', result.error);
+      } else if (isGuest) {
+        Alert.alert('Account Created', 'Your guest data has been saved to your new account.');
+        navigation.goBack();
       }
       // Success is handled automatically by auth state change
     } catch (error) {
@@ -113,6 +132,55 @@ const RegisterScreen = ({ navigation }) => {
     }
   };
 
+  /**
+   * Handle OAuth provider sign up
+   * Firebase creates the account on the first provider sign-in
+   * @param {string} providerId - Provider registry ID
+   */
+  const handleProviderSignUp = async (providerId) => {
+    // Guests link the provider so they keep their data
+    if (isGuest) {
+      await handleProviderUpgrade(providerId);
+      return;
+    }
+
+    try {
+      const result = await signInWithProvider(providerId);
+
+      if (result.linkRequired) {
+        // Linking is finished from the login screen with the existing method
+        navigation.navigate('Login');
+      } else if (!result.success && !result.cancelled) {
+        // Error is handled by the auth context and displayed via the error state
+        console.log('Provider sign up failed:', result.error);
+      }
+      // Success is handled automatically by auth state change
+    } catch (error) {
+      console.error('Provider sign up error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    }
+  };
+
+  /**
+   * Upgrade the current guest by linking an OAuth provider
+   * @param {string} providerId - Provider registry ID
+   */
+  const handleProviderUpgrade = async (providerId) => {
+    try {
+      const result = await linkProvider(providerId);
+
+      if (result.success) {
+        Alert.alert('Account Created', 'Your guest data has been saved to your new account.');
+        navigation.goBack();
+      } else if (!result.cancelled) {
+        Alert.alert('Error', result.error || 'Failed to create your account. Please try again.');
+      }
+    } catch (error) {
+      console.error('Provider upgrade error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    }
+  };
+
   /**
    * Navigate back to login screen
    */
@@ -149,8 +217,12 @@ const RegisterScreen = ({ navigation }) => {
           keyboardShouldPersistTaps="handled"
         >
           <View style={styles.header}>
-            <Text style={styles.title}>Create Account</Text>
-            <Text style={styles.subtitle}>Sign up to get started</Text>
+            <Text style={styles.title}>
+              {isGuest ? 'Save Your Progress' : 'Create Account'}
+            </Text>
+            <Text style={styles.subtitle}>
+              {isGuest ? 'Create an account to keep your guest data' : 'Sign up to get started'}
+            </Text>
           </View>
 
           <View style={styles.form}>
@@ -191,7 +263,7 @@ const RegisterScreen = ({ navigation }) => {
               secureTextEntry={true}
               error={errors.password}
               required
-              helperText="Must contain uppercase, lowercase, and number"
+              helperText={PASSWORD_REQUIREMENTS}
               onSubmitEditing={() => confirmPasswordRef.current?.focus()}
               returnKeyType="next"
             />
@@ -223,6 +295,12 @@ const RegisterScreen = ({ navigation }) => {
               style={styles.registerButton}
             />
 
+            <SocialLoginButtons
+              providers={providers}
+              onProviderPress={handleProviderSignUp}
+              disabled={isLoading || !isFirebaseConfigured}
+            />
+
             <View style={styles.termsContainer}>
               <Text style={styles.termsText}>
                 By creating an account, you agree to our{' '}
@@ -232,16 +310,19 @@ const RegisterScreen = ({ navigation }) => {
             </View>
           </View>
 
-          <View style={styles.footer}>
-            <Text style={styles.footerText}>Already have an account? </Text>
-            <CustomButton
-              title="Sign In"
-              onPress={navigateToLogin}
-              variant="text"
-              size="small"
-              style={styles.signInButton}
-            />
-          </View>
+          {/* Signing in to another account would leave the guest data behind */}
+          {!isGuest && (
+            <View style={styles.footer}>
+              <Text style={styles.footerText}>Already have an account? </Text>
+              <CustomButton
+                title="Sign In"
+                onPress={navigateToLogin}
+                variant="text"
+                size="small"
+                style={styles.signInButton}
+              />
+            </View>
+          )}
         </ScrollView>
       </KeyboardAvoidingView>
     </SafeAreaView>
@@ -0,0 +1,309 @@
+// Reset Password Screen
+import React, { useEffect, useRef, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    KeyboardAvoidingView,
+    Platform,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Text,
+    View,
+} from 'react-native';
+
+import { useAuth } from '../auth/useAuth';
+import CustomButton from '../components/CustomButton';
+import CustomInput from '../components/CustomInput';
+import {
+    PASSWORD_REQUIREMENTS,
+    validateNewPassword,
+    validatePasswordConfirmation,
+} from '../utils/validation';
+
+/**
+ * Reset Password Screen Component
+ * Opened from the password reset email, lets the user choose a new password
+ */
+const ResetPasswordScreen = ({ navigation, route }) => {
+  const oobCode = route.params?.oobCode;
+
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [email, setEmail] = useState(null);
+  const [linkError, setLinkError] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const confirmPasswordRef = useRef(null);
+  const { verifyPasswordResetLink, confirmPasswordReset } = useAuth();
+
+  // Check the link before showing the form
+  useEffect(() => {
+    let isActive = true;
+
+    const verifyLink = async () => {
+      if (!oobCode) {
+        setLinkError('This reset link is invalid. Please request a new one.');
+        setIsVerifying(false);
+        return;
+      }
+
+      const result = await verifyPasswordResetLink(oobCode);
+      if (!isActive) {
+        return;
+      }
+
+      if (result.success) {
+        setEmail(result.email);
+      } else {
+        setLinkError(result.error);
+      }
+      setIsVerifying(false);
+    };
+
+    verifyLink();
+
+    return () => {
+      isActive = false;
+    };
+  }, [oobCode, verifyPasswordResetLink]);
+
+  /**
+   * Validate form inputs
+   * @returns {boolean} - Whether form is valid
+   */
+  const validateForm = () => {
+    const newErrors = {};
+
+    const passwordError = validateNewPassword(formData.password);
+    if (passwordError) {
+      newErrors.password = passwordError;
+    }
+
+    const confirmPasswordError = validatePasswordConfirmation(
+      formData.password,
+      formData.confirmPassword
+    );
+    if (confirmPasswordError) {
+      newErrors.confirmPassword = confirmPasswordError;
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  /**
+   * Handle form submission
+   */
+  const handleResetPassword = async () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const result = await confirmPasswordReset(oobCode, formData.password);
+
+      if (result.success) {
+        Alert.alert(
+          'Password Updated',
+          'You can now sign in with your new password.',
+          [{ text: 'OK', onPress: () => navigation.navigate('Login', { email }) }]
+        );
+      } else {
+        Alert.alert('Error', result.error);
+      }
+    } catch (error) {
+      console.error('Confirm password reset error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Update form field
+   */
+  const updateField = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+
+    // Clear field error when user starts typing
+    if (errors[field]) {
+      setErrors(prev => ({ ...prev, [field]: null }));
+    }
+  };
+
+  if (isVerifying) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View style={styles.header}>
+            <Text style={styles.title}>New Password</Text>
+            <Text style={styles.subtitle}>
+              {email ? `Choose a new password for ${email}` : 'Reset link problem'}
+            </Text>
+          </View>
+
+          <View style={styles.form}>
+            {linkError ? (
+              <>
+                <View style={styles.errorContainer}>
+                  <Text style={styles.errorText}>{linkError}</Text>
+                </View>
+
+                <CustomButton
+                  title="Request a New Link"
+                  onPress={() => navigation.navigate('ForgotPassword')}
+                  style={styles.primaryButton}
+                />
+              </>
+            ) : (
+              <>
+                <CustomInput
+                  label="New Password"
+                  placeholder="Create a password"
+                  value={formData.password}
+                  onChangeText={(value) => updateField('password', value)}
+                  secureTextEntry={true}
+                  error={errors.password}
+                  required
+                  helperText={PASSWORD_REQUIREMENTS}
+                  onSubmitEditing={() => confirmPasswordRef.current?.focus()}
+                  returnKeyType="next"
+                />
+
+                <CustomInput
+                  ref={confirmPasswordRef}
+                  label="Confirm Password"
+                  placeholder="Confirm your password"
+                  value={formData.confirmPassword}
+                  onChangeText={(value) => updateField('confirmPassword', value)}
+                  secureTextEntry={true}
+                  error={errors.confirmPassword}
+                  required
+                  onSubmitEditing={handleResetPassword}
+                  returnKeyType="go"
+                />
+
+                <CustomButton
+                  title="Update Password"
+                  onPress={handleResetPassword}
+                  loading={isSubmitting}
+                  loadingText="Updating..."
+                  disabled={isSubmitting}
+                  style={styles.primaryButton}
+                />
+              </>
+            )}
+          </View>
+
+          <View style={styles.footer}>
+            <CustomButton
+              title="Back to Sign In"
+              onPress={() => navigation.navigate('Login')}
+              variant="text"
+              size="small"
+            />
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: 24,
+    paddingTop: 60,
+    paddingBottom: 40,
+  },
+
+  header: {
+    marginBottom: 40,
+    alignItems: 'center',
+  },
+
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#1D1D1F',
+    marginBottom: 8,
+  },
+
+  subtitle: {
+    fontSize: 16,
+    color: '#8E8E93',
+    textAlign: 'center',
+  },
+
+  form: {
+    flex: 1,
+    marginBottom: 40,
+  },
+
+  errorContainer: {
+    backgroundColor: '#FFF2F2',
+    borderColor: '#FF3B30',
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+
+  errorText: {
+    color: '#FF3B30',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+
+  primaryButton: {
+    marginBottom: 16,
+  },
+
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingTop: 20,
+    borderTopWidth: 1,
+    borderTopColor: '#E5E5EA',
+  },
+});
+
+export default ResetPasswordScreen;
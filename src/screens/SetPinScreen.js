@@ -0,0 +1,344 @@
+// Set PIN Screen
+import React, { useRef, useState } from 'react';
+import {
+    Alert,
+    KeyboardAvoidingView,
+    Platform,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Text,
+} from 'react-native';
+
+import { useAuth } from '../auth/useAuth';
+import CodeInput from '../components/CodeInput';
+import CustomButton from '../components/CustomButton';
+import { MAX_PIN_LENGTH, MIN_PIN_LENGTH, validatePin } from '../utils/validation';
+
+/**
+ * Set PIN Screen Component
+ * Sets or changes the app PIN: enter it, then enter it again to confirm
+ * Changing or removing (route param mode: 'remove') an existing PIN asks for the current PIN first
+ */
+const SetPinScreen = ({ navigation, route }) => {
+  const { isAppPinSet, appPinLength, setAppPin, removeAppPin, logout } = useAuth();
+
+  const isRemoving = route.params?.mode === 'remove';
+  const [step, setStep] = useState(isAppPinSet ? 'current' : 'enter');
+  const [currentPin, setCurrentPin] = useState('');
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  const currentPinRef = useRef(null);
+  const confirmPinRef = useRef(null);
+
+  /**
+   * Handle a failed save or removal
+   * Wrong current PINs go back to the first step, too many of them sign the user out
+   * @param {Object} result - Failure result
+   * @param {string} fallbackMessage - Message for failures without one
+   */
+  const handleFailure = (result, fallbackMessage) => {
+    if (result.signedOut) {
+      Alert.alert('Signed Out', result.error);
+      // Navigation switches to the auth screens automatically
+      return;
+    }
+
+    if (result.attemptsLeft !== undefined) {
+      setStep('current');
+      setCurrentPin('');
+      setPin('');
+      setConfirmPin('');
+      setErrors({ currentPin: result.error });
+      currentPinRef.current?.focus();
+      return;
+    }
+
+    Alert.alert('Error', result.error || fallbackMessage);
+  };
+
+  /**
+   * Check the current PIN was entered, then remove the PIN or move on to choosing a new one
+   * @param {string} pinToCheck - Current PIN (defaults to the current input)
+   */
+  const handleCurrentPin = async (pinToCheck = currentPin) => {
+    if (pinToCheck.length !== appPinLength) {
+      setErrors({ currentPin: `Enter your ${appPinLength}-digit PIN` });
+      return;
+    }
+
+    if (!isRemoving) {
+      setStep('enter');
+      setPin('');
+      setErrors({});
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const result = await removeAppPin(pinToCheck);
+
+      if (result.success) {
+        Alert.alert(
+          'PIN Removed',
+          'The app no longer asks for a PIN.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else {
+        handleFailure(result, 'Failed to remove your PIN. Please try again.');
+      }
+    } catch (error) {
+      console.error('Remove PIN error:', error);
+      Alert.alert('Error', 'An unexpected error occurred while removing your PIN.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Offer to sign out, which removes the PIN from this device
+   */
+  const handleForgotPin = () => {
+    Alert.alert(
+      'Forgot Your PIN?',
+      'Sign out to remove the PIN from this device. After signing in again you can set a new one.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Sign Out', style: 'destructive', onPress: logout },
+      ]
+    );
+  };
+
+  /**
+   * Check the new PIN and move on to confirming it
+   * @param {string} pinToCheck - PIN to check (defaults to the current input)
+   */
+  const handleContinue = (pinToCheck = pin) => {
+    const pinError = validatePin(pinToCheck);
+    if (pinError) {
+      setErrors({ pin: pinError });
+      return;
+    }
+
+    setStep('confirm');
+    setConfirmPin('');
+    setErrors({});
+  };
+
+  /**
+   * Save the PIN once both entries match
+   * @param {string} pinToConfirm - Confirmation to check (defaults to the current input)
+   */
+  const handleSave = async (pinToConfirm = confirmPin) => {
+    if (pinToConfirm !== pin) {
+      setConfirmPin('');
+      setErrors({ confirmPin: 'PINs do not match' });
+      confirmPinRef.current?.focus();
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const result = await setAppPin(pin, currentPin);
+
+      if (result.success) {
+        Alert.alert(
+          isAppPinSet ? 'PIN Changed' : 'PIN Set',
+          'Use your PIN to unlock the app.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else {
+        handleFailure(result, 'Failed to save your PIN. Please try again.');
+      }
+    } catch (error) {
+      console.error('Set PIN error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Go back to choosing a PIN
+   */
+  const handleStartOver = () => {
+    setStep('enter');
+    setPin('');
+    setConfirmPin('');
+    setErrors({});
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <Text style={styles.description}>
+            {step === 'current' && (isRemoving
+              ? 'Enter your current PIN to remove it.'
+              : 'Enter your current PIN to change it.')}
+            {step === 'enter' && `Choose a ${MIN_PIN_LENGTH} to ${MAX_PIN_LENGTH} digit PIN to unlock the app.`}
+            {step === 'confirm' && 'Enter the same PIN again to confirm it.'}
+          </Text>
+
+          {step === 'current' && (
+            <>
+              <CodeInput
+                ref={currentPinRef}
+                label="Current PIN"
+                value={currentPin}
+                onChangeText={(value) => {
+                  setCurrentPin(value);
+                  if (errors.currentPin) {
+                    setErrors(prev => ({ ...prev, currentPin: null }));
+                  }
+                }}
+                length={appPinLength}
+                error={errors.currentPin}
+                secureTextEntry={true}
+                textContentType="none"
+                autoComplete="off"
+                autoFocus
+                disabled={isSaving}
+                onComplete={handleCurrentPin}
+              />
+
+              <CustomButton
+                title={isRemoving ? 'Remove PIN' : 'Continue'}
+                onPress={() => handleCurrentPin()}
+                loading={isSaving}
+                loadingText="Removing..."
+                disabled={isSaving}
+                style={styles.primaryButton}
+              />
+
+              <CustomButton
+                title="Forgot PIN?"
+                onPress={handleForgotPin}
+                variant="text"
+                size="small"
+                disabled={isSaving}
+                style={styles.secondaryButton}
+              />
+            </>
+          )}
+
+          {step === 'enter' && (
+            <>
+              <CodeInput
+                label="New PIN"
+                placeholder={`${MIN_PIN_LENGTH}-${MAX_PIN_LENGTH} digits`}
+                value={pin}
+                onChangeText={(value) => {
+                  setPin(value);
+                  if (errors.pin) {
+                    setErrors(prev => ({ ...prev, pin: null }));
+                  }
+                }}
+                length={MAX_PIN_LENGTH}
+                error={errors.pin}
+                secureTextEntry={true}
+                textContentType="none"
+                autoComplete="off"
+                autoFocus
+                onComplete={handleContinue}
+              />
+
+              <CustomButton
+                title="Continue"
+                onPress={() => handleContinue()}
+                style={styles.primaryButton}
+              />
+            </>
+          )}
+
+          {step === 'confirm' && (
+            <>
+              <CodeInput
+                ref={confirmPinRef}
+                label="Confirm PIN"
+                value={confirmPin}
+                onChangeText={(value) => {
+                  setConfirmPin(value);
+                  if (errors.confirmPin) {
+                    setErrors(prev => ({ ...prev, confirmPin: null }));
+                  }
+                }}
+                length={pin.length}
+                error={errors.confirmPin}
+                secureTextEntry={true}
+                textContentType="none"
+                autoComplete="off"
+                autoFocus
+                disabled={isSaving}
+                onComplete={handleSave}
+              />
+
+              <CustomButton
+                title={isAppPinSet ? 'Change PIN' : 'Set PIN'}
+                onPress={() => handleSave()}
+                loading={isSaving}
+                loadingText="Saving..."
+                disabled={isSaving}
+                style={styles.primaryButton}
+              />
+
+              <CustomButton
+                title="Start Over"
+                onPress={handleStartOver}
+                variant="text"
+                size="small"
+                disabled={isSaving}
+                style={styles.secondaryButton}
+              />
+            </>
+          )}
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: 24,
+    paddingTop: 24,
+    paddingBottom: 40,
+  },
+
+  description: {
+    fontSize: 14,
+    color: '#8E8E93',
+    lineHeight: 20,
+    marginBottom: 24,
+  },
+
+  primaryButton: {
+    marginBottom: 16,
+  },
+
+  secondaryButton: {
+    alignSelf: 'center',
+  },
+});
+
+export default SetPinScreen;
@@ -0,0 +1,298 @@
+// TOTP Enrollment Screen
+import React, { useEffect, useRef, useState } from 'react';
+import {
+    ActivityIndicator,
+    Alert,
+    KeyboardAvoidingView,
+    Linking,
+    Platform,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Text,
+    View,
+} from 'react-native';
+
+import { useAuth } from '../auth/useAuth';
+import CodeInput from '../components/CodeInput';
+import CustomButton from '../components/CustomButton';
+import RecoveryCodeList from '../components/RecoveryCodeList';
+
+const CODE_LENGTH = 6;
+
+/**
+ * TOTP Enrollment Screen Component
+ * Adds an authenticator app as a second factor, then shows the recovery codes
+ */
+const TotpEnrollmentScreen = ({ navigation }) => {
+  const [secret, setSecret] = useState(null);
+  const [code, setCode] = useState('');
+  const [codeError, setCodeError] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const codeRef = useRef(null);
+  const { startTotpEnrollment, completeTotpEnrollment, cancelTotpEnrollment, logout } = useAuth();
+
+  // Generate the secret when the screen opens, and drop it if setup is abandoned
+  useEffect(() => {
+    let isActive = true;
+
+    const start = async () => {
+      const result = await startTotpEnrollment();
+
+      if (!isActive) {
+        return;
+      }
+
+      if (result.success) {
+        setSecret({ secretKey: result.secretKey, uri: result.uri });
+      } else if (result.requiresRecentLogin) {
+        Alert.alert(
+          'Sign In Again',
+          result.error,
+          [
+            { text: 'Cancel', style: 'cancel', onPress: () => navigation.goBack() },
+            { text: 'Sign Out', style: 'destructive', onPress: logout },
+          ]
+        );
+      } else {
+        Alert.alert('Error', result.error, [{ text: 'OK', onPress: () => navigation.goBack() }]);
+      }
+    };
+
+    start();
+
+    return () => {
+      isActive = false;
+      cancelTotpEnrollment();
+    };
+  }, [startTotpEnrollment, cancelTotpEnrollment, logout, navigation]);
+
+  /**
+   * Add the secret to an authenticator app installed on this device
+   */
+  const handleOpenAuthenticator = async () => {
+    try {
+      await Linking.openURL(secret.uri);
+    } catch (error) {
+      Alert.alert(
+        'No Authenticator App',
+        'Install an authenticator app, or enter the setup key in one manually.'
+      );
+    }
+  };
+
+  /**
+   * Verify the first code from the authenticator app
+   * @param {string} codeToVerify - Code to verify (defaults to the current input)
+   */
+  const handleVerify = async (codeToVerify = code) => {
+    if (codeToVerify.length !== CODE_LENGTH) {
+      setCodeError(`Enter the ${CODE_LENGTH}-digit code`);
+      return;
+    }
+
+    setIsVerifying(true);
+    try {
+      const result = await completeTotpEnrollment(codeToVerify);
+
+      if (result.success && result.recoveryCodes) {
+        setRecoveryCodes(result.recoveryCodes);
+      } else if (result.success) {
+        Alert.alert(
+          'Authenticator App Added',
+          result.recoveryCodesFailed
+            ? 'We could not create recovery codes. You can try again from your profile.'
+            : 'You can now use your authenticator app to sign in.',
+          [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
+      } else if (result.requiresRecentLogin) {
+        Alert.alert(
+          'Sign In Again',
+          result.error,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Sign Out', style: 'destructive', onPress: logout },
+          ]
+        );
+      } else {
+        setCode('');
+        setCodeError(result.error);
+        codeRef.current?.focus();
+      }
+    } catch (error) {
+      console.error('TOTP enrollment error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  /**
+   * Update code and clear errors
+   */
+  const updateCode = (value) => {
+    setCode(value);
+    if (codeError) {
+      setCodeError(null);
+    }
+  };
+
+  if (recoveryCodes) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+        >
+          <Text style={styles.title}>Two-Factor Authentication On</Text>
+          <Text style={styles.description}>
+            From now on you will be asked for a code from your authenticator app when you sign in.
+          </Text>
+
+          <RecoveryCodeList codes={recoveryCodes} style={styles.recoveryCodes} />
+
+          <CustomButton
+            title="I've Saved These Codes"
+            onPress={() => navigation.goBack()}
+          />
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+
+  if (!secret) {
+    return (
+      <SafeAreaView style={[styles.container, styles.centered]}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          keyboardShouldPersistTaps="handled"
+        >
+          <Text style={styles.stepTitle}>1. Add this account to your authenticator app</Text>
+          <Text style={styles.description}>
+            Open it directly, or enter the setup key in any authenticator app (Google Authenticator, 1Password, Authy...).
+          </Text>
+
+          <CustomButton
+            title="Open in Authenticator App"
+            onPress={handleOpenAuthenticator}
+            variant="outline"
+            style={styles.openButton}
+          />
+
+          <View style={styles.secretCard}>
+            <Text style={styles.secretLabel}>Setup key</Text>
+            <Text style={styles.secretKey} selectable>
+              {secret.secretKey}
+            </Text>
+          </View>
+
+          <Text style={styles.stepTitle}>2. Enter the code it shows</Text>
+
+          <CodeInput
+            ref={codeRef}
+            value={code}
+            onChangeText={updateCode}
+            length={CODE_LENGTH}
+            error={codeError}
+            onComplete={handleVerify}
+          />
+
+          <CustomButton
+            title="Turn On Two-Factor Authentication"
+            onPress={() => handleVerify()}
+            loading={isVerifying}
+            loadingText="Verifying..."
+            disabled={isVerifying}
+          />
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+
+  centered: {
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: 24,
+    paddingTop: 24,
+    paddingBottom: 40,
+  },
+
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1D1D1F',
+    marginBottom: 8,
+  },
+
+  stepTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1D1D1F',
+    marginBottom: 8,
+  },
+
+  description: {
+    fontSize: 14,
+    color: '#8E8E93',
+    lineHeight: 20,
+    marginBottom: 16,
+  },
+
+  openButton: {
+    marginBottom: 16,
+  },
+
+  secretCard: {
+    backgroundColor: '#F2F2F7',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 32,
+  },
+
+  secretLabel: {
+    fontSize: 14,
+    color: '#8E8E93',
+    marginBottom: 4,
+  },
+
+  secretKey: {
+    fontSize: 16,
+    fontFamily: Platform.select({ ios: 'Menlo', default: 'monospace' }),
+    color: '#1D1D1F',
+  },
+
+  recoveryCodes: {
+    marginBottom: 24,
+  },
+});
+
+export default TotpEnrollmentScreen;
@@ -0,0 +1,208 @@
+// Verify Email Screen
+import React, { useState } from 'react';
+import {
+    Alert,
+    SafeAreaView,
+    ScrollView,
+    StyleSheet,
+    Text,
+    View,
+} from 'react-native';
+
+import { useAuth } from '../auth/useAuth';
+import CustomButton from '../components/CustomButton';
+import { useVerificationEmail } from '../hooks/useVerificationEmail';
+
+/**
+ * Verify Email Screen Component
+ * Shown instead of the app while email verification is required and pending
+ */
+const VerifyEmailScreen = ({ navigation }) => {
+  const [isChecking, setIsChecking] = useState(false);
+  const [isLoggingOut, setIsLoggingOut] = useState(false);
+
+  const { userEmail, reloadUser, logout } = useAuth();
+  const { sendVerificationEmail, isSending, secondsLeft, canResend } = useVerificationEmail();
+
+  /**
+   * Check whether the email has been verified
+   * Once it has, RootNavigator switches to the app automatically
+   */
+  const handleCheckVerification = async () => {
+    setIsChecking(true);
+    try {
+      const result = await reloadUser();
+
+      if (!result.success) {
+        Alert.alert('Error', result.error || 'Failed to check verification status.');
+      } else if (!result.emailVerified) {
+        Alert.alert(
+          'Not Verified Yet',
+          'We could not confirm your email yet. Click the link in the email we sent you, then try again.'
+        );
+      }
+    } catch (error) {
+      console.error('Check verification error:', error);
+      Alert.alert('Error', 'An unexpected error occurred. Please try again.');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  /**
+   * Handle user logout
+   */
+  const handleLogout = async () => {
+    setIsLoggingOut(true);
+    try {
+      const result = await logout();
+      if (!result.success) {
+        Alert.alert('Error', result.error || 'Failed to sign out. Please try again.');
+      }
+      // Success is handled automatically by auth state change
+    } catch (error) {
+      console.error('Logout error:', error);
+      Alert.alert('Error', 'An unexpected error occurred while signing out.');
+    } finally {
+      setIsLoggingOut(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+      >
+        <View style={styles.header}>
+          <Text style={styles.icon}>📧</Text>
+          <Text style={styles.title}>Verify Your Email</Text>
+          <Text style={styles.subtitle}>
+            We sent a verification link to{'\n'}
+            <Text style={styles.email}>{userEmail}</Text>
+          </Text>
+          <Text style={styles.hint}>
+            Click the link in the email to finish setting up your account. This screen updates automatically once you do.
+          </Text>
+        </View>
+
+        <View style={styles.actions}>
+          <CustomButton
+            title="I've Verified My Email"
+            onPress={handleCheckVerification}
+            loading={isChecking}
+            loadingText="Checking..."
+            disabled={isChecking}
+            style={styles.actionButton}
+          />
+
+          <CustomButton
+            title={secondsLeft > 0 ? `Resend in ${secondsLeft}s` : 'Resend Verification Email'}
+            onPress={sendVerificationEmail}
+            loading={isSending}
+            loadingText="Sending..."
+            disabled={!canResend}
+            variant="outline"
+            style={styles.actionButton}
+          />
+        </View>
+
+        <View style={styles.footer}>
+          <CustomButton
+            title="Sign Out"
+            onPress={handleLogout}
+            loading={isLoggingOut}
+            disabled={isLoggingOut}
+            variant="text"
+            size="small"
+          />
+          <CustomButton
+            title="Delete Account"
+            onPress={() => navigation.navigate('DeleteAccount')}
+            variant="text"
+            size="small"
+            textStyle={styles.deleteText}
+          />
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#FFFFFF',
+  },
+
+  scrollView: {
+    flex: 1,
+  },
+
+  scrollContent: {
+    flexGrow: 1,
+    paddingHorizontal: 24,
+    paddingTop: 80,
+    paddingBottom: 40,
+  },
+
+  header: {
+    marginBottom: 40,
+    alignItems: 'center',
+  },
+
+  icon: {
+    fontSize: 48,
+    marginBottom: 16,
+  },
+
+  title: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#1D1D1F',
+    marginBottom: 8,
+  },
+
+  subtitle: {
+    fontSize: 16,
+    color: '#8E8E93',
+    textAlign: 'center',
+    lineHeight: 22,
+    marginBottom: 16,
+  },
+
+  email: {
+    color: '#1D1D1F',
+    fontWeight: '600',
+  },
+
+  hint: {
+    fontSize: 14,
+    color: '#8E8E93',
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+
+  actions: {
+    flex: 1,
+  },
+
+  actionButton: {
+    marginBottom: 16,
+  },
+
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    alignItems: 'center',
+    paddingTop: 20,
+    borderTopWidth: 1,
+    borderTopColor: '#E5E5EA',
+  },
+
+  deleteText: {
+    color: '#FF3B30',
+  },
+});
+
+export default VerifyEmailScreen;
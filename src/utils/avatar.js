@@ -0,0 +1,80 @@
+// Avatar image picking and client-side processing
+import { ImageManipulator, SaveFormat } from 'expo-image-manipulator';
+import * as ImagePicker from 'expo-image-picker';
+
+// Avatar processing configuration
+const AVATAR_CONFIG = {
+  SIZE: 512, // Width in pixels after resizing
+  COMPRESSION: 0.7, // JPEG quality (0 - 1)
+};
+
+/**
+ * Let the user pick a photo from the library or take one with the camera
+ * @param {'library'|'camera'} source - Where to get the photo from
+ * @returns {Promise<{success: boolean, uri?: string, cancelled?: boolean, error?: string}>}
+ */
+export const pickAvatarImage = async (source = 'library') => {
+  try {
+    const permission = source === 'camera'
+      ? await ImagePicker.requestCameraPermissionsAsync()
+      : await ImagePicker.requestMediaLibraryPermissionsAsync();
+
+    if (!permission.granted) {
+      return {
+        success: false,
+        error: source === 'camera'
+          ? 'Camera access is needed to take a profile photo. You can allow it in Settings.'
+          : 'Photo library access is needed to choose a profile photo. You can allow it in Settings.',
+      };
+    }
+
+    const options = {
+      mediaTypes: ['images'],
+      allowsEditing: true,
+      aspect: [1, 1],
+      quality: 1,
+    };
+
+    const result = source === 'camera'
+      ? await ImagePicker.launchCameraAsync(options)
+      : await ImagePicker.launchImageLibraryAsync(options);
+
+    if (result.canceled || !result.assets?.length) {
+      return {
+        success: false,
+        cancelled: true,
+      };
+    }
+
+    return {
+      success: true,
+      uri: result.assets[0].uri,
+    };
+  } catch (error) {
+    console.error('Error picking avatar image:', error);
+    return {
+      success: false,
+      error: 'Could not open the photo picker. Please try again.',
+    };
+  }
+};
+
+/**
+ * Resize and compress an image so it is small enough to upload as an avatar
+ * @param {string} uri - Local image URI
+ * @returns {Promise<string>} URI of the processed JPEG
+ */
+export const processAvatarImage = async (uri) => {
+  const context = ImageManipulator.manipulate(uri);
+  context.resize({ width: AVATAR_CONFIG.SIZE });
+
+  const image = await context.renderAsync();
+  const result = await image.saveAsync({
+    compress: AVATAR_CONFIG.COMPRESSION,
+    format: SaveFormat.JPEG,
+  });
+
+  return result.uri;
+};
+
+export { AVATAR_CONFIG };
@@ -7,6 +7,10 @@ const RATE_LIMIT_KEYS = {
   LAST_LOGIN_ATTEMPT: 'rate_limit_last_login_attempt',
   REGISTER_ATTEMPTS: 'rate_limit_register_attempts',
   LAST_REGISTER_ATTEMPT: 'rate_limit_last_register_attempt',
+  PHONE_CODE_REQUESTS: 'rate_limit_phone_code_requests',
+  PASSWORD_RESET_REQUESTS: 'rate_limit_password_reset_requests',
+  VERIFICATION_EMAIL_REQUESTS: 'rate_limit_verification_email_requests',
+  PIN_ATTEMPTS: 'rate_limit_pin_attempts',
 };
 
 // Rate limiting configuration
@@ -15,6 +19,16 @@ const RATE_LIMIT_CONFIG = {
   MAX_REGISTER_ATTEMPTS: 3,
   LOGIN_COOLDOWN_MINUTES: 15,
   REGISTER_COOLDOWN_MINUTES: 5,
+  MAX_PHONE_CODE_REQUESTS: 5,
+  PHONE_COOLDOWN_MINUTES: 15,
+  PHONE_RESEND_INTERVAL_SECONDS: 60, // Minimum wait before resending an SMS code
+  MAX_PASSWORD_RESET_REQUESTS: 3,
+  PASSWORD_RESET_COOLDOWN_MINUTES: 15,
+  PASSWORD_RESET_RESEND_INTERVAL_SECONDS: 60, // Minimum wait before resending a reset email
+  MAX_VERIFICATION_EMAILS: 5,
+  VERIFICATION_COOLDOWN_MINUTES: 60,
+  VERIFICATION_RESEND_INTERVAL_SECONDS: 60, // Minimum wait before resending a verification email
+  MAX_PIN_ATTEMPTS: 5, // Wrong PINs before the user is signed out
   BASE_DELAY_MS: 1000, // Base delay between attempts
   MAX_DELAY_MS: 10000, // Maximum delay
 };
@@ -81,42 +95,18 @@ const storeAttemptData = async (key, count, lastAttempt) => {
 };
 
 /**
- * Check if user is rate limited for login
- * @returns {Promise<{isLimited: boolean, waitTime: number, message: string}>}
- */
-export const checkLoginRateLimit = async () => {
-  const { count, lastAttempt } = await getAttemptData(RATE_LIMIT_KEYS.LOGIN_ATTEMPTS);
-  
-  if (count >= RATE_LIMIT_CONFIG.MAX_LOGIN_ATTEMPTS && lastAttempt) {
-    const cooldownEndTime = new Date(lastAttempt.getTime() + (RATE_LIMIT_CONFIG.LOGIN_COOLDOWN_MINUTES * 60 * 1000));
-    const now = new Date();
-    
-    if (now < cooldownEndTime) {
-      const waitTime = Math.ceil((cooldownEndTime - now) / 1000 / 60); // minutes
-      return {
-        isLimited: true,
-        waitTime,
-        message: `Too many login attempts. Please wait ${waitTime} minutes before trying again.`,
-      };
-    } else {
-      // Reset attempts after cooldown period
-      await AsyncStorage.removeItem(RATE_LIMIT_KEYS.LOGIN_ATTEMPTS);
-      return { isLimited: false, waitTime: 0, message: '' };
-    }
-  }
-  
-  return { isLimited: false, waitTime: 0, message: '' };
-};
-
-/**
- * Check if user is rate limited for registration
+ * Check if an operation is rate limited
+ * @param {string} key - Storage key for attempts
+ * @param {number} maxAttempts - Attempts allowed before the cooldown starts
+ * @param {number} cooldownMinutes - Cooldown length in minutes
+ * @param {string} attemptLabel - What is being limited, used in the message (e.g. 'login attempts')
  * @returns {Promise<{isLimited: boolean, waitTime: number, message: string}>}
  */
-export const checkRegisterRateLimit = async () => {
-  const { count, lastAttempt } = await getAttemptData(RATE_LIMIT_KEYS.REGISTER_ATTEMPTS);
+const checkRateLimit = async (key, maxAttempts, cooldownMinutes, attemptLabel) => {
+  const { count, lastAttempt } = await getAttemptData(key);
   
-  if (count >= RATE_LIMIT_CONFIG.MAX_REGISTER_ATTEMPTS && lastAttempt) {
-    const cooldownEndTime = new Date(lastAttempt.getTime() + (RATE_LIMIT_CONFIG.REGISTER_COOLDOWN_MINUTES * 60 * 1000));
+  if (count >= maxAttempts && lastAttempt) {
+    const cooldownEndTime = new Date(lastAttempt.getTime() + (cooldownMinutes * 60 * 1000));
     const now = new Date();
     
     if (now < cooldownEndTime) {
@@ -124,11 +114,11 @@ export const checkRegisterRateLimit = async () => {
       return {
         isLimited: true,
         waitTime,
-        message: `Too many registration attempts. Please wait ${waitTime} minutes before trying again.`,
+        message: `Too many ${attemptLabel}. Please wait ${waitTime} minutes before trying again.`,
       };
     } else {
       // Reset attempts after cooldown period
-      await AsyncStorage.removeItem(RATE_LIMIT_KEYS.REGISTER_ATTEMPTS);
+      await AsyncStorage.removeItem(key);
       return { isLimited: false, waitTime: 0, message: '' };
     }
   }
@@ -137,23 +127,24 @@ export const checkRegisterRateLimit = async () => {
 };
 
 /**
- * Record a login attempt and apply rate limiting delay
- * @param {boolean} isSuccess - Whether the login was successful
+ * Record an attempt and apply rate limiting delay
+ * @param {string} key - Storage key for attempts
+ * @param {boolean} isSuccess - Whether the attempt was successful
  * @returns {Promise<void>}
  */
-export const recordLoginAttempt = async (isSuccess = false) => {
-  const { count } = await getAttemptData(RATE_LIMIT_KEYS.LOGIN_ATTEMPTS);
+const recordAttempt = async (key, isSuccess) => {
+  const { count } = await getAttemptData(key);
   const now = new Date();
   
   if (isSuccess) {
-    // Clear attempts on successful login
-    await AsyncStorage.removeItem(RATE_LIMIT_KEYS.LOGIN_ATTEMPTS);
+    // Clear attempts on success
+    await AsyncStorage.removeItem(key);
     return;
   }
   
   // Record failed attempt
   const newCount = count + 1;
-  await storeAttemptData(RATE_LIMIT_KEYS.LOGIN_ATTEMPTS, newCount, now);
+  await storeAttemptData(key, newCount, now);
   
   // Apply exponential backoff delay for failed attempts
   if (newCount > 1) {
@@ -163,39 +154,218 @@ export const recordLoginAttempt = async (isSuccess = false) => {
 };
 
 /**
- * Record a registration attempt and apply rate limiting delay
- * @param {boolean} isSuccess - Whether the registration was successful
+ * Record a request that was sent (e.g. an SMS code or an email) for the cooldown check
+ * Unlike recordAttempt there is no backoff delay: the request already went through, and
+ * the delay only belongs on failed credential attempts
+ * @param {string} key - Storage key for requests
+ * @param {boolean} isSuccess - Whether the flow was completed, which clears the count
  * @returns {Promise<void>}
  */
-export const recordRegisterAttempt = async (isSuccess = false) => {
-  const { count } = await getAttemptData(RATE_LIMIT_KEYS.REGISTER_ATTEMPTS);
-  const now = new Date();
-  
+const recordRequest = async (key, isSuccess) => {
   if (isSuccess) {
-    // Clear attempts on successful registration
-    await AsyncStorage.removeItem(RATE_LIMIT_KEYS.REGISTER_ATTEMPTS);
+    await AsyncStorage.removeItem(key);
     return;
   }
-  
-  // Record failed attempt
-  const newCount = count + 1;
-  await storeAttemptData(RATE_LIMIT_KEYS.REGISTER_ATTEMPTS, newCount, now);
-  
-  // Apply exponential backoff delay for failed attempts
-  if (newCount > 1) {
-    const delayMs = calculateBackoffDelay(newCount);
-    await delay(delayMs);
+
+  const { count } = await getAttemptData(key);
+  await storeAttemptData(key, count + 1, new Date());
+};
+
+/**
+ * Check if user is rate limited for login
+ * @returns {Promise<{isLimited: boolean, waitTime: number, message: string}>}
+ */
+export const checkLoginRateLimit = () => {
+  return checkRateLimit(
+    RATE_LIMIT_KEYS.LOGIN_ATTEMPTS,
+    RATE_LIMIT_CONFIG.MAX_LOGIN_ATTEMPTS,
+    RATE_LIMIT_CONFIG.LOGIN_COOLDOWN_MINUTES,
+    'login attempts'
+  );
+};
+
+/**
+ * Check if user is rate limited for registration
+ * @returns {Promise<{isLimited: boolean, waitTime: number, message: string}>}
+ */
+export const checkRegisterRateLimit = () => {
+  return checkRateLimit(
+    RATE_LIMIT_KEYS.REGISTER_ATTEMPTS,
+    RATE_LIMIT_CONFIG.MAX_REGISTER_ATTEMPTS,
+    RATE_LIMIT_CONFIG.REGISTER_COOLDOWN_MINUTES,
+    'registration attempts'
+  );
+};
+
+/**
+ * Check if user is rate limited for SMS verification codes
+ * @returns {Promise<{isLimited: boolean, waitTime: number, message: string}>}
+ */
+export const checkPhoneRateLimit = () => {
+  return checkRateLimit(
+    RATE_LIMIT_KEYS.PHONE_CODE_REQUESTS,
+    RATE_LIMIT_CONFIG.MAX_PHONE_CODE_REQUESTS,
+    RATE_LIMIT_CONFIG.PHONE_COOLDOWN_MINUTES,
+    'verification code requests'
+  );
+};
+
+/**
+ * Check if user is rate limited for password reset emails
+ * @returns {Promise<{isLimited: boolean, waitTime: number, message: string}>}
+ */
+export const checkPasswordResetRateLimit = () => {
+  return checkRateLimit(
+    RATE_LIMIT_KEYS.PASSWORD_RESET_REQUESTS,
+    RATE_LIMIT_CONFIG.MAX_PASSWORD_RESET_REQUESTS,
+    RATE_LIMIT_CONFIG.PASSWORD_RESET_COOLDOWN_MINUTES,
+    'password reset requests'
+  );
+};
+
+/**
+ * Check if user is rate limited for verification emails
+ * @returns {Promise<{isLimited: boolean, waitTime: number, message: string}>}
+ */
+export const checkVerificationEmailRateLimit = () => {
+  return checkRateLimit(
+    RATE_LIMIT_KEYS.VERIFICATION_EMAIL_REQUESTS,
+    RATE_LIMIT_CONFIG.MAX_VERIFICATION_EMAILS,
+    RATE_LIMIT_CONFIG.VERIFICATION_COOLDOWN_MINUTES,
+    'verification email requests'
+  );
+};
+
+/**
+ * Storage key for an account's wrong PIN attempts (each account on the device has its own PIN)
+ * @param {string} uid - User ID
+ * @returns {string}
+ */
+const getPinAttemptsKey = (uid) => `${RATE_LIMIT_KEYS.PIN_ATTEMPTS}_${uid}`;
+
+/**
+ * Check whether the app PIN can be tried again
+ * Each wrong PIN adds an exponential backoff, also enforced across app restarts. Once the limit is
+ * reached no PIN is accepted: attemptsLeft is 0 and the caller must sign the user out
+ * @param {string} uid - User ID the PIN belongs to
+ * @returns {Promise<{isLimited: boolean, waitTime: number, attemptsLeft: number, message: string}>}
+ */
+export const checkPinRateLimit = async (uid) => {
+  const { count, lastAttempt } = await getAttemptData(getPinAttemptsKey(uid));
+  const attemptsLeft = Math.max(RATE_LIMIT_CONFIG.MAX_PIN_ATTEMPTS - count, 0);
+
+  if (attemptsLeft === 0) {
+    return {
+      isLimited: true,
+      waitTime: 0,
+      attemptsLeft,
+      message: 'Too many wrong PINs. Please sign in again.',
+    };
+  }
+
+  if (count > 1 && lastAttempt) {
+    const retryTime = new Date(lastAttempt.getTime() + calculateBackoffDelay(count));
+    const now = new Date();
+
+    if (now < retryTime) {
+      const waitTime = Math.ceil((retryTime - now) / 1000); // seconds
+      return {
+        isLimited: true,
+        waitTime,
+        attemptsLeft,
+        message: `Too many wrong PINs. Please wait ${waitTime} seconds before trying again.`,
+      };
+    }
+  }
+
+  return { isLimited: false, waitTime: 0, attemptsLeft, message: '' };
+};
+
+/**
+ * Record a login attempt and apply rate limiting delay
+ * @param {boolean} isSuccess - Whether the login was successful
+ * @returns {Promise<void>}
+ */
+export const recordLoginAttempt = (isSuccess = false) => {
+  return recordAttempt(RATE_LIMIT_KEYS.LOGIN_ATTEMPTS, isSuccess);
+};
+
+/**
+ * Record a registration attempt and apply rate limiting delay
+ * @param {boolean} isSuccess - Whether the registration was successful
+ * @returns {Promise<void>}
+ */
+export const recordRegisterAttempt = (isSuccess = false) => {
+  return recordAttempt(RATE_LIMIT_KEYS.REGISTER_ATTEMPTS, isSuccess);
+};
+
+/**
+ * Record a phone sign-in attempt
+ * Every code request counts towards the limit, a confirmed code clears it
+ * @param {boolean} isSuccess - Whether the code was confirmed
+ * @returns {Promise<void>}
+ */
+export const recordPhoneAttempt = (isSuccess = false) => {
+  return recordRequest(RATE_LIMIT_KEYS.PHONE_CODE_REQUESTS, isSuccess);
+};
+
+/**
+ * Record a password reset attempt
+ * Every email request counts towards the limit, a completed reset clears it
+ * @param {boolean} isSuccess - Whether the password was reset
+ * @returns {Promise<void>}
+ */
+export const recordPasswordResetAttempt = (isSuccess = false) => {
+  return recordRequest(RATE_LIMIT_KEYS.PASSWORD_RESET_REQUESTS, isSuccess);
+};
+
+/**
+ * Record a verification email request
+ * Every email counts towards the limit, a verified address clears it
+ * @param {boolean} isSuccess - Whether the email address was verified
+ * @returns {Promise<void>}
+ */
+export const recordVerificationEmailAttempt = (isSuccess = false) => {
+  return recordRequest(RATE_LIMIT_KEYS.VERIFICATION_EMAIL_REQUESTS, isSuccess);
+};
+
+/**
+ * Record an app PIN attempt
+ * No delay here: checkPinRateLimit makes the next attempt wait instead, so a wrong PIN that
+ * uses up the last attempt can sign the user out straight away
+ * @param {string} uid - User ID the PIN belongs to
+ * @param {boolean} isSuccess - Whether the PIN was correct
+ * @returns {Promise<void>}
+ */
+export const recordPinAttempt = (uid, isSuccess = false) => {
+  return recordRequest(getPinAttemptsKey(uid), isSuccess);
+};
+
+/**
+ * Clear an account's wrong PIN attempts, e.g. when the PIN is changed or the user signs out
+ * @param {string} uid - User ID the PIN belongs to
+ */
+export const clearPinAttempts = async (uid) => {
+  try {
+    await AsyncStorage.removeItem(getPinAttemptsKey(uid));
+  } catch (error) {
+    console.error('Error clearing PIN attempts:', error);
   }
 };
 
 /**
  * Clear all rate limiting data
+ * @param {string|null} uid - Also clear this account's wrong PIN attempts
  */
-export const clearRateLimitData = async () => {
+export const clearRateLimitData = async (uid = null) => {
   try {
     await Promise.all([
       AsyncStorage.removeItem(RATE_LIMIT_KEYS.LOGIN_ATTEMPTS),
       AsyncStorage.removeItem(RATE_LIMIT_KEYS.REGISTER_ATTEMPTS),
+      AsyncStorage.removeItem(RATE_LIMIT_KEYS.PHONE_CODE_REQUESTS),
+      AsyncStorage.removeItem(RATE_LIMIT_KEYS.PASSWORD_RESET_REQUESTS),
+      AsyncStorage.removeItem(RATE_LIMIT_KEYS.VERIFICATION_EMAIL_REQUESTS),
+      uid && AsyncStorage.removeItem(getPinAttemptsKey(uid)),
     ]);
   } catch (error) {
     console.error('Error clearing rate limit data:', error);
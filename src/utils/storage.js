@@ -9,8 +9,23 @@ const STORAGE_KEYS = {
   REFRESH_TOKEN: 'auth_refresh_token',
   USER_DATA: 'auth_user_data',
   LAST_LOGIN: 'auth_last_login',
+  EMAIL_FOR_SIGN_IN: 'auth_email_for_sign_in',
+  PENDING_EMAIL_CHANGE: 'auth_pending_email_change',
+  BIOMETRIC_UNLOCK: 'auth_biometric_unlock',
+  APP_PIN: 'auth_app_pin',
+  SAVED_ACCOUNTS: 'auth_saved_accounts',
 };
 
+// Keys stored separately for every saved account (suffixed with the UID)
+const ACCOUNT_KEYS = [
+  STORAGE_KEYS.PENDING_EMAIL_CHANGE,
+  STORAGE_KEYS.BIOMETRIC_UNLOCK,
+  STORAGE_KEYS.APP_PIN,
+];
+
+// Most accounts remembered for the account switcher
+const MAX_SAVED_ACCOUNTS = 5;
+
 // Use SecureStore on mobile, AsyncStorage on web
 const isSecureStoreAvailable = Platform.OS !== 'web';
 
@@ -67,17 +82,27 @@ export const removeSecureItem = async (key) => {
   }
 };
 
+/**
+ * Storage key for data kept per account
+ * @param {string} key - One of ACCOUNT_KEYS
+ * @param {string} uid - User ID
+ * @returns {string}
+ */
+export const getAccountKey = (key, uid) => `${key}_${uid}`;
+
 /**
  * Store authentication tokens
  * @param {string} accessToken - JWT access token
  * @param {string} refreshToken - Refresh token
+ * @param {Object} options - Options
+ * @param {boolean} options.updateLastLogin - Whether this is a new sign-in (false for token refreshes)
  */
-export const storeTokens = async (accessToken, refreshToken) => {
+export const storeTokens = async (accessToken, refreshToken, { updateLastLogin = true } = {}) => {
   try {
     await Promise.all([
       setSecureItem(STORAGE_KEYS.ACCESS_TOKEN, accessToken),
       setSecureItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken),
-      setSecureItem(STORAGE_KEYS.LAST_LOGIN, new Date().toISOString()),
+      updateLastLogin && setSecureItem(STORAGE_KEYS.LAST_LOGIN, new Date().toISOString()),
     ]);
   } catch (error) {
     console.error('Error storing tokens:', error);
@@ -131,15 +156,18 @@ export const getUserData = async () => {
 };
 
 /**
- * Clear all authentication data
+ * Clear the stored session, and everything stored for one account if a UID is given
+ * Other saved accounts keep their data, so signing out of one does not affect the rest
+ * @param {string|null} uid - Account whose PIN, biometric preference, etc. to clear as well
  */
-export const clearAuthData = async () => {
+export const clearAuthData = async (uid = null) => {
   try {
     await Promise.all([
       removeSecureItem(STORAGE_KEYS.ACCESS_TOKEN),
       removeSecureItem(STORAGE_KEYS.REFRESH_TOKEN),
       removeSecureItem(STORAGE_KEYS.USER_DATA),
       removeSecureItem(STORAGE_KEYS.LAST_LOGIN),
+      uid ? clearAccountData(uid) : null,
     ]);
   } catch (error) {
     console.error('Error clearing auth data:', error);
@@ -147,6 +175,14 @@ export const clearAuthData = async () => {
   }
 };
 
+/**
+ * Clear everything stored for one account (PIN, biometric preference, pending email change)
+ * @param {string} uid - User ID
+ */
+export const clearAccountData = async (uid) => {
+  await Promise.all(ACCOUNT_KEYS.map((key) => removeSecureItem(getAccountKey(key, uid))));
+};
+
 /**
  * Get last login timestamp
  * @returns {Promise<Date|null>} Last login date or null
@@ -160,5 +196,167 @@ export const getLastLogin = async () => {
     return null;
   }
 };
-export { STORAGE_KEYS };
+
+/**
+ * Remember the email a sign-in link was sent to
+ * @param {string} email - Email address
+ */
+export const storeEmailForSignIn = async (email) => {
+  try {
+    await setSecureItem(STORAGE_KEYS.EMAIL_FOR_SIGN_IN, email);
+  } catch (error) {
+    console.error('Error storing email for sign-in:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the email a sign-in link was sent to
+ * @returns {Promise<string|null>} Email address or null
+ */
+export const getEmailForSignIn = async () => {
+  return getSecureItem(STORAGE_KEYS.EMAIL_FOR_SIGN_IN);
+};
+
+/**
+ * Forget the email a sign-in link was sent to
+ */
+export const clearEmailForSignIn = async () => {
+  try {
+    await removeSecureItem(STORAGE_KEYS.EMAIL_FOR_SIGN_IN);
+  } catch (error) {
+    console.error('Error clearing email for sign-in:', error);
+  }
+};
+
+/**
+ * Remember the new address an email change is waiting to be confirmed for
+ * @param {string} uid - User ID
+ * @param {string} email - New email address
+ */
+export const storePendingEmailChange = async (uid, email) => {
+  try {
+    await setSecureItem(getAccountKey(STORAGE_KEYS.PENDING_EMAIL_CHANGE, uid), email);
+  } catch (error) {
+    console.error('Error storing pending email change:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the new address of a pending email change
+ * @param {string} uid - User ID
+ * @returns {Promise<string|null>} Email address or null
+ */
+export const getPendingEmailChange = async (uid) => {
+  return getSecureItem(getAccountKey(STORAGE_KEYS.PENDING_EMAIL_CHANGE, uid));
+};
+
+/**
+ * Forget a pending email change
+ * @param {string} uid - User ID
+ */
+export const clearPendingEmailChange = async (uid) => {
+  try {
+    await removeSecureItem(getAccountKey(STORAGE_KEYS.PENDING_EMAIL_CHANGE, uid));
+  } catch (error) {
+    console.error('Error clearing pending email change:', error);
+  }
+};
+
+/**
+ * Remember whether the user wants to unlock the app with biometrics
+ * @param {string} uid - User ID
+ * @param {boolean} enabled - Whether biometric unlock is on
+ */
+export const storeBiometricPreference = async (uid, enabled) => {
+  try {
+    await setSecureItem(getAccountKey(STORAGE_KEYS.BIOMETRIC_UNLOCK, uid), enabled ? 'true' : 'false');
+  } catch (error) {
+    console.error('Error storing biometric preference:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the biometric unlock preference
+ * @param {string} uid - User ID
+ * @returns {Promise<boolean|null>} The preference, or null if the user was never asked
+ */
+export const getBiometricPreference = async (uid) => {
+  const value = await getSecureItem(getAccountKey(STORAGE_KEYS.BIOMETRIC_UNLOCK, uid));
+  return value === null ? null : value === 'true';
+};
+
+/**
+ * Get the accounts remembered on this device, most recently used first
+ * The list only holds profile details, not secrets, and is kept in AsyncStorage because it can
+ * outgrow the value size SecureStore allows (~2 KB)
+ * @returns {Promise<Array<{uid: string, email: string|null, displayName: string, photoURL: string|null, providerIds: string[], lastUsedAt: string}>>}
+ */
+export const getSavedAccounts = async () => {
+  try {
+    const value = await AsyncStorage.getItem(STORAGE_KEYS.SAVED_ACCOUNTS);
+    return value ? JSON.parse(value) : [];
+  } catch (error) {
+    console.error('Error retrieving saved accounts:', error);
+    return [];
+  }
+};
+
+/**
+ * Remember an account for the account switcher, or update it and mark it as used now
+ * The least recently used account is dropped when there are more than MAX_SAVED_ACCOUNTS
+ * @param {Object} account - User data (uid, email, displayName, photoURL, providerIds)
+ * @returns {Promise<Object[]>} The updated list
+ */
+export const saveAccount = async ({ uid, email, displayName, photoURL, providerIds }) => {
+  try {
+    const accounts = await getSavedAccounts();
+    const updatedAccounts = [
+      {
+        uid,
+        email: email || null,
+        displayName: displayName || '',
+        photoURL: photoURL || null,
+        providerIds: providerIds || [],
+        lastUsedAt: new Date().toISOString(),
+      },
+      ...accounts.filter((account) => account.uid !== uid),
+    ];
+
+    // Forget the accounts that no longer fit, including what was stored for them
+    const droppedAccounts = updatedAccounts.slice(MAX_SAVED_ACCOUNTS);
+    await Promise.all(droppedAccounts.map((account) => clearAccountData(account.uid)));
+
+    const savedAccounts = updatedAccounts.slice(0, MAX_SAVED_ACCOUNTS);
+    await AsyncStorage.setItem(STORAGE_KEYS.SAVED_ACCOUNTS, JSON.stringify(savedAccounts));
+
+    return savedAccounts;
+  } catch (error) {
+    console.error('Error saving account:', error);
+    throw error;
+  }
+};
+
+/**
+ * Forget a saved account
+ * @param {string} uid - User ID
+ * @returns {Promise<Object[]>} The updated list
+ */
+export const removeSavedAccount = async (uid) => {
+  try {
+    const accounts = await getSavedAccounts();
+    const savedAccounts = accounts.filter((account) => account.uid !== uid);
+
+    await AsyncStorage.setItem(STORAGE_KEYS.SAVED_ACCOUNTS, JSON.stringify(savedAccounts));
+
+    return savedAccounts;
+  } catch (error) {
+    console.error('Error removing saved account:', error);
+    throw error;
+  }
+};
+
+export { MAX_SAVED_ACCOUNTS, STORAGE_KEYS };
 
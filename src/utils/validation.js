@@ -0,0 +1,133 @@
+// Form validation helpers shared by the auth screens
+
+// Minimum password length accepted by the app (Firebase requires at least 6)
+const MIN_PASSWORD_LENGTH = 6;
+
+// Helper text shown under new password fields
+const PASSWORD_REQUIREMENTS = 'Must contain uppercase, lowercase, and number';
+
+// Allowed app PIN lengths
+const MIN_PIN_LENGTH = 4;
+const MAX_PIN_LENGTH = 6;
+
+/**
+ * Validate a display name
+ * @param {string} displayName - Display name
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateDisplayName = (displayName) => {
+  const trimmed = displayName.trim();
+
+  if (!trimmed) {
+    return 'Display name is required';
+  }
+
+  if (trimmed.length < 2) {
+    return 'Display name must be at least 2 characters';
+  }
+
+  return null;
+};
+
+/**
+ * Validate an email address
+ * @param {string} email - Email address
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateEmail = (email) => {
+  if (!email) {
+    return 'Email is required';
+  }
+
+  if (!/\S+@\S+\.\S+/.test(email)) {
+    return 'Please enter a valid email address';
+  }
+
+  return null;
+};
+
+/**
+ * Normalize a phone number to E.164 (strip spaces, dashes and brackets)
+ * @param {string} phoneNumber - Phone number as typed
+ * @returns {string}
+ */
+export const normalizePhoneNumber = (phoneNumber) => {
+  return phoneNumber.replace(/[\s\-()]/g, '');
+};
+
+/**
+ * Validate a phone number, which must include the country code
+ * @param {string} phoneNumber - Phone number as typed
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validatePhoneNumber = (phoneNumber) => {
+  const normalized = normalizePhoneNumber(phoneNumber);
+
+  if (!normalized) {
+    return 'Phone number is required';
+  }
+
+  if (!/^\+[1-9]\d{7,14}$/.test(normalized)) {
+    return 'Enter your number with country code, e.g. +1 555 123 4567';
+  }
+
+  return null;
+};
+
+/**
+ * Validate a new password against the app's strength rules
+ * @param {string} password - Password to check
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateNewPassword = (password) => {
+  if (!password) {
+    return 'Password is required';
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+
+  if (!/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(password)) {
+    return 'Password must contain at least one uppercase letter, one lowercase letter, and one number';
+  }
+
+  return null;
+};
+
+/**
+ * Validate the password confirmation field
+ * @param {string} password - New password
+ * @param {string} confirmPassword - Confirmation entered by the user
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validatePasswordConfirmation = (password, confirmPassword) => {
+  if (!confirmPassword) {
+    return 'Please confirm your password';
+  }
+
+  if (password !== confirmPassword) {
+    return 'Passwords do not match';
+  }
+
+  return null;
+};
+
+/**
+ * Validate a new app PIN
+ * @param {string} pin - PIN to check
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validatePin = (pin) => {
+  if (!pin) {
+    return 'PIN is required';
+  }
+
+  if (!new RegExp(`^\\d{${MIN_PIN_LENGTH},${MAX_PIN_LENGTH}}$`).test(pin)) {
+    return `PIN must be ${MIN_PIN_LENGTH} to ${MAX_PIN_LENGTH} digits`;
+  }
+
+  return null;
+};
+
+export { MAX_PIN_LENGTH, MIN_PIN_LENGTH, MIN_PASSWORD_LENGTH, PASSWORD_REQUIREMENTS };